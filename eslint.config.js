@@ -1,9 +1,9 @@
-const globals = require("globals");
-const js = require("@eslint/js");
-const prettierConfig = require("eslint-config-prettier");
-const prettierPlugin = require("eslint-plugin-prettier");
+import globals from "globals";
+import js from "@eslint/js";
+import prettierConfig from "eslint-config-prettier";
+import prettierPlugin from "eslint-plugin-prettier";
 
-module.exports = [
+export default [
     {
         ignores: ["dist/**", "node_modules/**"],
     },
@@ -1,14 +1,46 @@
 // Background script for Mipa-like Tab Manager
+import { BackgroundSyncService } from './services/BackgroundSyncService.js';
+import { SyncService } from './services/SyncService.js';
+import { StorageService } from './services/StorageService.js';
+import { SyncQueueService } from './services/SyncQueueService.js';
+import { BackgroundDataService } from './services/BackgroundDataService.js';
+import { ExternalApiService } from './services/ExternalApiService.js';
+
 console.log('Mipa Background Script Loaded');
 
+// The service worker owns the collection data: pages send it their changes instead of saving themselves
+BackgroundDataService.init();
+// Other extensions on the allow-list in settings can list, add and search tabs (see README)
+ExternalApiService.init();
+
 // Initialize storage with default data if needed
 chrome.runtime.onInstalled.addListener(() => {
-    // Check if collections exist, if not, let mipa.js handle initialization
-    chrome.storage.local.get(['collections'], (result) => {
-        if (!result.collections || result.collections.length === 0) {
-            // Just set an empty collections array, let mipa.js handle the default collections
-            chrome.storage.local.set({ collections: [] });
-        }
-    });
+    // Create the data document, moving data saved by older versions from chrome.storage into IndexedDB
+    StorageService.loadData();
+    BackgroundSyncService.schedule();
+});
+
+// Periodic sync: pull and push on the configured schedule even when no page is open
+chrome.runtime.onStartup.addListener(() => BackgroundSyncService.schedule());
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === BackgroundSyncService.ALARM_NAME || alarm.name === SyncQueueService.RETRY_ALARM) {
+        BackgroundSyncService.run();
+    }
+});
+
+// Push changes that failed while offline as soon as the network is back
+self.addEventListener('online', async () => {
+    if (await SyncQueueService.getState()) {
+        BackgroundSyncService.run();
+    }
+});
+
+// Reschedule when the interval changes or a sync service is connected / disconnected
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (changes[BackgroundSyncService.SCHEDULE_KEY] || changes[SyncService.PROVIDER_KEY]) {
+        BackgroundSyncService.schedule();
+    }
 });
 // The main functionality is now handled in mipa.js (popup script)
@@ -0,0 +1,364 @@
+import { BackgroundDataService } from '../services/BackgroundDataService.js';
+
+const { MESSAGES, PORT_NAME } = BackgroundDataService;
+
+/**
+ * 页面端的集合数据：所有修改都通过消息交给后台 service worker 中的 CollectionManager 执行和保存（见 BackgroundDataService），
+ * 这里保存一份数据供页面渲染，并按后台推送的变更逐条更新。方法与 CollectionManager 同名，修改类方法返回 Promise
+ */
+export class CollectionClient {
+    constructor() {
+        this.state = {
+            instance: null,
+            seq: 0,
+            collections: [],
+            trash: [],
+            version: 0,
+            canUndo: false,
+            canRedo: false,
+            saveError: null
+        };
+        this.port = null;
+        // 与 CollectionManager 相同：resolveConflicts(conflicts, source) 返回用户的选择，onSaveStateChange(error|null) 在保存失败或恢复时调用。
+        // onChange(changes) 在其他页面或后台同步修改数据后调用，changes 为新增、修改和删除的集合与标签页（见 BackgroundDataService.diffChanges），
+        // 为 null 时表示数据整体替换（如 service worker 重新启动），需要全部重新渲染。本页面自己的操作也可能触发，页面应能重复应用
+        this.resolveConflicts = null;
+        this.onChange = null;
+        this.onSaveStateChange = null;
+    }
+
+    async load() {
+        this._connect();
+        const response = await chrome.runtime.sendMessage({ type: MESSAGES.GET_STATE });
+        this._checkResponse(response);
+        this._applyState(response.state);
+        return this.state.collections;
+    }
+
+    /**
+     * 漏掉了变更时重新读取完整的数据
+     */
+    async _reload() {
+        const instance = this.state.instance;
+        const seq = this.state.seq;
+        await this.load();
+        if (this.state.instance !== instance || this.state.seq !== seq) {
+            this.onChange?.(null);
+        }
+    }
+
+    /**
+     * 连接后台接收广播；service worker 停止后连接会断开，立即重新连接并读取断开期间的变化
+     */
+    _connect() {
+        if (this.port) return;
+        this.port = chrome.runtime.connect({ name: PORT_NAME });
+        this.port.onMessage.addListener((message) => this._handlePortMessage(message));
+        this.port.onDisconnect.addListener(() => {
+            this.port = null;
+            this._reload().catch((error) => console.error('Error reconnecting to background:', error));
+        });
+    }
+
+    async _handlePortMessage(message) {
+        if (message?.type === MESSAGES.CHANGES) {
+            this._receiveChanges(message);
+        } else if (message?.type === MESSAGES.RESOLVE_CONFLICTS) {
+            const resolutions = this.resolveConflicts
+                ? await this.resolveConflicts(message.conflicts, message.source)
+                : null;
+            this.port?.postMessage({ type: MESSAGES.CONFLICTS_RESOLVED, requestId: message.requestId, resolutions });
+        }
+    }
+
+    /**
+     * 采用后台的完整状态，忽略比当前更早的状态
+     * @param {Object} state
+     */
+    _applyState(state) {
+        if (state.instance === this.state.instance && state.seq <= this.state.seq) return;
+        this._setState(state);
+    }
+
+    _setState(state) {
+        const previousError = this.state.saveError;
+        this.state = state;
+        if (JSON.stringify(previousError) !== JSON.stringify(state.saveError)) {
+            this.onSaveStateChange?.(this.saveError);
+        }
+    }
+
+    /**
+     * 按顺序应用后台推送的变更；已经从操作结果中得到的变更直接忽略，漏掉变更时重新读取
+     * @param {{instance: string, seq: number, changes: Object|null, meta: Object}} message
+     */
+    _receiveChanges({ instance, seq, changes, meta }) {
+        if (instance === this.state.instance && seq <= this.state.seq) return;
+        if (instance !== this.state.instance || seq !== this.state.seq + 1) {
+            this._reload().catch((error) => console.error('Error reloading collections:', error));
+            return;
+        }
+
+        const collections = changes ? this._applyChanges(this.state.collections, changes) : this.state.collections;
+        if (!collections) {
+            this._reload().catch((error) => console.error('Error reloading collections:', error));
+            return;
+        }
+        this._setState({ ...meta, instance, seq, collections });
+        if (changes) {
+            this.onChange?.(changes);
+        }
+    }
+
+    /**
+     * 把变更应用到集合列表上，未变化的集合和标签页保持原来的对象
+     * @param {Array} collections
+     * @param {Object} changes 见 BackgroundDataService.diffChanges
+     * @returns {Array|null} 新的集合列表；与本地数据对不上时返回 null
+     */
+    _applyChanges(collections, changes) {
+        const byId = new Map(collections.map((collection) => [collection.id, collection]));
+        changes.collections.removed.forEach((id) => byId.delete(id));
+        changes.collections.added.forEach((collection) => byId.set(collection.id, collection));
+        changes.collections.updated.forEach((fields) => {
+            const collection = byId.get(fields.id);
+            if (collection) byId.set(fields.id, { ...fields, tabs: collection.tabs });
+        });
+
+        const tabKey = (collectionId, tabId) => `${collectionId}\n${tabId}`;
+        const tabs = new Map();
+        byId.forEach((collection, id) => collection.tabs.forEach((tab) => tabs.set(tabKey(id, tab.id), tab)));
+        changes.tabs.removed.forEach(({ collectionId, tabId }) => tabs.delete(tabKey(collectionId, tabId)));
+        [...changes.tabs.added, ...changes.tabs.updated].forEach(({ collectionId, tab }) =>
+            tabs.set(tabKey(collectionId, tab.id), tab)
+        );
+
+        const touched = new Set([
+            ...changes.tabs.added.map((change) => change.collectionId),
+            ...changes.tabs.updated.map((change) => change.collectionId),
+            ...Object.keys(changes.tabOrder)
+        ]);
+        for (const collectionId of touched) {
+            const collection = byId.get(collectionId);
+            if (!collection) return null;
+            const tabIds = changes.tabOrder[collectionId] || collection.tabs.map((tab) => tab.id);
+            const collectionTabs = tabIds.map((tabId) => tabs.get(tabKey(collectionId, tabId)));
+            if (collectionTabs.includes(undefined)) return null;
+            byId.set(collectionId, { ...collection, tabs: collectionTabs });
+        }
+
+        const order = changes.order || collections.map((collection) => collection.id);
+        const result = order.map((id) => byId.get(id));
+        return result.includes(undefined) ? null : result;
+    }
+
+    _checkResponse(response) {
+        if (!response) {
+            throw new Error('后台服务未响应，请稍后重试');
+        }
+        if (!response.ok) {
+            throw Object.assign(new Error(response.error.message), response.error);
+        }
+    }
+
+    /**
+     * 调用后台 CollectionManager 的方法
+     * @param {string} method
+     * @param {Array} args
+     * @returns {Promise<{result: *, saved: boolean}>} saved 见 BackgroundDataService.call
+     */
+    async _send(method, args) {
+        const response = await chrome.runtime.sendMessage({ type: MESSAGES.CALL, method, args });
+        this._checkResponse(response);
+        this._applyState(response.state);
+        return { result: response.result, saved: response.saved };
+    }
+
+    /**
+     * 调用后台 CollectionManager 的方法，返回其结果；保存失败时修改保留在后台，稍后重试（见 saveError）
+     * @param {string} method
+     * @param {...*} args
+     * @returns {Promise<*>}
+     */
+    async _call(method, ...args) {
+        return (await this._send(method, args)).result;
+    }
+
+    /**
+     * 与 _call 相同，但本次的修改没有写入存储时抛出保存失败的错误。
+     * 用于弹窗这类操作后很快关闭、看不到之后保存状态提示的页面；其他修改留下的保存错误不影响结果
+     * @param {string} method
+     * @param {...*} args
+     * @returns {Promise<*>}
+     */
+    async callAndSave(method, ...args) {
+        const { result, saved } = await this._send(method, args);
+        if (!saved) {
+            throw this.saveError || new Error('修改未能保存');
+        }
+        return result;
+    }
+
+    /**
+     * 最近一次保存失败的错误（Error 对象，保留 quotaExceeded 等标记），没有失败时为 null
+     */
+    get saveError() {
+        const error = this.state.saveError;
+        return error ? Object.assign(new Error(error.message), error) : null;
+    }
+
+    getCollections() {
+        return this.state.collections;
+    }
+
+    getTrash() {
+        return this.state.trash;
+    }
+
+    getVersion() {
+        return this.state.version;
+    }
+
+    canUndo() {
+        return this.state.canUndo;
+    }
+
+    canRedo() {
+        return this.state.canRedo;
+    }
+
+    setConflictResolver(resolver) {
+        this.resolveConflicts = resolver;
+    }
+
+    addCollection(name, color = 'white', tabs = []) {
+        return this._call('addCollection', name, color, tabs);
+    }
+
+    copyCollection(source) {
+        return this._call('copyCollection', source);
+    }
+
+    importCollections(collections) {
+        return this._call('importCollections', collections);
+    }
+
+    replaceCollections(label, collections) {
+        return this._call('replaceCollections', label, collections);
+    }
+
+    restoreRevision(collections, mode = 'replace') {
+        return this._call('restoreRevision', collections, mode);
+    }
+
+    deleteCollection(collectionId) {
+        return this._call('deleteCollection', collectionId);
+    }
+
+    updateCollectionName(collectionId, name) {
+        return this._call('updateCollectionName', collectionId, name);
+    }
+
+    updateCollectionColor(collectionId, color) {
+        return this._call('updateCollectionColor', collectionId, color);
+    }
+
+    setCollectionLocalOnly(collectionId, localOnly) {
+        return this._call('setCollectionLocalOnly', collectionId, localOnly);
+    }
+
+    addTab(collectionId, tabData) {
+        return this._call('addTab', collectionId, tabData);
+    }
+
+    addTabs(collectionId, tabs) {
+        return this._call('addTabs', collectionId, tabs);
+    }
+
+    deleteTab(collectionId, tabId) {
+        return this._call('deleteTab', collectionId, tabId);
+    }
+
+    updateTab(collectionId, tabId, data) {
+        return this._call('updateTab', collectionId, tabId, data);
+    }
+
+    moveTab(tabId, fromColId, toColId, newIndex) {
+        return this._call('moveTab', tabId, fromColId, toColId, newIndex);
+    }
+
+    reorderTabs(collectionId, oldIndex, newIndex) {
+        return this._call('reorderTabs', collectionId, oldIndex, newIndex);
+    }
+
+    restoreFromTrash(itemId) {
+        return this._call('restoreFromTrash', itemId);
+    }
+
+    deleteFromTrash(itemId) {
+        return this._call('deleteFromTrash', itemId);
+    }
+
+    emptyTrash() {
+        return this._call('emptyTrash');
+    }
+
+    purgeTrash(days) {
+        return this._call('purgeTrash', days);
+    }
+
+    undo() {
+        return this._call('undo');
+    }
+
+    redo() {
+        return this._call('redo');
+    }
+
+    sync(showAlerts = true) {
+        return this._call('sync', showAlerts);
+    }
+
+    flushSync() {
+        return this._call('flushSync');
+    }
+
+    /**
+     * @returns {Promise<boolean>} 是否保存成功
+     */
+    retrySave() {
+        return this._call('retrySave');
+    }
+
+    connectSync(providerId, config) {
+        return this._call('connectSync', providerId, config);
+    }
+
+    disconnectSync() {
+        return this._call('disconnectSync');
+    }
+
+    forcePush() {
+        return this._call('forcePush');
+    }
+
+    relinkSync(target) {
+        return this._call('relinkSync', target);
+    }
+
+    setSyncPassphrase(passphrase) {
+        return this._call('setSyncPassphrase', passphrase);
+    }
+
+    unlockSync(passphrase) {
+        return this._call('unlockSync', passphrase);
+    }
+
+    disableSyncEncryption() {
+        return this._call('disableSyncEncryption');
+    }
+
+    createSnapshot(label) {
+        return this._call('createSnapshot', label);
+    }
+}
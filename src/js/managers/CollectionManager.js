@@ -1,29 +1,77 @@
 import { StorageService } from '../services/StorageService.js';
-import { GistService } from '../services/GistService.js';
+import { SyncService } from '../services/SyncService.js';
+import { MergeService } from '../services/MergeService.js';
+import { HistoryManager } from './HistoryManager.js';
 import { MipaUtils } from '../utils.js';
 
+// 最后一次保存后等待多久再与远程同步，连续的修改只触发一次同步
+const SYNC_DELAY = 2000;
+
 export class CollectionManager {
     constructor() {
         this.collections = [];
+        this.trash = [];
+        this.tombstones = {};
         this.isSaving = false;
         this.isSyncing = false;
+        this.saveQueued = false;
+        this.syncPending = false;
         this.currentVersion = 0;
+        this.revision = 0;
+        // 最近一次成功保存时的 revision
+        this.savedRevision = 0;
+        this._saving = null;
+        // 保存和远程同步轮流执行，见 _exclusive
+        this._turn = Promise.resolve();
+        this.history = new HistoryManager();
+        // 最近一次与存储一致的数据，作为与其他页面并发修改时三方合并的共同祖先
+        this.savedState = null;
+        // 冲突处理：resolveConflicts(conflicts, source) 返回用户的选择（null 表示取消），onChange 在数据被合并结果替换后调用
+        this.resolveConflicts = null;
+        this.onChange = null;
+        // 每次修改数据（保存之前）调用
+        this.onUpdate = null;
+        // 最近一次保存失败的错误，保存成功后清除；onSaveStateChange(error|null) 在保存失败或恢复时调用
+        this.saveError = null;
+        this.onSaveStateChange = null;
 
         this.debouncedSave = MipaUtils.debounce(async () => {
             await this.performSave();
         }, 100);
+        this.debouncedSync = MipaUtils.debounce(() => this.flushSync(), SYNC_DELAY);
     }
 
     async load() {
-        this.collections = await StorageService.loadCollections();
-        this.currentVersion = StorageService.lastKnownVersion || 0;
+        const data = await StorageService.loadData();
+        this.collections = data.collections;
+        this.tombstones = data.tombstones || {};
+        this.currentVersion = data.version || 0;
+        this.trash = await StorageService.loadTrash();
+        this._markSaved();
+        this.savedRevision = this.revision;
         return this.collections;
     }
 
+    /**
+     * 设置冲突解决方式，未设置时冲突按修改时间自动解决
+     * @param {Function|null} resolver (conflicts, source: 'remote'|'local') => Promise<Object|null>
+     */
+    setConflictResolver(resolver) {
+        this.resolveConflicts = resolver;
+    }
+
+    _markSaved() {
+        this.savedState = { collections: MipaUtils.clone(this.collections), tombstones: { ...this.tombstones } };
+    }
+
     getCollections() {
         return this.collections;
     }
 
+    getTrash() {
+        return this.trash;
+    }
+
     setCollections(collections, version = null) {
         this.collections = collections;
         if (version !== null) {
@@ -36,173 +84,746 @@ export class CollectionManager {
     }
 
     async save() {
+        this.revision++;
+        this.onUpdate?.();
         this.debouncedSave();
     }
 
+    /**
+     * 是否有尚未写入存储的修改（包括保存失败的）
+     * @returns {boolean}
+     */
+    hasUnsavedChanges() {
+        return this.revision !== this.savedRevision || !!this.saveError;
+    }
+
+    /**
+     * 立即保存尚未写入的修改，不等待防抖
+     */
+    async flushSave() {
+        while (this.isSaving) {
+            await this._saving;
+        }
+        if (this.hasUnsavedChanges()) {
+            await this.performSave();
+        }
+    }
+
     async performSave() {
-        if (this.isSaving) return;
+        if (this.isSaving) {
+            this.saveQueued = true;
+            return;
+        }
         this.isSaving = true;
+        let finishSaving;
+        this._saving = new Promise((resolve) => {
+            finishSaving = resolve;
+        });
         try {
-            const synced = await GistService.syncWithGist(this.collections);
-            if (synced) {
-                this.collections = synced.collections;
-                this.currentVersion = synced.version;
-            }
+            await this._exclusive(async () => {
+                const revision = this.revision;
+                // 已由 flushSave 保存过时不再重复写入
+                if (!this.hasUnsavedChanges()) return;
 
-            const result = await StorageService.saveToLocalStorage(
-                this.collections, true, this.currentVersion
-            );
+                const result = await StorageService.saveToLocalStorage(
+                    this.collections,
+                    true,
+                    this.currentVersion,
+                    this.tombstones
+                );
 
-            if (result.conflict) {
-                this.collections = GistService.mergeCollections(this.collections, result.collections);
-                this.currentVersion = result.version;
-                await StorageService.saveToLocalStorage(this.collections, true, this.currentVersion);
-            } else {
-                this.currentVersion = result.version;
-            }
-
-            await GistService.syncWithGist(this.collections);
+                if (result.conflict) {
+                    await this._mergeStored(result);
+                    const retry = await StorageService.saveToLocalStorage(
+                        this.collections,
+                        true,
+                        this.currentVersion,
+                        this.tombstones
+                    );
+                    if (retry.conflict) {
+                        throw new Error('数据正在被其他页面修改，修改未能保存');
+                    }
+                    this.currentVersion = retry.version;
+                } else {
+                    this.currentVersion = result.version;
+                }
+                this._markSaved();
+                this.savedRevision = revision;
+                // 回收站在 chrome.storage.local 中，空间不足时不影响集合数据的保存，但同样显示为保存失败
+                await StorageService.saveTrash(this.trash);
+                this._setSaveError(null);
+                this.scheduleSync();
+            });
         } catch (error) {
             console.error('Error saving collections:', error);
+            this._setSaveError(error);
         } finally {
             this.isSaving = false;
+            finishSaving();
+            if (this.saveQueued) {
+                this.saveQueued = false;
+                this.syncPending = false;
+                this.debouncedSave();
+            }
+        }
+    }
+
+    /**
+     * 依次执行写入存储的任务（保存、远程同步）：同步从读取本地数据到写入合并结果之间有网络请求，
+     * 期间写入的保存会被合并结果覆盖，且版本号不变，其他页面和下次保存都无法发现
+     * @param {Function} task
+     * @returns {Promise<*>} task 的结果
+     */
+    _exclusive(task) {
+        const run = this._turn.then(task);
+        this._turn = run.catch(() => {});
+        return run;
+    }
+
+    _setSaveError(error) {
+        if (!error && !this.saveError) return;
+        this.saveError = error;
+        this.onSaveStateChange?.(error);
+    }
+
+    /**
+     * 需要在重新创建 CollectionManager 后恢复的内存状态（如 service worker 停止后重新启动）：
+     * 撤销/重做记录，以及保存失败时尚未写入存储的数据
+     * @param {function(Error): Object} serializeError
+     * @returns {{history: Object, unsaved: Object|null}}
+     */
+    exportSession(serializeError) {
+        return {
+            history: this.history.export(),
+            unsaved: this.saveError
+                ? {
+                      collections: this.collections,
+                      tombstones: this.tombstones,
+                      trash: this.trash,
+                      version: this.currentVersion,
+                      savedState: this.savedState,
+                      error: serializeError(this.saveError)
+                  }
+                : null
+        };
+    }
+
+    /**
+     * 在 load 之后恢复 exportSession 的结果。未保存的数据保留原来的版本号，
+     * 存储在此期间被修改时，下次保存会与存储中的数据合并
+     * @param {{history: Object, unsaved: Object|null}|null} session
+     */
+    restoreSession(session) {
+        if (!session) return;
+        this.history.restore(session.history);
+        const unsaved = session.unsaved;
+        if (unsaved) {
+            this.collections = unsaved.collections;
+            this.tombstones = unsaved.tombstones;
+            this.trash = unsaved.trash;
+            this.currentVersion = unsaved.version;
+            this.savedState = unsaved.savedState;
+            this.revision++;
+            this._setSaveError(Object.assign(new Error(unsaved.error.message), unsaved.error));
+        }
+    }
+
+    /**
+     * 重新保存（保存失败后由用户触发），页面中的数据保持不变
+     * @returns {Promise<boolean>} 是否保存成功
+     */
+    async retrySave() {
+        await this.performSave();
+        return !this.saveError;
+    }
+
+    /**
+     * 安排一次远程同步，在一连串保存结束后只同步一次
+     */
+    scheduleSync() {
+        this.syncPending = true;
+        this.debouncedSync();
+    }
+
+    /**
+     * 立即执行已安排的远程同步（如页面隐藏时），没有待同步的保存时不做任何事
+     */
+    async flushSync() {
+        // 正在同步时，同步结束后会重新安排
+        if (!this.syncPending || this.isSyncing) return;
+        this.syncPending = false;
+        this.isSyncing = true;
+        try {
+            await this._syncRemote();
+        } finally {
+            this._finishSync();
+        }
+    }
+
+    _finishSync() {
+        this.isSyncing = false;
+        if (this.syncPending) {
+            this.debouncedSync();
+        }
+    }
+
+    /**
+     * 与远程同步并采用同步结果
+     * @returns {Promise<boolean>} 是否成功同步
+     */
+    _syncRemote() {
+        return this._exclusive(async () => {
+            const revision = this.revision;
+            const synced = await SyncService.sync(this.collections, this.tombstones, {
+                resolveConflicts: this.resolveConflicts
+                    ? (conflicts) => this.resolveConflicts(conflicts, 'remote')
+                    : null
+            });
+            // 同步期间若有新的本地变更（包括撤销/重做），保留本地数据，交给排队的下一次保存处理
+            if (!synced || this.revision !== revision) return !!synced;
+
+            this.collections = synced.collections;
+            this.tombstones = synced.tombstones;
+            this.currentVersion = synced.version;
+            this.trash = await StorageService.loadTrash();
+            if (synced.changed) {
+                this._markSaved();
+                this.onChange?.();
+            }
+            return true;
+        });
+    }
+
+    /**
+     * 保存时发现存储已被其他页面修改：以上次保存的数据为共同祖先与存储中的数据三方合并，
+     * 有冲突且设置了 resolveConflicts 时交给用户选择（取消时按修改时间自动解决）
+     * @param {{collections: Array, tombstones: Object, version: number}} stored
+     */
+    async _mergeStored(stored) {
+        const local = { collections: this.collections, tombstones: this.tombstones };
+        const remote = { collections: stored.collections, tombstones: stored.tombstones };
+        let merged = MergeService.reconcile(this.savedState, local, remote);
+
+        if (merged.conflicts.length > 0 && this.resolveConflicts) {
+            const resolutions = await this.resolveConflicts(merged.conflicts, 'local');
+            if (resolutions) {
+                merged = MergeService.reconcile(this.savedState, local, remote, resolutions);
+            }
+        }
+
+        this.collections = merged.collections;
+        this.tombstones = merged.tombstones;
+        this.currentVersion = stored.version;
+        if (merged.changedLocal) {
+            this.onChange?.();
+        }
+    }
+
+    /**
+     * 执行一次可撤销的变更：记录受影响集合的前后状态，变更成功后保存
+     * @param {string} label 历史记录名称
+     * @param {Array<string>} collectionIds 受影响的集合 ID
+     * @param {Function} mutate 返回 false 表示未发生变更
+     * @returns {*} mutate 的返回值
+     */
+    _commit(label, collectionIds, mutate) {
+        const before = this.history.capture(this.collections, collectionIds);
+        const result = mutate();
+        if (result === false) return false;
+        this._touchChanged(before);
+        this.history.push(label, before, this.history.capture(this.collections, collectionIds));
+        this._trackRemovals(before);
+        this.save();
+        return result;
+    }
+
+    /**
+     * 更新变更涉及的集合和标签页的 updatedAt，供同步合并判断新旧：
+     * 集合的名称、颜色或标签顺序变化时更新集合；标签页新增、字段变化或移动到其他集合时更新标签页
+     * @param {Array<{id: string, index: number, collection: Object|null}>} previous 变更前的集合状态
+     */
+    _touchChanged(previous) {
+        const now = Date.now();
+        const prevTabs = new Map();
+        previous.forEach(({ id, collection }) => {
+            (collection?.tabs || []).forEach((tab) => prevTabs.set(tab.id, { tab, collectionId: id }));
+        });
+
+        previous.forEach(({ id, collection: prevCol }) => {
+            const col = this.collections.find((c) => c.id === id);
+            if (!col) return;
+
+            const order = (c) => c.tabs.map((t) => t.id).join(',');
+            if (!prevCol || prevCol.name !== col.name || prevCol.color !== col.color || order(prevCol) !== order(col)) {
+                col.updatedAt = now;
+            }
+
+            col.tabs.forEach((tab) => {
+                const prev = prevTabs.get(tab.id);
+                if (
+                    !prev ||
+                    prev.collectionId !== id ||
+                    prev.tab.title !== tab.title ||
+                    prev.tab.url !== tab.url ||
+                    prev.tab.description !== tab.description
+                ) {
+                    tab.updatedAt = now;
+                }
+            });
+        });
+    }
+
+    /**
+     * 将变更中消失的集合和标签页移入回收站并记录删除时间（tombstone），
+     * 重新出现（被恢复）的条目则从回收站和删除记录中移除
+     * @param {Array<{id: string, index: number, collection: Object|null}>} previous 变更前的集合状态
+     */
+    _trackRemovals(previous) {
+        const liveIds = new Set();
+        this.collections.forEach((col) => {
+            liveIds.add(col.id);
+            col.tabs.forEach((tab) => liveIds.add(tab.id));
+        });
+
+        const now = Date.now();
+        const removed = [];
+        previous.forEach(({ id, index, collection }) => {
+            if (!collection) return;
+            // 仅本地集合中删除的条目在回收站中同样不上传
+            const localOnly = collection.localOnly ? { localOnly: true } : {};
+            if (!liveIds.has(id)) {
+                removed.push({ id, type: 'collection', deletedAt: now, index, item: collection, ...localOnly });
+                return;
+            }
+            collection.tabs.forEach((tab, tabIndex) => {
+                if (!liveIds.has(tab.id)) {
+                    removed.push({
+                        id: tab.id,
+                        type: 'tab',
+                        deletedAt: now,
+                        collectionId: id,
+                        collectionName: collection.name,
+                        index: tabIndex,
+                        item: tab,
+                        ...localOnly
+                    });
+                }
+            });
+        });
+
+        const removedIds = new Set(removed.map((item) => item.id));
+        this.trash = [...removed, ...this.trash.filter((item) => !liveIds.has(item.id) && !removedIds.has(item.id))];
+
+        removedIds.forEach((id) => {
+            this.tombstones[id] = now;
+        });
+        liveIds.forEach((id) => {
+            delete this.tombstones[id];
+        });
+    }
+
+    /**
+     * 从回收站恢复到原集合；原集合已不存在时按原名称新建集合
+     * @param {string} itemId
+     * @returns {boolean}
+     */
+    restoreFromTrash(itemId) {
+        const entry = this.trash.find((item) => item.id === itemId);
+        if (!entry) return false;
+
+        if (entry.type === 'collection') {
+            return this._commit('从回收站恢复', [entry.id], () => {
+                const index = Math.min(entry.index, this.collections.length);
+                this.collections.splice(index, 0, MipaUtils.clone(entry.item));
+                return true;
+            });
+        }
+
+        const target = this.collections.find((col) => col.id === entry.collectionId);
+        const collectionId = target ? target.id : MipaUtils.generateUUID();
+        return this._commit('从回收站恢复', [collectionId], () => {
+            let collection = target;
+            if (!collection) {
+                collection = { id: collectionId, name: entry.collectionName || 'Untitled', color: 'white', tabs: [] };
+                this.collections.push(collection);
+            }
+            collection.tabs.splice(Math.min(entry.index, collection.tabs.length), 0, MipaUtils.clone(entry.item));
+            return true;
+        });
+    }
+
+    /**
+     * 从回收站永久删除
+     * @param {string} itemId
+     */
+    deleteFromTrash(itemId) {
+        this.trash = this.trash.filter((item) => item.id !== itemId);
+        this.tombstones[itemId] = Date.now();
+        this.save();
+    }
+
+    emptyTrash() {
+        const now = Date.now();
+        this.trash.forEach((item) => {
+            this.tombstones[item.id] = now;
+        });
+        this.trash = [];
+        this.save();
+    }
+
+    /**
+     * 按保留天数清除过期的回收站条目
+     * @param {number} days
+     */
+    purgeTrash(days) {
+        const kept = StorageService.purgeExpiredTrash(this.trash, days);
+        if (kept.length !== this.trash.length) {
+            this.trash = kept;
+            this.save();
         }
     }
 
-    addCollection(name, color = 'white') {
+    canUndo() {
+        return this.history.canUndo();
+    }
+
+    canRedo() {
+        return this.history.canRedo();
+    }
+
+    /**
+     * 撤销最近一次变更
+     * @returns {string|null} 被撤销的操作名称
+     */
+    undo() {
+        return this._applyHistoryStep(this.history.undo(this.collections));
+    }
+
+    /**
+     * 重做最近一次撤销的变更
+     * @returns {string|null} 被重做的操作名称
+     */
+    redo() {
+        return this._applyHistoryStep(this.history.redo(this.collections));
+    }
+
+    _applyHistoryStep(step) {
+        if (!step) return null;
+        const previous = this.history.capture(this.collections, step.ids);
+        this.collections = step.collections;
+        this._touchChanged(previous);
+        this._trackRemovals(previous);
+        this.save();
+        return step.label;
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} [color]
+     * @param {Array<{title?: string, url: string, description?: string}>} [tabs] 新集合中的标签页
+     * @returns {Object} 新建的集合
+     */
+    addCollection(name, color = 'white', tabs = []) {
         const newCollection = {
             id: MipaUtils.generateUUID(),
             name: name,
             color: color,
-            tabs: []
+            tabs: tabs.map((tabData) => this._newTab(tabData))
         };
-        this.collections.push(newCollection);
-        this.save();
-        return newCollection;
+        return this._commit('新建集合', [newCollection.id], () => {
+            this.collections.push(newCollection);
+            return newCollection;
+        });
     }
 
-    deleteCollection(collectionId) {
-        this.collections = this.collections.filter((col) => col.id !== collectionId);
-        this.save();
+    /**
+     * 把订阅的集合复制为自己的集合，生成新的集合和标签页 ID
+     * @param {{name: string, color: string, tabs: Array}} source
+     * @returns {Object} 新建的集合
+     */
+    copyCollection(source) {
+        const newCollection = {
+            id: MipaUtils.generateUUID(),
+            name: source.name,
+            color: source.color || 'white',
+            tabs: source.tabs.map((tab) => ({
+                id: MipaUtils.generateUUID(),
+                title: tab.title || 'Untitled',
+                url: tab.url,
+                description: tab.description || tab.title || 'Untitled'
+            }))
+        };
+        return this._commit('复制订阅集合', [newCollection.id], () => {
+            this.collections.push(newCollection);
+            return newCollection;
+        });
     }
 
-    updateCollectionName(collectionId, name) {
-        const collection = this.collections.find((col) => col.id === collectionId);
-        if (collection) {
-            collection.name = name;
-            this.save();
+    /**
+     * 导入集合，跳过同名集合
+     * @param {Array} collections
+     * @returns {number} 实际导入的集合数量
+     */
+    importCollections(collections) {
+        const imported = collections.filter((col) => !this.collections.find((c) => c.name === col.name));
+        if (imported.length === 0) return 0;
+        const prepared = StorageService.prepareCollectionsForSaving(imported);
+        this._commit(
+            '导入集合',
+            prepared.map((col) => col.id),
+            () => {
+                this.collections.push(...prepared);
+            }
+        );
+        return prepared.length;
+    }
+
+    /**
+     * 整体替换所有集合（如恢复快照），作为一次可撤销的变更
+     * @param {string} label
+     * @param {Array} collections
+     * @returns {boolean}
+     */
+    replaceCollections(label, collections) {
+        const ids = [...new Set([...this.collections, ...collections].map((col) => col.id))];
+        return this._commit(label, ids, () => {
+            this.collections = MipaUtils.clone(collections);
             return true;
+        });
+    }
+
+    /**
+     * 恢复远程历史版本：replace 整体替换为该版本，merge 把该版本中的集合和标签页合并回当前数据（同 ID 取较新的修改）
+     * @param {Array} collections 历史版本中的集合
+     * @param {'replace'|'merge'} mode
+     * @returns {boolean}
+     */
+    restoreRevision(collections, mode = 'replace') {
+        // 远程的历史版本中没有仅本地的集合，恢复时保留它们
+        const { synced, localOnly } = MergeService.splitLocalOnly(this.collections);
+        if (mode === 'merge') {
+            return this.replaceCollections(
+                '合并历史版本',
+                MergeService.restoreLocalOnly(MergeService.mergeCollections(synced, collections), localOnly)
+            );
         }
-        return false;
+        return this.replaceCollections('恢复历史版本', MergeService.restoreLocalOnly(collections, localOnly));
+    }
+
+    deleteCollection(collectionId) {
+        return this._commit('删除集合', [collectionId], () => {
+            const exists = this.collections.some((col) => col.id === collectionId);
+            if (!exists) return false;
+            this.collections = this.collections.filter((col) => col.id !== collectionId);
+            return true;
+        });
+    }
+
+    updateCollectionName(collectionId, name) {
+        return this._commit('重命名集合', [collectionId], () => {
+            const collection = this.collections.find((col) => col.id === collectionId);
+            if (collection) {
+                collection.name = name;
+                return true;
+            }
+            return false;
+        });
     }
 
     updateCollectionColor(collectionId, color) {
-        const collection = this.collections.find((col) => col.id === collectionId);
-        if (collection) {
-            collection.color = color;
-            this.save();
+        return this._commit('修改颜色', [collectionId], () => {
+            const collection = this.collections.find((col) => col.id === collectionId);
+            if (collection) {
+                collection.color = color;
+                return true;
+            }
+            return false;
+        });
+    }
+
+    /**
+     * 设置集合是否仅保存在本地：仅本地的集合不会上传到同步服务，合并远程数据时也不会被删除或覆盖
+     * @param {string} collectionId
+     * @param {boolean} localOnly
+     */
+    setCollectionLocalOnly(collectionId, localOnly) {
+        return this._commit(localOnly ? '设为仅本地' : '恢复同步', [collectionId], () => {
+            const collection = this.collections.find((col) => col.id === collectionId);
+            if (!collection || !!collection.localOnly === localOnly) return false;
+            if (localOnly) {
+                collection.localOnly = true;
+            } else {
+                delete collection.localOnly;
+            }
             return true;
-        }
-        return false;
+        });
     }
 
     addTab(collectionId, tabData) {
-        const collection = this.collections.find((col) => col.id === collectionId);
-        if (collection) {
-            const exists = MipaUtils.isTabInCollection(collection, tabData.url);
-            if (exists) return false;
+        return this._commit('添加标签', [collectionId], () => {
+            const collection = this.collections.find((col) => col.id === collectionId);
+            if (collection) {
+                const exists = MipaUtils.isTabInCollection(collection, tabData.url);
+                if (exists) return false;
 
-            const newTab = {
-                id: MipaUtils.generateUUID(),
-                title: tabData.title || 'Untitled',
-                url: tabData.url || '',
-                description: tabData.description || tabData.title || 'Untitled'
-            };
-            collection.tabs.push(newTab);
-            this.save();
-            return newTab;
-        }
-        return false;
+                const newTab = this._newTab(tabData);
+                collection.tabs.push(newTab);
+                return newTab;
+            }
+            return false;
+        });
+    }
+
+    /**
+     * 一次添加多个标签页，只记录一条历史、保存一次；已在集合中的网址跳过
+     * @param {string} collectionId
+     * @param {Array<{title?: string, url: string, description?: string}>} tabs
+     * @returns {Array<Object|null>|false} 与 tabs 对应的新标签页，跳过的为 null；集合不存在或全部跳过时返回 false
+     */
+    addTabs(collectionId, tabs) {
+        return this._commit('添加标签', [collectionId], () => {
+            const collection = this.collections.find((col) => col.id === collectionId);
+            if (!collection) return false;
+
+            const added = tabs.map((tabData) => {
+                if (MipaUtils.isTabInCollection(collection, tabData.url)) return null;
+                const newTab = this._newTab(tabData);
+                collection.tabs.push(newTab);
+                return newTab;
+            });
+            return added.some(Boolean) ? added : false;
+        });
+    }
+
+    _newTab(tabData) {
+        return {
+            id: MipaUtils.generateUUID(),
+            title: tabData.title || 'Untitled',
+            url: tabData.url || '',
+            description: tabData.description || tabData.title || 'Untitled'
+        };
     }
 
     deleteTab(collectionId, tabId) {
-        const collection = this.collections.find((col) => col.id === collectionId);
-        if (collection) {
-            collection.tabs = collection.tabs.filter((tab) => tab.id !== tabId);
-            this.save();
-            return true;
-        }
-        return false;
+        return this._commit('删除标签', [collectionId], () => {
+            const collection = this.collections.find((col) => col.id === collectionId);
+            if (collection) {
+                collection.tabs = collection.tabs.filter((tab) => tab.id !== tabId);
+                return true;
+            }
+            return false;
+        });
     }
 
     updateTab(collectionId, tabId, data) {
-        const collection = this.collections.find((col) => col.id === collectionId);
-        if (collection) {
-            const tab = collection.tabs.find((t) => t.id === tabId);
-            if (tab) {
-                if (data.title) tab.title = data.title;
-                if (data.description !== undefined) tab.description = data.description;
-                if (data.url) tab.url = data.url;
-                this.save();
-                return true;
+        return this._commit('编辑标签', [collectionId], () => {
+            const collection = this.collections.find((col) => col.id === collectionId);
+            if (collection) {
+                const tab = collection.tabs.find((t) => t.id === tabId);
+                if (tab) {
+                    if (data.title) tab.title = data.title;
+                    if (data.description !== undefined) tab.description = data.description;
+                    if (data.url) tab.url = data.url;
+                    return true;
+                }
             }
-        }
-        return false;
+            return false;
+        });
     }
 
     moveTab(tabId, fromColId, toColId, newIndex) {
-        const fromCol = this.collections.find((c) => c.id === fromColId);
-        const toCol = this.collections.find((c) => c.id === toColId);
-
-        if (fromCol && toCol) {
-            const tabIndex = fromCol.tabs.findIndex((t) => t.id === tabId);
-            if (tabIndex > -1) {
-                const [tab] = fromCol.tabs.splice(tabIndex, 1);
-                toCol.tabs.splice(newIndex, 0, tab);
-                this.save();
-                return true;
+        return this._commit('移动标签', [...new Set([fromColId, toColId])], () => {
+            const fromCol = this.collections.find((c) => c.id === fromColId);
+            const toCol = this.collections.find((c) => c.id === toColId);
+
+            if (fromCol && toCol) {
+                const tabIndex = fromCol.tabs.findIndex((t) => t.id === tabId);
+                if (tabIndex > -1) {
+                    const [tab] = fromCol.tabs.splice(tabIndex, 1);
+                    toCol.tabs.splice(newIndex, 0, tab);
+                    return true;
+                }
             }
-        }
-        return false;
+            return false;
+        });
     }
 
     reorderTabs(collectionId, oldIndex, newIndex) {
-        const collection = this.collections.find((c) => c.id === collectionId);
-        if (collection) {
-            const [tab] = collection.tabs.splice(oldIndex, 1);
-            collection.tabs.splice(newIndex, 0, tab);
-            this.save();
-            return true;
-        }
-        return false;
+        return this._commit('调整顺序', [collectionId], () => {
+            const collection = this.collections.find((c) => c.id === collectionId);
+            if (collection && oldIndex !== newIndex) {
+                const [tab] = collection.tabs.splice(oldIndex, 1);
+                collection.tabs.splice(newIndex, 0, tab);
+                return true;
+            }
+            return false;
+        });
     }
 
-    async sync(token = null, showAlerts = true) {
+    async sync(showAlerts = true) {
         if (this.isSyncing) return;
         this.isSyncing = true;
+        this.syncPending = false;
         try {
-            let githubToken = token;
-            if (!githubToken) {
-                const result = await chrome.storage.local.get('githubToken');
-                githubToken = result.githubToken;
-            }
-
-            if (!githubToken) {
-                if (showAlerts) throw new Error('No GitHub token found');
+            if (!(await SyncService.isConnected())) {
+                if (showAlerts) throw new Error('尚未连接同步服务');
                 return;
             }
 
-            const synced = await GistService.syncWithGist(this.collections);
-            if (synced) {
-                this.collections = synced.collections;
-                this.currentVersion = synced.version;
-                return true;
-            }
+            return await this._syncRemote();
         } catch (error) {
             console.error('Sync error:', error);
             if (showAlerts) throw error;
         } finally {
-            this.isSyncing = false;
+            this._finishSync();
         }
     }
+
+    /**
+     * 连接同步服务（主机权限需要先在页面中申请，见 SyncService.requestAccess），不与正在进行的同步交错
+     * @param {string} providerId
+     * @param {Object} config
+     * @returns {Promise<string>} 服务器说明
+     */
+    connectSync(providerId, config) {
+        return this._exclusive(() => SyncService.connect(providerId, config));
+    }
+
+    disconnectSync() {
+        return this._exclusive(() => SyncService.disconnect());
+    }
+
+    /**
+     * 用当前的数据覆盖远程数据，包括还没有写入存储的修改
+     */
+    forcePush() {
+        return this._exclusive(() => SyncService.forcePush(this.collections, this.tombstones));
+    }
+
+    /**
+     * @param {string} target 见 SyncService.relink
+     */
+    relinkSync(target) {
+        return this._exclusive(() => SyncService.relink(target));
+    }
+
+    setSyncPassphrase(passphrase) {
+        return this._exclusive(() => SyncService.setPassphrase(passphrase));
+    }
+
+    unlockSync(passphrase) {
+        return this._exclusive(() => SyncService.unlock(passphrase));
+    }
+
+    disableSyncEncryption() {
+        return this._exclusive(() => SyncService.disableEncryption());
+    }
+
+    /**
+     * 为当前的数据创建快照，包括还没有写入存储的修改
+     * @param {string} label
+     */
+    async createSnapshot(label) {
+        await StorageService.createSnapshot(label, { version: this.currentVersion, collections: this.collections });
+    }
 }
@@ -0,0 +1,147 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { CollectionManager } from './CollectionManager.js';
+import { BackgroundDataService } from '../services/BackgroundDataService.js';
+import { StorageService } from '../services/StorageService.js';
+import { SyncService } from '../services/SyncService.js';
+
+// 不写入存储：只记录有新的修改
+const createManager = () => {
+    const manager = new CollectionManager();
+    manager.save = () => {
+        manager.revision++;
+    };
+    return manager;
+};
+
+// service worker 停止后重新启动：导出的会话经过 chrome.storage.session 序列化，由新的 CollectionManager 恢复
+const restart = (manager, collections) => {
+    const session = JSON.parse(
+        JSON.stringify(manager.exportSession((error) => BackgroundDataService.serializeError(error)))
+    );
+    const restarted = createManager();
+    restarted.collections = collections;
+    restarted.restoreSession(session);
+    return restarted;
+};
+
+describe('CollectionManager 撤销/重做', () => {
+    it('撤销和重做集合与标签页的修改', () => {
+        const manager = createManager();
+        const collection = manager.addCollection('A', 'white', [{ url: 'https://example.com/' }]);
+        manager.updateCollectionName(collection.id, 'B');
+
+        expect(manager.undo()).toBe('重命名集合');
+        expect(manager.getCollections()[0].name).toBe('A');
+        expect(manager.undo()).toBe('新建集合');
+        expect(manager.getCollections()).toEqual([]);
+        expect(manager.canUndo()).toBe(false);
+
+        expect(manager.redo()).toBe('新建集合');
+        expect(manager.getCollections()[0].tabs.map((tab) => tab.url)).toEqual(['https://example.com/']);
+        expect(manager.canRedo()).toBe(true);
+    });
+
+    it('撤销删除时从回收站和删除记录中移除', () => {
+        const manager = createManager();
+        const collection = manager.addCollection('A');
+        manager.deleteCollection(collection.id);
+        expect(manager.getTrash().map((item) => item.id)).toEqual([collection.id]);
+
+        manager.undo();
+        expect(manager.getCollections().map((c) => c.id)).toEqual([collection.id]);
+        expect(manager.getTrash()).toEqual([]);
+        expect(manager.tombstones).toEqual({});
+    });
+});
+
+describe('CollectionManager 会话恢复', () => {
+    it('重新启动后保留撤销和重做记录', () => {
+        const manager = createManager();
+        const collection = manager.addCollection('A');
+        manager.updateCollectionName(collection.id, 'B');
+        manager.undo();
+
+        const restarted = restart(manager, manager.getCollections());
+        expect(restarted.canUndo()).toBe(true);
+        expect(restarted.redo()).toBe('重命名集合');
+        expect(restarted.getCollections()[0].name).toBe('B');
+        expect(restarted.undo()).toBe('重命名集合');
+        expect(restarted.undo()).toBe('新建集合');
+        expect(restarted.getCollections()).toEqual([]);
+    });
+
+    it('保存失败的数据在重新启动后恢复，并保留错误标记', () => {
+        const manager = createManager();
+        manager.addCollection('A');
+        manager.currentVersion = 3;
+        manager._setSaveError(Object.assign(new Error('存储空间不足'), { quotaExceeded: true }));
+
+        const restarted = restart(manager, []);
+        expect(restarted.getCollections().map((c) => c.name)).toEqual(['A']);
+        expect(restarted.getVersion()).toBe(3);
+        expect(restarted.hasUnsavedChanges()).toBe(true);
+        expect(restarted.saveError).toMatchObject({ message: '存储空间不足', quotaExceeded: true });
+    });
+
+    it('没有保存失败时不恢复数据', () => {
+        const manager = createManager();
+        manager.addCollection('A');
+
+        const restarted = restart(manager, []);
+        expect(restarted.getCollections()).toEqual([]);
+        expect(restarted.hasUnsavedChanges()).toBe(false);
+    });
+});
+
+describe('CollectionManager 保存与同步', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('远程同步进行中时保存等同步结束后再写入', async () => {
+        const events = [];
+        let finishSync;
+        vi.spyOn(SyncService, 'sync').mockImplementation(async (collections) => {
+            events.push('sync start');
+            await new Promise((resolve) => {
+                finishSync = resolve;
+            });
+            events.push('sync end');
+            return { collections, tombstones: {}, version: 2, conflicts: [], changed: true };
+        });
+        vi.spyOn(StorageService, 'loadTrash').mockResolvedValue([]);
+        vi.spyOn(StorageService, 'saveTrash').mockResolvedValue();
+        vi.spyOn(StorageService, 'saveToLocalStorage').mockImplementation(async (collections, sort, version) => {
+            events.push(`save at ${version}`);
+            return { success: true, collections, version: version + 1, conflict: false };
+        });
+
+        const manager = new CollectionManager();
+        manager.scheduleSync = () => {};
+        manager.currentVersion = 1;
+        // 有一次尚未保存的修改
+        manager.revision = 1;
+        manager.syncPending = true;
+        const sync = manager.flushSync();
+        await vi.waitFor(() => expect(events).toEqual(['sync start']));
+
+        const save = manager.performSave();
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        expect(events).toEqual(['sync start']);
+
+        finishSync();
+        await Promise.all([sync, save]);
+        expect(events).toEqual(['sync start', 'sync end', 'save at 2']);
+        expect(manager.getVersion()).toBe(3);
+    });
+    it('强制推送使用还没有写入存储的修改', async () => {
+        const forcePush = vi.spyOn(SyncService, 'forcePush').mockResolvedValue();
+        const manager = createManager();
+        manager.addCollection('A', 'white', [{ url: 'https://example.com/' }]);
+
+        await manager.forcePush();
+
+        expect(forcePush).toHaveBeenCalledWith(manager.collections, manager.tombstones);
+        expect(forcePush.mock.calls[0][0].map((c) => c.name)).toEqual(['A']);
+    });
+});
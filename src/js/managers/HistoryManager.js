@@ -0,0 +1,122 @@
+import { MipaUtils } from '../utils.js';
+
+/**
+ * 操作历史：以集合为粒度记录每次变更前后的状态，支持多级撤销/重做。
+ * 记录按集合 ID 定位而不是按数组引用，因此保存、同步替换 collections 数组后依然有效；
+ * 版本号不进入历史，撤销/重做总是作为一次新的保存写入。
+ */
+export class HistoryManager {
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * 截取指定集合的当前状态（深拷贝 + 所在位置），不存在的集合记为 null
+     * @param {Array} collections
+     * @param {Array<string>} ids
+     * @returns {Array<{id: string, index: number, collection: Object|null}>}
+     */
+    capture(collections, ids) {
+        return ids.map((id) => {
+            const index = collections.findIndex((c) => c.id === id);
+            return { id, index, collection: index > -1 ? MipaUtils.clone(collections[index]) : null };
+        });
+    }
+
+    /**
+     * 记录一次变更，新的变更会清空重做栈
+     * @param {string} label
+     * @param {Array} before
+     * @param {Array} after
+     */
+    push(label, before, after) {
+        this.undoStack.push({ label, before, after });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * 撤销最近一次变更
+     * @param {Array} collections
+     * @returns {{label: string, ids: Array<string>, collections: Array}|null}
+     */
+    undo(collections) {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        this.redoStack.push(entry);
+        return {
+            label: entry.label,
+            ids: entry.before.map((s) => s.id),
+            collections: this.apply(collections, entry.before)
+        };
+    }
+
+    /**
+     * 重做最近一次撤销的变更
+     * @param {Array} collections
+     * @returns {{label: string, ids: Array<string>, collections: Array}|null}
+     */
+    redo(collections) {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        this.undoStack.push(entry);
+        return {
+            label: entry.label,
+            ids: entry.after.map((s) => s.id),
+            collections: this.apply(collections, entry.after)
+        };
+    }
+
+    /**
+     * 可以序列化保存的撤销/重做记录，供 restore 恢复
+     * @returns {{undoStack: Array, redoStack: Array}}
+     */
+    export() {
+        return { undoStack: this.undoStack, redoStack: this.redoStack };
+    }
+
+    /**
+     * @param {{undoStack: Array, redoStack: Array}|null} state export 的结果
+     */
+    restore(state) {
+        this.undoStack = state?.undoStack || [];
+        this.redoStack = state?.redoStack || [];
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * 将截取的集合状态应用到集合列表上，未涉及的集合保持不变
+     * @param {Array} collections
+     * @param {Array} states
+     * @returns {Array}
+     */
+    apply(collections, states) {
+        const ids = new Set(states.map((s) => s.id));
+        const result = collections.filter((c) => !ids.has(c.id));
+
+        states
+            .filter((s) => s.collection)
+            .sort((a, b) => a.index - b.index)
+            .forEach((s) => {
+                result.splice(Math.min(s.index, result.length), 0, MipaUtils.clone(s.collection));
+            });
+
+        return result;
+    }
+}
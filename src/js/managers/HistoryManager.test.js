@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import { HistoryManager } from './HistoryManager.js';
+
+const col = (id, name = id) => ({ id, name, color: 'white', tabs: [] });
+
+// 模拟一次变更：记录受影响集合的前后状态
+const change = (history, label, collections, ids, mutate) => {
+    const before = history.capture(collections, ids);
+    const after = mutate(collections);
+    history.push(label, before, history.capture(after, ids));
+    return after;
+};
+
+describe('HistoryManager', () => {
+    it('撤销和重做恢复受影响集合的内容和位置', () => {
+        const history = new HistoryManager();
+        let collections = [col('a'), col('b'), col('c')];
+        collections = change(history, '删除集合', collections, ['b'], (list) => list.filter((c) => c.id !== 'b'));
+        collections = change(history, '重命名集合', collections, ['a'], (list) => [col('a', 'A'), ...list.slice(1)]);
+
+        const undone = history.undo(collections);
+        expect(undone.label).toBe('重命名集合');
+        expect(undone.collections.map((c) => c.name)).toEqual(['a', 'c']);
+
+        const restored = history.undo(undone.collections);
+        expect(restored.collections.map((c) => c.id)).toEqual(['a', 'b', 'c']);
+        expect(history.canUndo()).toBe(false);
+
+        const redone = history.redo(restored.collections);
+        expect(redone.label).toBe('删除集合');
+        expect(redone.collections.map((c) => c.id)).toEqual(['a', 'c']);
+        expect(history.canRedo()).toBe(true);
+    });
+
+    it('撤销时不影响其他集合后来的修改', () => {
+        const history = new HistoryManager();
+        let collections = [col('a'), col('b')];
+        collections = change(history, '重命名集合', collections, ['a'], () => [col('a', 'A'), col('b')]);
+        collections = [collections[0], col('b', 'synced')];
+
+        expect(history.undo(collections).collections.map((c) => c.name)).toEqual(['a', 'synced']);
+    });
+
+    it('新的变更清空重做记录', () => {
+        const history = new HistoryManager();
+        let collections = change(history, '新建集合', [], ['a'], () => [col('a')]);
+        collections = history.undo(collections).collections;
+        change(history, '新建集合', collections, ['b'], () => [col('b')]);
+
+        expect(history.canRedo()).toBe(false);
+        expect(history.redo(collections)).toBeNull();
+    });
+
+    it('只保留最近 limit 条记录', () => {
+        const history = new HistoryManager(2);
+        let collections = [];
+        ['a', 'b', 'c'].forEach((id) => {
+            collections = change(history, id, collections, [id], (list) => [...list, col(id)]);
+        });
+
+        expect(history.undo(collections).label).toBe('c');
+        expect(history.undo(collections).label).toBe('b');
+        expect(history.undo(collections)).toBeNull();
+    });
+
+    it('导出的记录序列化后可以恢复（service worker 重新启动）', () => {
+        const history = new HistoryManager();
+        let collections = change(history, '新建集合', [], ['a'], () => [col('a')]);
+        collections = change(history, '重命名集合', collections, ['a'], () => [col('a', 'A')]);
+        collections = history.undo(collections).collections;
+
+        const restored = new HistoryManager();
+        restored.restore(JSON.parse(JSON.stringify(history.export())));
+
+        expect(restored.redo(collections).collections).toEqual([col('a', 'A')]);
+        expect(restored.undo(collections).label).toBe('重命名集合');
+        expect(restored.undo(collections).label).toBe('新建集合');
+    });
+
+    it('没有保存的记录时恢复为空', () => {
+        const history = new HistoryManager();
+        history.restore(null);
+        expect(history.canUndo()).toBe(false);
+        expect(history.canRedo()).toBe(false);
+    });
+});
@@ -1,24 +1,47 @@
+import { MipaUtils } from '../utils.js';
+
 export class ModalManager {
     constructor(callbacks = {}) {
         this.callbacks = callbacks;
         this.currentDeletingCollectionId = null;
         this.currentEditingTab = null;
+        this.currentSnapshotId = null;
+        this.currentRevision = null;
+        this.revisions = new Map();
+        this.revisionPage = 1;
+        this.conflictResolve = null;
+        this.encryptionMode = null;
+        this.currentSharingCollectionId = null;
 
-        // Gist Modal Elements
-        this.gistModal = document.getElementById('gist-modal');
-        this.gistLoginForm = document.getElementById('gist-login-form');
-        this.gistLogoutConfirm = document.getElementById('gist-logout-confirm');
-        this.gistErrorMessage = document.getElementById('gist-error-message');
-        this.gistModalTitle = document.getElementById('gist-modal-title');
-        this.githubTokenInput = document.getElementById('github-token');
+        // Sync Modal Elements
+        this.syncModal = document.getElementById('sync-modal');
+        this.syncLoginForm = document.getElementById('sync-login-form');
+        this.syncLogoutConfirm = document.getElementById('sync-logout-confirm');
+        this.syncErrorMessage = document.getElementById('sync-error-message');
+        this.syncModalTitle = document.getElementById('sync-modal-title');
+        this.syncProviderSelect = document.getElementById('sync-provider');
         this.errorMessageText = document.getElementById('error-message-text');
-        this.gistConnectBtn = document.getElementById('gist-connect-btn');
+        this.syncConnectBtn = document.getElementById('sync-connect-btn');
+        this.syncTestBtn = document.getElementById('sync-test-btn');
+        this.syncTestResult = document.getElementById('sync-test-result');
+        this.syncScheduleSelect = document.getElementById('sync-schedule');
+        this.syncPanel = document.getElementById('sync-panel-modal');
+        this.syncRelinkForm = document.getElementById('sync-relink-form');
     }
 
     init() {
         this.initEditTabModal();
         this.initDeleteModal();
-        this.initGistModal();
+        this.initSyncModal();
+        this.initSyncPanel();
+        this.initEncryptionModal();
+        this.initShareModal();
+        this.initSubscribeModal();
+        this.initSettingsModal();
+        this.initTrashModal();
+        this.initSnapshotModal();
+        this.initHistoryModal();
+        this.initConflictModal();
     }
 
     initEditTabModal() {
@@ -88,16 +111,16 @@ export class ModalManager {
         });
     }
 
-    initGistModal() {
-        if (!this.gistModal) return;
+    initSyncModal() {
+        if (!this.syncModal) return;
 
-        const closeBtn = document.querySelector('.gist-modal-close');
-        const cancelBtn = document.getElementById('gist-cancel-btn');
-        const cancelLogoutBtn = document.getElementById('gist-cancel-logout-btn');
-        const logoutBtn = document.getElementById('gist-logout-btn');
-        const closeErrorBtn = document.getElementById('gist-close-error-btn');
+        const closeBtn = document.querySelector('.sync-modal-close');
+        const cancelBtn = document.getElementById('sync-cancel-btn');
+        const cancelLogoutBtn = document.getElementById('sync-cancel-logout-btn');
+        const logoutBtn = document.getElementById('sync-logout-btn');
+        const closeErrorBtn = document.getElementById('sync-close-error-btn');
 
-        const closeModal = () => this.closeGistModal();
+        const closeModal = () => this.closeSyncModal();
 
         closeBtn?.addEventListener('click', closeModal);
         cancelBtn?.addEventListener('click', closeModal);
@@ -105,36 +128,1190 @@ export class ModalManager {
         closeErrorBtn?.addEventListener('click', closeModal);
 
         window.addEventListener('click', (e) => {
-            if (e.target === this.gistModal) closeModal();
+            if (e.target === this.syncModal) closeModal();
         });
 
-        this.gistConnectBtn?.addEventListener('click', async () => {
-            const token = this.githubTokenInput.value.trim();
-            if (!token) return;
+        this.syncProviderSelect?.addEventListener('change', () => this.showProviderFields());
+
+        this.syncTestBtn?.addEventListener('click', async () => {
+            const providerId = this.syncProviderSelect.value;
+            const config = this.getProviderConfig(providerId);
+            if (!config || !this.callbacks.onSyncTest) return;
+
+            this.syncTestBtn.disabled = true;
+            this.showSyncTestResult('正在检测服务器...');
+            try {
+                const description = await this.callbacks.onSyncTest(providerId, { ...config });
+                this.showSyncTestResult(`连接成功：${description}`, 'success');
 
-            if (this.callbacks.onGistConnect) {
-                this.gistConnectBtn.disabled = true;
-                this.gistConnectBtn.innerHTML = 'Connecting...';
+                const select = this.getProviderFields(providerId).querySelector('select[data-existing]');
+                if (select && this.callbacks.onSyncFindExisting) {
+                    this.renderExistingRemotes(select, await this.callbacks.onSyncFindExisting(providerId, config));
+                }
+            } catch (error) {
+                this.showExistingRemotes(providerId, error);
+                this.showSyncTestResult(error.message, 'error');
+            } finally {
+                this.syncTestBtn.disabled = false;
+            }
+        });
+
+        this.syncConnectBtn?.addEventListener('click', async () => {
+            const providerId = this.syncProviderSelect.value;
+            const config = this.getProviderConfig(providerId);
+            if (!config) return;
+
+            if (this.callbacks.onSyncConnect) {
+                this.syncConnectBtn.disabled = true;
+                this.syncConnectBtn.innerHTML = '连接中...';
                 try {
-                    await this.callbacks.onGistConnect(token);
+                    await this.callbacks.onSyncConnect(providerId, config);
                     closeModal();
                 } catch (error) {
-                    this.showGistModal('error', error.message);
+                    // 账号下已有同步数据时留在表单中选择
+                    if (this.showExistingRemotes(providerId, error)) {
+                        this.showSyncTestResult(error.message, 'error');
+                    } else {
+                        this.showSyncModal('error', error.message);
+                    }
                 } finally {
-                    this.gistConnectBtn.disabled = false;
-                    this.gistConnectBtn.innerHTML = 'Connect';
+                    this.syncConnectBtn.disabled = false;
+                    this.syncConnectBtn.innerHTML = '连接';
                 }
             }
         });
 
         logoutBtn?.addEventListener('click', async () => {
-            if (this.callbacks.onGistLogout) {
-                await this.callbacks.onGistLogout();
+            if (this.callbacks.onSyncLogout) {
+                await this.callbacks.onSyncLogout();
+                closeModal();
+            }
+        });
+    }
+
+    getProviderFields(providerId) {
+        return this.syncModal.querySelector(`.sync-provider-fields[data-provider="${providerId}"]`);
+    }
+
+    /**
+     * 读取当前同步方式的表单，必填项为空时返回 null；可选项（data-optional）为空时不写入配置
+     * @param {string} providerId
+     * @returns {Object|null}
+     */
+    getProviderConfig(providerId) {
+        const config = {};
+        const inputs = this.getProviderFields(providerId).querySelectorAll('[data-field]');
+        for (const input of inputs) {
+            const value = input.value.trim();
+            if (value) {
+                config[input.dataset.field] = value;
+            } else if (!input.hasAttribute('data-optional')) {
+                input.focus();
+                return null;
+            }
+        }
+        return config;
+    }
+
+    /**
+     * 连接失败的原因是账号下已有同步数据、需要用户选择时，把候选列表加入选择框
+     * @param {string} providerId
+     * @param {Error & {existing?: Array}} error
+     * @returns {boolean} 是否显示了候选列表
+     */
+    showExistingRemotes(providerId, error) {
+        const select = this.getProviderFields(providerId).querySelector('select[data-existing]');
+        if (!select || !error.existing) return false;
+        this.renderExistingRemotes(select, error.existing);
+        return true;
+    }
+
+    /**
+     * 把账号下已有的同步数据加入选择列表（保留开头的 "未选择" 和 "新建" 选项）。不预先选中，由用户决定加入哪一个
+     * @param {HTMLSelectElement} select
+     * @param {Array<{id: string, description: string, updatedAt: string}>} remotes
+     */
+    renderExistingRemotes(select, remotes) {
+        const selected = select.value;
+        select.querySelectorAll('option[data-remote]').forEach((option) => option.remove());
+        remotes.forEach((remote) => {
+            const option = document.createElement('option');
+            option.value = remote.id;
+            option.dataset.remote = '';
+            option.textContent = `${remote.description || remote.id.slice(0, 7)} · ${remote.id.slice(0, 7)} · 更新于 ${new Date(remote.updatedAt).toLocaleString()}`;
+            select.appendChild(option);
+        });
+        select.value = [...select.options].some((option) => option.value === selected) ? selected : '';
+    }
+
+    /**
+     * @param {string} message
+     * @param {'success'|'error'} [status] 不传时显示为进行中
+     */
+    showSyncTestResult(message, status) {
+        if (!this.syncTestResult) return;
+        this.syncTestResult.textContent = message;
+        this.syncTestResult.classList.remove('hidden', 'success', 'error');
+        if (status) this.syncTestResult.classList.add(status);
+    }
+
+    showProviderFields() {
+        const providerId = this.syncProviderSelect.value;
+        this.syncModal.querySelectorAll('.sync-provider-fields').forEach((fields) => {
+            fields.classList.toggle('hidden', fields.dataset.provider !== providerId);
+        });
+        // 自托管服务需要先识别服务器类型，Gist 可以先检查令牌并选择已有的 Gist
+        this.syncTestBtn?.classList.toggle('hidden', !this.getProviderFields(providerId).hasAttribute('data-testable'));
+        this.syncTestResult?.classList.add('hidden');
+        setTimeout(() => this.getProviderFields(providerId).querySelector('input')?.focus(), 50);
+    }
+
+    initSyncPanel() {
+        if (!this.syncPanel) return;
+
+        const closeModal = () => this.syncPanel.classList.remove('flex');
+        const relinkTarget = document.getElementById('sync-relink-target');
+
+        document.querySelector('.sync-panel-close')?.addEventListener('click', closeModal);
+
+        window.addEventListener('click', (e) => {
+            if (e.target === this.syncPanel) closeModal();
+        });
+
+        // 操作进行中禁用按钮，失败时在面板内显示错误
+        const run = async (button, action) => {
+            button.disabled = true;
+            this.showSyncPanelError('');
+            try {
+                await action();
+            } catch (error) {
+                this.showSyncPanelError(error.message);
+            } finally {
+                button.disabled = false;
+            }
+        };
+
+        const retryBtn = document.getElementById('sync-retry-btn');
+        retryBtn?.addEventListener('click', () => run(retryBtn, () => this.callbacks.onRetrySync?.()));
+
+        this.syncScheduleSelect?.addEventListener('change', () => {
+            this.callbacks.onChangeSyncSchedule?.(parseInt(this.syncScheduleSelect.value, 10));
+        });
+
+        const pullBtn = document.getElementById('sync-pull-btn');
+        pullBtn?.addEventListener('click', () => run(pullBtn, () => this.callbacks.onPullNow?.()));
+
+        const forcePushBtn = document.getElementById('sync-force-push-btn');
+        forcePushBtn?.addEventListener('click', () => {
+            if (!confirm('强制推送会用本设备的数据覆盖远程数据，其他设备未同步的修改将会丢失。确定要继续吗？')) return;
+            run(forcePushBtn, () => this.callbacks.onForcePush?.());
+        });
+
+        document.getElementById('sync-relink-toggle')?.addEventListener('click', () => {
+            this.syncRelinkForm.classList.toggle('hidden');
+            relinkTarget.value = '';
+            relinkTarget.focus();
+        });
+        document.getElementById('sync-relink-cancel')?.addEventListener('click', () => {
+            this.syncRelinkForm.classList.add('hidden');
+        });
+        this.syncRelinkForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const submitBtn = this.syncRelinkForm.querySelector('button[type="submit"]');
+            run(submitBtn, async () => {
+                await this.callbacks.onRelink?.(relinkTarget.value);
+                this.syncRelinkForm.classList.add('hidden');
+            });
+        });
+
+        document.getElementById('sync-log-clear-btn')?.addEventListener('click', () => {
+            this.callbacks.onClearSyncLog?.();
+        });
+
+        document.getElementById('sync-disconnect-btn')?.addEventListener('click', () => {
+            closeModal();
+            this.callbacks.onRequestDisconnect?.();
+        });
+
+        document.getElementById('sync-credentials-btn')?.addEventListener('click', () => {
+            closeModal();
+            this.callbacks.onOpenCredentials?.();
+        });
+
+        document.getElementById('sync-lock-btn')?.addEventListener('click', () => {
+            closeModal();
+            this.callbacks.onLockCredentials?.();
+        });
+    }
+
+    /**
+     * 打开同步状态面板
+     * @param {Object} data 见 renderSyncPanel
+     */
+    showSyncPanel(data) {
+        this.syncRelinkForm?.classList.add('hidden');
+        this.showSyncPanelError('');
+        this.renderSyncPanel(data);
+        this.syncPanel.classList.add('flex');
+    }
+
+    isSyncPanelOpen() {
+        return !!this.syncPanel?.classList.contains('flex');
+    }
+
+    /**
+     * @param {{provider: string, status: Object, log: Array, localVersion: number, intervalMinutes: number,
+     *   queue: string|null, relinkLabel: string|null, credentials: {protected: boolean}}} data
+     *   relinkLabel 为 null 表示当前同步方式不支持重新关联
+     */
+    renderSyncPanel(data) {
+        const { status } = data;
+        const time = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : '尚未同步');
+        const directions = {
+            pull: '从远程拉取',
+            push: '推送到远程',
+            both: '双向合并',
+            none: '两端一致'
+        };
+
+        document.getElementById('sync-status-provider').textContent = data.provider;
+        document.getElementById('sync-status-pull').textContent = time(status.lastPullAt);
+        document.getElementById('sync-status-push').textContent = time(status.lastPushAt);
+        document.getElementById('sync-status-direction').textContent = directions[status.direction] || '-';
+        document.getElementById('sync-status-version').textContent =
+            `本地 ${data.localVersion} · 远程 ${status.remoteVersion ?? '-'}`;
+        document.getElementById('sync-status-error').textContent = status.lastError || '无';
+        document.getElementById('sync-status-credentials').textContent = data.credentials.protected
+            ? '已用凭据密码加密'
+            : '未设置密码，只保存到浏览器关闭';
+        document.getElementById('sync-lock-btn').classList.toggle('hidden', !data.credentials.protected);
+
+        if (this.syncScheduleSelect) {
+            this.syncScheduleSelect.value = String(data.intervalMinutes);
+        }
+        this.renderSyncQueue(data.queue);
+
+        document.getElementById('sync-relink-toggle').classList.toggle('hidden', !data.relinkLabel);
+        if (data.relinkLabel) {
+            document.getElementById('sync-relink-label').textContent = data.relinkLabel;
+        }
+
+        this.renderSyncLog(data.log);
+    }
+
+    renderSyncLog(log) {
+        const list = document.getElementById('sync-log');
+        const icons = {
+            pull: 'fa-download',
+            push: 'fa-upload',
+            conflict: 'fa-code-merge',
+            error: 'fa-circle-exclamation',
+            info: 'fa-circle-info'
+        };
+        list.innerHTML = '';
+
+        if (log.length === 0) {
+            list.innerHTML = '<li class="empty-state">暂无同步记录</li>';
+            return;
+        }
+
+        log.forEach((entry) => {
+            const item = document.createElement('li');
+            item.className = `sync-log-item ${entry.type}`;
+
+            const icon = document.createElement('i');
+            icon.className = `fas ${icons[entry.type] || icons.info}`;
+
+            const message = document.createElement('span');
+            message.className = 'sync-log-message';
+            message.textContent = entry.message;
+
+            const time = document.createElement('span');
+            time.className = 'sync-log-time';
+            time.textContent = new Date(entry.time).toLocaleString();
+
+            item.appendChild(icon);
+            item.appendChild(message);
+            item.appendChild(time);
+            list.appendChild(item);
+        });
+    }
+
+    showSyncPanelError(message) {
+        const error = document.getElementById('sync-panel-error');
+        if (!error) return;
+        error.textContent = message;
+        error.classList.toggle('hidden', !message);
+    }
+
+    initEncryptionModal() {
+        const modal = document.getElementById('encryption-modal');
+        if (!modal) return;
+
+        const form = document.getElementById('encryption-form');
+        const passphraseInput = document.getElementById('encryption-passphrase');
+        const confirmInput = document.getElementById('encryption-confirm');
+        const submitBtn = document.getElementById('encryption-submit-btn');
+        const disableBtn = document.getElementById('encryption-disable-btn');
+        this.encryptionHint = document.getElementById('encryption-hint-text')?.textContent || '';
+
+        const closeModal = () => this.closeEncryption();
+
+        document.querySelector('.encryption-modal-close')?.addEventListener('click', closeModal);
+        document.getElementById('encryption-cancel-btn')?.addEventListener('click', closeModal);
+
+        window.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        // 提交期间禁用按钮，派生密钥需要一两秒
+        const run = async (button, action) => {
+            const label = button.textContent;
+            button.disabled = true;
+            button.textContent = '处理中...';
+            this.showEncryptionError('');
+            try {
+                await action();
+                closeModal();
+            } catch (error) {
+                this.showEncryptionError(error.message);
+            } finally {
+                button.disabled = false;
+                button.textContent = label;
+            }
+        };
+
+        form?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const passphrase = passphraseInput.value;
+            if (!passphrase) return;
+
+            const mode = this.encryptionMode;
+            if (mode === 'unlock') {
+                run(submitBtn, () => this.callbacks.onUnlockSync?.(passphrase));
+                return;
+            }
+            if (mode === 'credentials-unlock') {
+                run(submitBtn, () => this.callbacks.onUnlockCredentials?.(passphrase));
+                return;
+            }
+            if (mode === 'credentials-reenter') {
+                run(submitBtn, () => this.callbacks.onReenterCredentials?.(passphrase));
+                return;
+            }
+            if (passphrase !== confirmInput.value) {
+                this.showEncryptionError('两次输入的密码不一致');
+                return;
+            }
+            if (mode.startsWith('credentials-')) {
+                run(submitBtn, () => this.callbacks.onSetCredentialPassphrase?.(passphrase, mode));
+            } else {
+                run(submitBtn, () => this.callbacks.onSetPassphrase?.(passphrase, mode));
+            }
+        });
+
+        disableBtn?.addEventListener('click', () => {
+            if (this.encryptionMode === 'credentials-change') {
+                if (!confirm('取消后同步凭据只保存到浏览器关闭，每次启动浏览器都要重新输入。确定要取消密码保护吗？'))
+                    return;
+                run(disableBtn, () => this.callbacks.onRemoveCredentialPassphrase?.());
+                return;
+            }
+            if (!confirm('关闭后同步数据将以明文上传，其他设备下次同步时也会关闭加密。确定要关闭吗？')) return;
+            run(disableBtn, () => this.callbacks.onDisableEncryption?.());
+        });
+    }
+
+    /**
+     * 同步数据加密（enable / change / unlock）和同步凭据密码（credentials-*）共用这个对话框；
+     * credentials-reenter 用于未设置凭据密码时重新输入浏览器关闭后清除的令牌或密码
+     * @param {'enable'|'change'|'unlock'|'credentials-enable'|'credentials-change'|'credentials-unlock'|'credentials-reenter'} mode
+     * @param {string} [message] unlock 和 credentials-reenter 模式下的提示，如密码已在其他设备上修改
+     */
+    showEncryption(mode, message = '') {
+        const titles = {
+            enable: '开启端到端加密',
+            change: '修改加密密码',
+            unlock: '解锁同步数据',
+            'credentials-enable': '设置凭据密码',
+            'credentials-change': '修改凭据密码',
+            'credentials-unlock': '解锁同步凭据',
+            'credentials-reenter': '重新输入同步凭据'
+        };
+        const descriptions = {
+            enable: '设置一个密码，同步数据会在上传前加密。',
+            change: '同步数据已加密。设置新密码后远程数据会用新密码重新加密，其他设备需要输入新密码解锁。',
+            unlock: message || '同步数据已在其他设备上加密，请输入加密密码以继续同步。',
+            'credentials-enable': '设置一个密码，本设备保存的同步令牌和密码会用它加密。',
+            'credentials-change': '同步凭据已加密。设置新密码后凭据会用新密码重新加密。',
+            'credentials-unlock': '同步凭据已加密，请输入凭据密码以继续同步。',
+            'credentials-reenter': message || '同步凭据只保存到浏览器关闭，请重新输入令牌或密码以继续同步。'
+        };
+        const hints = {
+            enable: this.encryptionHint,
+            change: this.encryptionHint,
+            'credentials-enable':
+                '凭据只在本设备上加密保存，与同步数据的加密密码无关。每次启动浏览器后需要输入一次密码解锁，解锁前不会同步。密码无法找回，忘记时可以断开同步后重新连接。',
+            'credentials-change': '',
+            'credentials-reenter': '设置凭据密码后，凭据会加密保存在本设备，之后每次启动浏览器只需输入凭据密码。'
+        };
+        const unlock = ['unlock', 'credentials-unlock', 'credentials-reenter'].includes(mode);
+        const labels = { change: '新密码', 'credentials-change': '新密码', 'credentials-reenter': '令牌或密码' };
+
+        this.encryptionMode = mode;
+        document.getElementById('encryption-modal-title').textContent = titles[mode];
+        document.getElementById('encryption-desc').textContent = descriptions[mode];
+        document.getElementById('encryption-passphrase-label').textContent = labels[mode] || '密码';
+        document.getElementById('encryption-confirm-group').classList.toggle('hidden', unlock);
+        document.getElementById('encryption-hint-text').textContent = hints[mode] || '';
+        document.getElementById('encryption-hint').classList.toggle('hidden', !hints[mode]);
+        const disableBtn = document.getElementById('encryption-disable-btn');
+        disableBtn.textContent = mode === 'credentials-change' ? '取消密码保护' : '关闭加密';
+        disableBtn.classList.toggle('hidden', !mode.endsWith('change'));
+        this.showEncryptionError('');
+
+        const modal = document.getElementById('encryption-modal');
+        modal.classList.add('flex');
+        setTimeout(() => document.getElementById('encryption-passphrase').focus(), 50);
+    }
+
+    showEncryptionError(message) {
+        const error = document.getElementById('encryption-error');
+        error.textContent = message;
+        error.classList.toggle('hidden', !message);
+    }
+
+    closeEncryption() {
+        document.getElementById('encryption-modal').classList.remove('flex');
+        document.getElementById('encryption-passphrase').value = '';
+        document.getElementById('encryption-confirm').value = '';
+        this.encryptionMode = null;
+    }
+
+    initShareModal() {
+        const modal = document.getElementById('share-modal');
+        if (!modal) return;
+
+        const publishBtn = document.getElementById('share-publish-btn');
+        const stopBtn = document.getElementById('share-stop-btn');
+        const closeModal = () => {
+            modal.classList.remove('flex');
+            this.currentSharingCollectionId = null;
+        };
+
+        document.querySelector('.share-modal-close')?.addEventListener('click', closeModal);
+        window.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        const run = async (button, action) => {
+            button.disabled = true;
+            this.showShareError('');
+            try {
+                await action();
+            } catch (error) {
+                this.showShareError(error.message);
+            } finally {
+                button.disabled = false;
+            }
+        };
+
+        publishBtn?.addEventListener('click', () => {
+            const collectionId = this.currentSharingCollectionId;
+            if (!collectionId) return;
+            run(publishBtn, async () => {
+                const share = await this.callbacks.onPublishShare?.(collectionId);
+                if (share) this.renderShare(share);
+            });
+        });
+
+        stopBtn?.addEventListener('click', () => {
+            const collectionId = this.currentSharingCollectionId;
+            if (!collectionId || !confirm('停止分享会删除这个公开 Gist，订阅者将无法再刷新。确定要停止吗？')) return;
+            run(stopBtn, async () => {
+                await this.callbacks.onUnshare?.(collectionId);
+                closeModal();
+            });
+        });
+
+        document.getElementById('share-copy-btn')?.addEventListener('click', () => {
+            this.callbacks.onCopyShareLink?.(document.getElementById('share-link').value);
+        });
+    }
+
+    /**
+     * @param {{id: string, name: string}} collection
+     * @param {{url: string, sharedAt: number}|null} share 尚未分享时为 null
+     */
+    showShare(collection, share) {
+        this.currentSharingCollectionId = collection.id;
+        document.getElementById('share-modal-title').textContent = `分享 "${collection.name}"`;
+        this.showShareError('');
+        this.renderShare(share);
+        document.getElementById('share-modal').classList.add('flex');
+    }
+
+    renderShare(share) {
+        document.getElementById('share-desc').textContent = share
+            ? `已于 ${new Date(share.sharedAt).toLocaleString()} 发布为公开 Gist，再次发布会更新内容，链接不变。`
+            : '发布后集合会保存为一个公开 Gist，任何拿到链接的人都能看到其中标签页的标题和网址。';
+        document.getElementById('share-link').value = share?.url || '';
+        document.getElementById('share-link-group').classList.toggle('hidden', !share);
+        document.getElementById('share-copy-btn').classList.toggle('hidden', !share);
+        document.getElementById('share-stop-btn').classList.toggle('hidden', !share);
+        document.getElementById('share-publish-btn').textContent = share ? '更新分享' : '发布';
+    }
+
+    showShareError(message) {
+        const error = document.getElementById('share-error');
+        error.textContent = message;
+        error.classList.toggle('hidden', !message);
+    }
+
+    initSubscribeModal() {
+        const modal = document.getElementById('subscribe-modal');
+        if (!modal) return;
+
+        const form = document.getElementById('subscribe-form');
+        const input = document.getElementById('subscribe-url');
+        const submitBtn = document.getElementById('subscribe-submit-btn');
+        const error = document.getElementById('subscribe-error');
+        const closeModal = () => modal.classList.remove('flex');
+
+        document.querySelector('.subscribe-modal-close')?.addEventListener('click', closeModal);
+        document.getElementById('subscribe-cancel-btn')?.addEventListener('click', closeModal);
+        window.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        form?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const url = input.value.trim();
+            if (!url) return;
+
+            submitBtn.disabled = true;
+            error.classList.add('hidden');
+            try {
+                await this.callbacks.onSubscribe?.(url);
                 closeModal();
+            } catch (err) {
+                error.textContent = err.message;
+                error.classList.remove('hidden');
+            } finally {
+                submitBtn.disabled = false;
+            }
+        });
+    }
+
+    showSubscribe() {
+        const input = document.getElementById('subscribe-url');
+        input.value = '';
+        document.getElementById('subscribe-error').classList.add('hidden');
+        document.getElementById('subscribe-modal').classList.add('flex');
+        input.focus();
+    }
+
+    initSettingsModal() {
+        const modal = document.getElementById('settings-modal');
+        if (!modal) return;
+
+        const closeModal = () => modal.classList.remove('flex');
+
+        document.querySelector('.settings-modal-close')?.addEventListener('click', closeModal);
+
+        window.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        const unlimitedBtn = document.getElementById('storage-unlimited-btn');
+        unlimitedBtn?.addEventListener('click', async () => {
+            unlimitedBtn.disabled = true;
+            this.showSettingsError('');
+            try {
+                // 权限请求必须直接由点击触发，这里不能先做其他异步操作
+                await this.callbacks.onToggleUnlimitedStorage?.(unlimitedBtn.dataset.unlimited !== 'true');
+            } catch (error) {
+                this.showSettingsError(error.message);
+            } finally {
+                unlimitedBtn.disabled = false;
+            }
+        });
+
+        document.getElementById('storage-open-trash')?.addEventListener('click', () => {
+            closeModal();
+            this.callbacks.onOpenTrash?.();
+        });
+
+        const externalInput = document.getElementById('external-allowed-ids');
+        const externalSaveBtn = document.getElementById('external-save-btn');
+        externalSaveBtn?.addEventListener('click', async () => {
+            externalSaveBtn.disabled = true;
+            this.showSettingsError('');
+            try {
+                const saved = await this.callbacks.onSaveExternalAllowList?.(externalInput.value.split(/[\s,]+/));
+                if (saved) externalInput.value = saved.join('\n');
+            } catch (error) {
+                this.showSettingsError(error.message);
+            } finally {
+                externalSaveBtn.disabled = false;
+            }
+        });
+
+        const clearSnapshotsBtn = document.getElementById('storage-clear-snapshots');
+        clearSnapshotsBtn?.addEventListener('click', async () => {
+            if (!confirm('确定要删除所有本地快照吗？删除后无法用快照恢复数据。')) return;
+            clearSnapshotsBtn.disabled = true;
+            this.showSettingsError('');
+            try {
+                await this.callbacks.onClearSnapshots?.();
+            } catch (error) {
+                this.showSettingsError(error.message);
+            } finally {
+                clearSnapshotsBtn.disabled = false;
             }
         });
     }
 
+    /**
+     * 打开设置
+     * @param {Object} usage 见 renderStorageUsage
+     * @param {Array<string>} [allowedIds] 允许访问外部接口的扩展 ID
+     */
+    showSettings(usage, allowedIds = []) {
+        this.showSettingsError('');
+        this.renderStorageUsage(usage);
+        document.getElementById('external-allowed-ids').value = allowedIds.join('\n');
+        document.getElementById('settings-modal').classList.add('flex');
+    }
+
+    isSettingsOpen() {
+        return !!document.getElementById('settings-modal')?.classList.contains('flex');
+    }
+
+    /**
+     * @param {{unlimited: boolean, local: {used: number, quota: number|null}, database: {used: number, quota: number}|null,
+     *   ratio: number, level: 'ok'|'warning'|'critical'}} usage quota 为 null 表示不受限制
+     */
+    renderStorageUsage(usage) {
+        const describe = ({ used, quota }) =>
+            quota
+                ? `${MipaUtils.formatBytes(used)} / ${MipaUtils.formatBytes(quota)}（${Math.round((used / quota) * 100)}%）`
+                : `${MipaUtils.formatBytes(used)}（不限制）`;
+
+        document.getElementById('storage-usage-database').textContent = usage.database
+            ? describe(usage.database)
+            : '无法读取';
+        document.getElementById('storage-usage-local').textContent = describe(usage.local);
+
+        const bar = document.getElementById('storage-meter-bar');
+        bar.style.width = `${Math.min(100, Math.round(usage.ratio * 100))}%`;
+        bar.className = `storage-meter-bar ${usage.level}`;
+
+        const warning = document.getElementById('storage-usage-warning');
+        warning.textContent =
+            usage.level === 'ok'
+                ? ''
+                : '存储空间即将用完，空间不足时修改将无法保存。请清理回收站和快照，或不限制扩展存储';
+        warning.classList.toggle('hidden', usage.level === 'ok');
+
+        const unlimitedBtn = document.getElementById('storage-unlimited-btn');
+        unlimitedBtn.dataset.unlimited = String(usage.unlimited);
+        unlimitedBtn.querySelector('span').textContent = usage.unlimited ? '恢复默认存储上限' : '不限制扩展存储';
+    }
+
+    showSettingsError(message) {
+        const el = document.getElementById('settings-error');
+        if (!el) return;
+        el.textContent = message;
+        el.classList.toggle('hidden', !message);
+    }
+
+    initTrashModal() {
+        const modal = document.getElementById('trash-modal');
+        if (!modal) return;
+
+        const closeBtn = document.querySelector('.trash-modal-close');
+        const emptyBtn = document.getElementById('trash-empty-btn');
+        const retentionInput = document.getElementById('trash-retention-days');
+        const list = document.getElementById('trash-list');
+
+        const closeModal = () => modal.classList.remove('flex');
+
+        closeBtn?.addEventListener('click', closeModal);
+
+        window.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        emptyBtn?.addEventListener('click', () => {
+            if (this.callbacks.onEmptyTrash && confirm('确定要永久删除回收站中的所有内容吗？')) {
+                this.callbacks.onEmptyTrash();
+            }
+        });
+
+        retentionInput?.addEventListener('change', () => {
+            const days = parseInt(retentionInput.value, 10);
+            if (days > 0 && this.callbacks.onChangeTrashRetention) {
+                this.callbacks.onChangeTrashRetention(days);
+            }
+        });
+
+        list?.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            if (!btn) return;
+            const { action, itemId } = btn.dataset;
+            if (action === 'restore') {
+                this.callbacks.onRestoreTrashItem?.(itemId);
+            } else if (action === 'delete') {
+                this.callbacks.onDeleteTrashItem?.(itemId);
+            }
+        });
+    }
+
+    showTrash(items, retentionDays) {
+        document.getElementById('trash-retention-days').value = retentionDays;
+        this.renderTrash(items);
+        document.getElementById('trash-modal').classList.add('flex');
+    }
+
+    isTrashOpen() {
+        return !!document.getElementById('trash-modal')?.classList.contains('flex');
+    }
+
+    renderTrash(items) {
+        const list = document.getElementById('trash-list');
+        if (!list) return;
+        list.innerHTML = '';
+
+        if (items.length === 0) {
+            list.innerHTML = '<div class="empty-state">回收站是空的</div>';
+            return;
+        }
+
+        items.forEach((entry) => {
+            const row = document.createElement('div');
+            row.className = 'trash-item';
+
+            const icon = document.createElement('i');
+            icon.className = `trash-item-icon fas ${entry.type === 'collection' ? 'fa-folder' : 'fa-link'}`;
+
+            const info = document.createElement('div');
+            info.className = 'trash-item-info';
+
+            const title = document.createElement('div');
+            title.className = 'trash-item-title';
+            title.textContent = entry.type === 'collection' ? entry.item.name : entry.item.title;
+
+            const meta = document.createElement('div');
+            meta.className = 'trash-item-meta';
+            const source =
+                entry.type === 'collection' ? `${entry.item.tabs.length} 个标签` : `来自「${entry.collectionName}」`;
+            meta.textContent = `${source} · 删除于 ${new Date(entry.deletedAt).toLocaleString()}`;
+
+            info.appendChild(title);
+            info.appendChild(meta);
+
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'btn-action';
+            restoreBtn.innerHTML = '<i class="fas fa-rotate-left"></i>恢复';
+            restoreBtn.dataset.action = 'restore';
+            restoreBtn.dataset.itemId = entry.id;
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn-action btn-delete-col';
+            deleteBtn.innerHTML = '<i class="fas fa-times"></i>永久删除';
+            deleteBtn.dataset.action = 'delete';
+            deleteBtn.dataset.itemId = entry.id;
+
+            row.appendChild(icon);
+            row.appendChild(info);
+            row.appendChild(restoreBtn);
+            row.appendChild(deleteBtn);
+            list.appendChild(row);
+        });
+    }
+
+    initSnapshotModal() {
+        const modal = document.getElementById('snapshot-modal');
+        if (!modal) return;
+
+        const closeBtn = document.querySelector('.snapshot-modal-close');
+        const createBtn = document.getElementById('snapshot-create-btn');
+        const restoreBtn = document.getElementById('snapshot-restore-btn');
+        const list = document.getElementById('snapshot-list');
+
+        const closeModal = () => modal.classList.remove('flex');
+
+        closeBtn?.addEventListener('click', closeModal);
+
+        window.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        createBtn?.addEventListener('click', () => this.callbacks.onCreateSnapshot?.());
+
+        list?.addEventListener('click', (e) => {
+            const row = e.target.closest('.snapshot-item');
+            if (row && this.callbacks.onPreviewSnapshot) {
+                this.callbacks.onPreviewSnapshot(row.dataset.snapshotId);
+            }
+        });
+
+        restoreBtn?.addEventListener('click', async () => {
+            if (this.currentSnapshotId && this.callbacks.onRestoreSnapshot) {
+                await this.callbacks.onRestoreSnapshot(this.currentSnapshotId);
+                closeModal();
+            }
+        });
+    }
+
+    showSnapshots(snapshots) {
+        this.currentSnapshotId = null;
+        document.getElementById('snapshot-preview').classList.add('hidden');
+        document.getElementById('snapshot-restore-btn').classList.add('hidden');
+        this.renderSnapshots(snapshots);
+        document.getElementById('snapshot-modal').classList.add('flex');
+    }
+
+    renderSnapshots(snapshots) {
+        const list = document.getElementById('snapshot-list');
+        if (!list) return;
+        list.innerHTML = '';
+
+        if (snapshots.length === 0) {
+            list.innerHTML = '<div class="empty-state">暂无快照，数据保存时会自动创建</div>';
+            return;
+        }
+
+        const kindLabels = { hourly: '每小时', daily: '每日', manual: '手动' };
+
+        snapshots.forEach((snapshot) => {
+            const { collections, tabs } = snapshot.counts;
+
+            const row = document.createElement('div');
+            row.className = 'snapshot-item';
+            row.classList.toggle('selected', snapshot.id === this.currentSnapshotId);
+            row.dataset.snapshotId = snapshot.id;
+
+            const time = document.createElement('span');
+            time.className = 'snapshot-item-time';
+            time.textContent = new Date(snapshot.createdAt).toLocaleString();
+
+            const meta = document.createElement('span');
+            meta.className = 'snapshot-item-meta';
+            meta.textContent = `${snapshot.label || kindLabels[snapshot.kind]} · ${collections} 个集合 · ${tabs} 个标签`;
+
+            row.appendChild(time);
+            row.appendChild(meta);
+            list.appendChild(row);
+        });
+    }
+
+    showSnapshotPreview(snapshot, diff) {
+        this.currentSnapshotId = snapshot.id;
+        document.querySelectorAll('#snapshot-list .snapshot-item').forEach((row) => {
+            row.classList.toggle('selected', row.dataset.snapshotId === snapshot.id);
+        });
+
+        document.getElementById('snapshot-preview-title').textContent =
+            `恢复 ${new Date(snapshot.createdAt).toLocaleString()} 的快照将会：`;
+
+        this.renderDiff(document.getElementById('snapshot-diff'), diff);
+
+        document.getElementById('snapshot-preview').classList.remove('hidden');
+        document.getElementById('snapshot-restore-btn').classList.remove('hidden');
+    }
+
+    /**
+     * 渲染与当前数据的差异说明
+     * @param {HTMLElement} diffList
+     * @param {Object} diff MipaUtils.diffCollections 的结果
+     */
+    renderDiff(diffList, diff) {
+        const names = (cols) =>
+            cols
+                .slice(0, 5)
+                .map((col) => `「${col.name}」`)
+                .join('') + (cols.length > 5 ? ` 等 ${cols.length} 个` : '');
+
+        const lines = [];
+        if (diff.collectionsAdded.length) lines.push(`恢复集合 ${names(diff.collectionsAdded)}`);
+        if (diff.collectionsRemoved.length) lines.push(`移除集合 ${names(diff.collectionsRemoved)}`);
+        if (diff.collectionsChanged.length) lines.push(`还原集合 ${names(diff.collectionsChanged)}`);
+        if (diff.tabsAdded) lines.push(`恢复 ${diff.tabsAdded} 个标签`);
+        if (diff.tabsRemoved) lines.push(`移除 ${diff.tabsRemoved} 个标签`);
+        if (lines.length === 0) lines.push('与当前数据一致，无需恢复');
+
+        diffList.innerHTML = '';
+        lines.forEach((line) => {
+            const li = document.createElement('li');
+            li.textContent = line;
+            diffList.appendChild(li);
+        });
+    }
+
+    initHistoryModal() {
+        const modal = document.getElementById('history-modal');
+        if (!modal) return;
+
+        const closeBtn = document.querySelector('.history-modal-close');
+        const list = document.getElementById('history-list');
+        const moreBtn = document.getElementById('history-more-btn');
+
+        const closeModal = () => modal.classList.remove('flex');
+
+        closeBtn?.addEventListener('click', closeModal);
+
+        window.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        list?.addEventListener('click', (e) => {
+            const row = e.target.closest('.snapshot-item');
+            if (row && this.callbacks.onPreviewRevision) {
+                this.callbacks.onPreviewRevision(row.dataset.version);
+            }
+        });
+
+        moreBtn?.addEventListener('click', () => this.loadRevisions(this.revisionPage + 1));
+
+        modal.querySelectorAll('button[data-restore-mode]').forEach((btn) => {
+            btn.addEventListener('click', async () => {
+                if (this.currentRevision && this.callbacks.onRestoreRevision) {
+                    await this.callbacks.onRestoreRevision(this.currentRevision, btn.dataset.restoreMode);
+                    closeModal();
+                }
+            });
+        });
+    }
+
+    showSyncHistory() {
+        this.currentRevision = null;
+        this.revisions.clear();
+        document.getElementById('history-list').innerHTML = '';
+        document.getElementById('history-preview').classList.add('hidden');
+        document.getElementById('history-modal').classList.add('flex');
+        this.loadRevisions(1);
+    }
+
+    async loadRevisions(page) {
+        const list = document.getElementById('history-list');
+        const moreBtn = document.getElementById('history-more-btn');
+        const status = document.createElement('div');
+        status.className = 'empty-state';
+        status.textContent = '正在读取历史版本...';
+        list.appendChild(status);
+        moreBtn.classList.add('hidden');
+
+        try {
+            const { revisions, hasMore } = await this.callbacks.onLoadRevisions(page);
+            status.remove();
+            this.revisionPage = page;
+            if (page === 1 && revisions.length === 0) {
+                list.innerHTML = '<div class="empty-state">暂无历史版本</div>';
+                return;
+            }
+            this.renderRevisions(revisions);
+            moreBtn.classList.toggle('hidden', !hasMore);
+        } catch (error) {
+            status.textContent = `读取失败：${error.message}`;
+        }
+    }
+
+    renderRevisions(revisions) {
+        const list = document.getElementById('history-list');
+
+        revisions.forEach((revision) => {
+            this.revisions.set(revision.version, revision);
+
+            const row = document.createElement('div');
+            row.className = 'snapshot-item';
+            row.dataset.version = revision.version;
+
+            const time = document.createElement('span');
+            time.className = 'snapshot-item-time';
+            time.textContent = new Date(revision.committedAt).toLocaleString();
+
+            const meta = document.createElement('span');
+            meta.className = 'snapshot-item-meta';
+            meta.textContent = revision.version.slice(0, 7);
+
+            row.appendChild(time);
+            row.appendChild(meta);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * 预览历史版本：分别说明整体替换和合并到当前数据会带来的变化
+     * @param {string} version
+     * @param {{collections: number, tabs: number}} counts 该版本中的集合和标签数量
+     * @param {Object} replaceDiff
+     * @param {Object} mergeDiff
+     */
+    showRevisionPreview(version, counts, replaceDiff, mergeDiff) {
+        this.currentRevision = version;
+        const committedAt = this.revisions.get(version)?.committedAt;
+        document.querySelectorAll('#history-list .snapshot-item').forEach((row) => {
+            row.classList.toggle('selected', row.dataset.version === version);
+        });
+
+        document.getElementById('history-preview-title').textContent =
+            `${new Date(committedAt).toLocaleString()} 的版本（${counts.collections} 个集合 · ${counts.tabs} 个标签）`;
+        this.renderDiff(document.getElementById('history-replace-diff'), replaceDiff);
+        this.renderDiff(document.getElementById('history-merge-diff'), mergeDiff);
+        document.getElementById('history-preview').classList.remove('hidden');
+    }
+
+    initConflictModal() {
+        const modal = document.getElementById('conflict-modal');
+        if (!modal) return;
+
+        const closeBtn = document.querySelector('.conflict-modal-close');
+        const cancelBtn = document.getElementById('conflict-cancel-btn');
+        const applyBtn = document.getElementById('conflict-apply-btn');
+        const list = document.getElementById('conflict-list');
+
+        closeBtn?.addEventListener('click', () => this.finishConflicts(null));
+        cancelBtn?.addEventListener('click', () => this.finishConflicts(null));
+
+        applyBtn?.addEventListener('click', () => {
+            const resolutions = {};
+            list.querySelectorAll('input[type="radio"]:checked').forEach((input) => {
+                resolutions[input.dataset.conflictId] = input.value;
+            });
+            this.finishConflicts(resolutions);
+        });
+
+        document.querySelectorAll('.conflict-bulk button[data-choice]').forEach((btn) => {
+            btn.addEventListener('click', () => {
+                list.querySelectorAll(`input[type="radio"][value="${btn.dataset.choice}"]`).forEach((input) => {
+                    input.checked = true;
+                });
+            });
+        });
+    }
+
+    /**
+     * 显示冲突列表，等待用户为每条冲突选择保留本地、远程或都保留
+     * @param {Array} conflicts MergeService 产生的冲突记录
+     * @param {'remote'|'local'} source 冲突来自与远程的同步还是其他页面的并发修改
+     * @returns {Promise<Object<string, 'local'|'remote'|'both'>|null>} 取消时为 null
+     */
+    showConflicts(conflicts, source = 'remote') {
+        this.finishConflicts(null);
+
+        const isRemote = source === 'remote';
+        document.getElementById('conflict-modal-title').textContent = isRemote ? '同步冲突' : '数据已在其他页面修改';
+        document.getElementById('conflict-modal-desc').textContent = isRemote
+            ? '本地和远程对以下内容做了不同的修改，请选择要保留的版本，确认后才会写入。取消则暂不同步。'
+            : '其他页面同时修改了以下内容，请选择要保留的版本。取消则按修改时间自动合并。';
+        const remoteLabel = isRemote ? '远程' : '其他页面';
+        document.getElementById('conflict-all-remote').textContent = `全部保留${remoteLabel}`;
+
+        this.renderConflicts(conflicts, remoteLabel);
+        document.getElementById('conflict-modal').classList.add('flex');
+
+        return new Promise((resolve) => {
+            this.conflictResolve = resolve;
+        });
+    }
+
+    renderConflicts(conflicts, remoteLabel) {
+        const list = document.getElementById('conflict-list');
+        if (!list) return;
+        list.innerHTML = '';
+
+        const fieldLabels = {
+            name: '名称',
+            color: '颜色',
+            title: '标题',
+            url: '链接',
+            description: '描述',
+            collection: '所在集合',
+            deleted: '状态',
+            order: '标签顺序'
+        };
+        const describe = (conflict, side, field) => {
+            const item = conflict[side];
+            if (field === 'deleted') return item ? '已修改' : '已删除';
+            if (field === 'collection') return conflict[`${side}Collection`] || '';
+            if (field === 'order') {
+                const titles = (item?.tabs || []).map((tab) => tab.title);
+                return titles.slice(0, 5).join('、') + (titles.length > 5 ? ` 等 ${titles.length} 个` : '');
+            }
+            return item?.[field] ?? '';
+        };
+
+        conflicts.forEach((conflict) => {
+            const item = conflict.local || conflict.remote;
+            const row = document.createElement('div');
+            row.className = 'conflict-item';
+
+            const header = document.createElement('div');
+            header.className = 'conflict-item-header';
+            const icon = document.createElement('i');
+            icon.className = `fas ${conflict.type === 'collection' ? 'fa-folder' : 'fa-link'}`;
+            const name = document.createElement('span');
+            name.textContent = conflict.type === 'collection' ? item.name : item.title;
+            header.appendChild(icon);
+            header.appendChild(name);
+
+            const table = document.createElement('table');
+            table.className = 'conflict-fields';
+            table.innerHTML = '<thead><tr><th></th><th>本地</th><th></th></tr></thead>';
+            table.querySelectorAll('th')[2].textContent = remoteLabel;
+            const tbody = document.createElement('tbody');
+            conflict.fields.forEach((field) => {
+                const tr = document.createElement('tr');
+                [
+                    fieldLabels[field] || field,
+                    describe(conflict, 'local', field),
+                    describe(conflict, 'remote', field)
+                ].forEach((text) => {
+                    const td = document.createElement('td');
+                    td.textContent = text;
+                    tr.appendChild(td);
+                });
+                tbody.appendChild(tr);
+            });
+            table.appendChild(tbody);
+
+            const choices = document.createElement('div');
+            choices.className = 'conflict-choices';
+            [
+                ['local', '保留本地'],
+                ['remote', `保留${remoteLabel}`],
+                ['both', '都保留']
+            ].forEach(([value, label]) => {
+                const option = document.createElement('label');
+                const input = document.createElement('input');
+                input.type = 'radio';
+                input.name = `conflict-${conflict.id}`;
+                input.value = value;
+                input.dataset.conflictId = conflict.id;
+                input.checked = value === conflict.resolution;
+                option.appendChild(input);
+                option.appendChild(document.createTextNode(label));
+                choices.appendChild(option);
+            });
+
+            row.appendChild(header);
+            row.appendChild(table);
+            row.appendChild(choices);
+            list.appendChild(row);
+        });
+    }
+
+    finishConflicts(resolutions) {
+        if (!this.conflictResolve) return;
+        const resolve = this.conflictResolve;
+        this.conflictResolve = null;
+        this.encryptionMode = null;
+        document.getElementById('conflict-modal').classList.remove('flex');
+        resolve(resolutions);
+    }
+
     showEditTab(tab, collectionId, collectionIndex, tabIndex) {
         this.currentEditingTab = { tabId: tab.id, collectionId, collectionIndex, tabIndex };
 
@@ -155,39 +1332,77 @@ export class ModalManager {
         titleInput.select();
     }
 
+    /**
+     * @returns {{tabId: string, collectionId: string}|null} 编辑标签弹窗打开时正在编辑的标签
+     */
+    getEditingTab() {
+        const open = document.getElementById('edit-tab-modal')?.classList.contains('flex');
+        return open ? this.currentEditingTab : null;
+    }
+
+    closeEditTab() {
+        document.getElementById('edit-tab-modal')?.classList.remove('flex');
+    }
+
     showDeleteCollection(collectionId) {
         this.currentDeletingCollectionId = collectionId;
         const modal = document.getElementById('delete-modal');
         modal.classList.add('flex');
     }
 
-    showGistModal(mode, errorMessage = '') {
-        this.githubTokenInput.value = '';
+    /**
+     * @param {'login'|'logout'|'error'} mode
+     * @param {string} [message] error 模式下为错误信息，logout 模式下为当前同步方式的名称
+     */
+    showSyncModal(mode, message = '') {
+        this.clearSyncInputs();
 
         if (mode === 'login') {
-            this.gistModalTitle.textContent = 'Connect to GitHub Gist';
-            this.gistLoginForm.classList.remove('hidden');
-            this.gistLogoutConfirm.classList.add('hidden');
-            this.gistErrorMessage.classList.add('hidden');
-            setTimeout(() => this.githubTokenInput.focus(), 50);
+            this.syncModalTitle.textContent = '连接同步服务';
+            this.syncLoginForm.classList.remove('hidden');
+            this.syncLogoutConfirm.classList.add('hidden');
+            this.syncErrorMessage.classList.add('hidden');
+            this.showProviderFields();
         } else if (mode === 'logout') {
-            this.gistModalTitle.textContent = 'Logout from GitHub Gist';
-            this.gistLoginForm.classList.add('hidden');
-            this.gistLogoutConfirm.classList.remove('hidden');
-            this.gistErrorMessage.classList.add('hidden');
+            this.syncModalTitle.textContent = '断开同步';
+            document.getElementById('sync-logout-text').textContent = `确定要断开与 ${message} 的同步吗？`;
+            this.syncLoginForm.classList.add('hidden');
+            this.syncLogoutConfirm.classList.remove('hidden');
+            this.syncErrorMessage.classList.add('hidden');
         } else if (mode === 'error') {
-            this.gistModalTitle.textContent = 'Error';
-            this.gistLoginForm.classList.add('hidden');
-            this.gistLogoutConfirm.classList.add('hidden');
-            this.gistErrorMessage.classList.remove('hidden');
-            this.errorMessageText.textContent = errorMessage;
+            this.syncModalTitle.textContent = '连接失败';
+            this.syncLoginForm.classList.add('hidden');
+            this.syncLogoutConfirm.classList.add('hidden');
+            this.syncErrorMessage.classList.remove('hidden');
+            this.errorMessageText.textContent = message;
         }
 
-        this.gistModal.classList.add('flex');
+        this.syncModal.classList.add('flex');
+    }
+
+    /**
+     * 显示待同步队列的状态，没有待同步的更改时隐藏
+     * @param {string|null} description 队列状态说明
+     */
+    renderSyncQueue(description) {
+        const container = document.getElementById('sync-queue-status');
+        if (!container) return;
+        container.classList.toggle('hidden', !description);
+        document.getElementById('sync-queue-text').textContent = description || '';
+    }
+
+    clearSyncInputs() {
+        this.syncModal.querySelectorAll('input[type="password"]').forEach((input) => {
+            input.value = '';
+        });
+        this.syncModal.querySelectorAll('select[data-existing]').forEach((select) => {
+            this.renderExistingRemotes(select, []);
+            select.value = '';
+        });
     }
 
-    closeGistModal() {
-        this.gistModal.classList.remove('flex');
-        this.githubTokenInput.value = '';
+    closeSyncModal() {
+        this.syncModal.classList.remove('flex');
+        this.clearSyncInputs();
     }
 }
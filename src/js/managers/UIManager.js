@@ -2,32 +2,49 @@ export class UIManager {
     constructor(handlers = {}) {
         this.handlers = handlers;
         this.rendering = false;
+        this.pendingRender = null;
         this.collectionsContainer = document.getElementById('collections-container');
+        this.subscriptionsContainer = document.getElementById('subscriptions-container');
         this.windowsContainer = document.getElementById('windows-container');
     }
 
-    renderCollections(collections, expansionStates = {}) {
-        if (this.rendering || !this.collectionsContainer) return;
+    /**
+     * Render the collections on the next frame. Several calls in one frame are merged: the latest data wins
+     * and a full render wins over partial updates
+     * @param {Array} collections
+     * @param {Object} [expansionStates]
+     * @param {Set<string>|null} [changedIds] only rebuild these collections (plus added / removed / reordered ones),
+     *   keeping a collection name that is being edited; null rebuilds everything
+     */
+    renderCollections(collections, expansionStates = {}, changedIds = null) {
+        if (!this.collectionsContainer) return;
+        const pending = this.pendingRender;
+        const partial = changedIds && (!pending || pending.changedIds);
+        this.pendingRender = {
+            collections,
+            expansionStates,
+            changedIds: partial ? new Set([...(pending?.changedIds || []), ...changedIds]) : null
+        };
+        if (this.rendering) return;
         this.rendering = true;
 
         requestAnimationFrame(() => {
+            const { collections, expansionStates, changedIds } = this.pendingRender;
+            this.pendingRender = null;
             try {
-                // Save expansion state from DOM if needed, but we rely on passed expansionStates
-                
-                this.collectionsContainer.innerHTML = '';
-                const fragment = document.createDocumentFragment();
-
-                collections.forEach(collection => {
-                    const isExpanded = expansionStates[collection.id] !== undefined 
-                        ? expansionStates[collection.id] 
-                        : true;
-                    const el = this.createCollectionElement(collection, isExpanded);
-                    fragment.appendChild(el);
-                });
-
-                this.collectionsContainer.appendChild(fragment);
+                const isExpanded = (id) => (expansionStates[id] !== undefined ? expansionStates[id] : true);
+                if (changedIds) {
+                    this.updateCollectionElements(collections, isExpanded, changedIds);
+                } else {
+                    this.collectionsContainer.innerHTML = '';
+                    const fragment = document.createDocumentFragment();
+                    collections.forEach((collection) => {
+                        fragment.appendChild(this.createCollectionElement(collection, isExpanded(collection.id)));
+                    });
+                    this.collectionsContainer.appendChild(fragment);
+                }
                 this.updateCollectionCount(collections.length);
-                
+
                 if (this.handlers.onRenderComplete) {
                     this.handlers.onRenderComplete();
                 }
@@ -39,6 +56,61 @@ export class UIManager {
         });
     }
 
+    /**
+     * Patch the rendered collections in place: rebuild the changed ones, add, remove and reorder the rest.
+     * A rebuilt collection whose name is being edited reopens its name editor with the typed text;
+     * the focused field keeps its focus and selection
+     */
+    updateCollectionElements(collections, isExpanded, changedIds) {
+        const container = this.collectionsContainer;
+        const elements = new Map();
+        container.querySelectorAll(':scope > .collection').forEach((el) => elements.set(el.dataset.collectionId, el));
+        const ids = new Set(collections.map((collection) => collection.id));
+        elements.forEach((el, id) => {
+            if (!ids.has(id)) el.remove();
+        });
+
+        const active = document.activeElement;
+        // Only text fields have a selection; setSelectionRange throws on checkboxes, selects and buttons
+        const selection =
+            typeof active?.selectionStart === 'number' ? [active.selectionStart, active.selectionEnd] : null;
+        let focusTarget = active;
+
+        let next = container.firstElementChild;
+        collections.forEach((collection) => {
+            let el = elements.get(collection.id);
+            if (!el || changedIds.has(collection.id)) {
+                const fresh = this.createCollectionElement(collection, isExpanded(collection.id));
+                const editing = el?.querySelector('.collection-edit-name:not(.hidden)');
+                if (editing) {
+                    // Reopen the editor in the new element so its handlers belong to the updated collection
+                    const freshEditing = fresh.querySelector('.collection-edit-name');
+                    fresh.querySelector('.collection-title').classList.add('hidden');
+                    freshEditing.className = editing.className;
+                    const input = editing.querySelector('input');
+                    const freshInput = freshEditing.querySelector('input');
+                    freshInput.value = input.value;
+                    if (active === input) focusTarget = freshInput;
+                }
+                if (el) {
+                    el.replaceWith(fresh);
+                    if (el === next) next = fresh;
+                }
+                el = fresh;
+            }
+            if (el === next) {
+                next = next.nextElementSibling;
+            } else {
+                container.insertBefore(el, next);
+            }
+        });
+
+        if (focusTarget && focusTarget !== document.activeElement && focusTarget.isConnected) {
+            focusTarget.focus();
+            if (selection) focusTarget.setSelectionRange(...selection);
+        }
+    }
+
     createCollectionElement(collection, isExpanded) {
         const div = document.createElement('div');
         div.className = `collection collection-color-${collection.color} ${isExpanded ? 'expanded' : 'collapsed'}`;
@@ -54,18 +126,18 @@ export class UIManager {
     createHeader(collection, isExpanded) {
         const header = document.createElement('div');
         header.className = 'collection-header';
-        
+
         // Title Container
         const titleContainer = document.createElement('div');
         titleContainer.className = 'collection-title-container';
-        
+
         const expander = document.createElement('span');
         expander.className = 'collection-expander';
         expander.innerHTML = '<i class="fas fa-chevron-right"></i>';
-        
+
         const nameContainer = document.createElement('div');
         nameContainer.className = 'collection-name-container';
-        
+
         const title = document.createElement('h3');
         title.className = 'collection-title';
         title.textContent = collection.name;
@@ -77,14 +149,14 @@ export class UIManager {
         // Edit name input (hidden by default)
         const editName = document.createElement('div');
         editName.className = 'collection-edit-name hidden';
-        editName.addEventListener('click', e => e.stopPropagation());
-        
+        editName.addEventListener('click', (e) => e.stopPropagation());
+
         const input = document.createElement('input');
         input.type = 'text';
         input.className = 'collection-name-input';
         input.value = collection.name;
-        input.addEventListener('click', e => e.stopPropagation());
-        
+        input.addEventListener('click', (e) => e.stopPropagation());
+
         const saveBtn = document.createElement('button');
         saveBtn.className = 'btn-save';
         saveBtn.textContent = 'Save';
@@ -116,6 +188,13 @@ export class UIManager {
         titleContainer.appendChild(nameContainer);
         titleContainer.appendChild(tabCount);
 
+        if (collection.localOnly) {
+            const localOnlyBadge = document.createElement('span');
+            localOnlyBadge.className = 'collection-local-only';
+            localOnlyBadge.innerHTML = '<i class="fas fa-laptop"></i>仅本地';
+            titleContainer.appendChild(localOnlyBadge);
+        }
+
         // Actions
         const actions = this.createActions(collection);
 
@@ -147,6 +226,28 @@ export class UIManager {
         });
         actions.appendChild(openAllBtn);
 
+        // Local only: keep this collection out of cloud sync
+        const localOnlyBtn = document.createElement('button');
+        localOnlyBtn.className = `btn-action${collection.localOnly ? ' active' : ''}`;
+        localOnlyBtn.innerHTML = `<i class="fas ${collection.localOnly ? 'fa-laptop' : 'fa-cloud'}"></i>`;
+        localOnlyBtn.dataset.tooltip = collection.localOnly ? '仅本地，点击恢复同步' : '设为仅本地（不同步）';
+        localOnlyBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.handlers.onToggleLocalOnly?.(collection.id, !collection.localOnly);
+        });
+        actions.appendChild(localOnlyBtn);
+
+        // Share as a public gist
+        const shareBtn = document.createElement('button');
+        shareBtn.className = 'btn-action';
+        shareBtn.innerHTML = '<i class="fas fa-share-nodes"></i>';
+        shareBtn.dataset.tooltip = '分享';
+        shareBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.handlers.onShareCollection?.(collection.id);
+        });
+        actions.appendChild(shareBtn);
+
         // Close & Open
         const closeOpenBtn = document.createElement('button');
         closeOpenBtn.className = 'btn-action';
@@ -175,14 +276,14 @@ export class UIManager {
     createColorPicker(collection) {
         const container = document.createElement('div');
         container.className = 'color-picker-container';
-        
+
         const btn = document.createElement('button');
         btn.className = `btn-color-picker color-dot color-${collection.color}`;
-        
+
         const dropdown = document.createElement('div');
         dropdown.className = 'color-picker-dropdown hidden';
-        
-        ['white', 'gray', 'red', 'orange', 'yellow', 'green', 'blue', 'purple'].forEach(color => {
+
+        ['white', 'gray', 'red', 'orange', 'yellow', 'green', 'blue', 'purple'].forEach((color) => {
             const option = document.createElement('button');
             option.className = `color-option color-${color} ${collection.color === color ? 'selected' : ''}`;
             option.addEventListener('click', (e) => {
@@ -193,7 +294,7 @@ export class UIManager {
             dropdown.appendChild(option);
         });
 
-        container.addEventListener('click', e => e.stopPropagation());
+        container.addEventListener('click', (e) => e.stopPropagation());
         btn.addEventListener('click', (e) => {
             e.stopPropagation();
             dropdown.classList.toggle('hidden');
@@ -235,7 +336,7 @@ export class UIManager {
             grid.appendChild(msg);
         } else {
             const fragment = document.createDocumentFragment();
-            collection.tabs.forEach(tab => {
+            collection.tabs.forEach((tab) => {
                 fragment.appendChild(this.createTabElement(tab, collection.id));
             });
             grid.appendChild(fragment);
@@ -243,7 +344,12 @@ export class UIManager {
         return grid;
     }
 
-    createTabElement(tab, collectionId) {
+    /**
+     * @param {Object} tab
+     * @param {string} collectionId
+     * @param {boolean} [readOnly] 订阅的集合中的标签页只能打开和复制链接
+     */
+    createTabElement(tab, collectionId, readOnly = false) {
         const card = document.createElement('div');
         card.className = 'tab-card';
         card.dataset.tabId = tab.id;
@@ -255,11 +361,11 @@ export class UIManager {
 
         const header = document.createElement('div');
         header.className = 'tab-card-header';
-        
+
         const favicon = document.createElement('img');
         favicon.className = 'tab-favicon';
         this.setupFavicon(favicon, tab);
-        
+
         const title = document.createElement('h4');
         title.className = 'tab-title';
         title.textContent = tab.title;
@@ -286,7 +392,7 @@ export class UIManager {
         // Actions
         const actions = document.createElement('div');
         actions.className = 'action-buttons-container';
-        
+
         const copyBtn = document.createElement('button');
         copyBtn.className = 'tab-action-btn btn-copy-tab';
         copyBtn.innerHTML = '<i class="fas fa-link"></i>';
@@ -295,7 +401,7 @@ export class UIManager {
             e.stopPropagation();
             this.handlers.onCopyTab?.(tab.url);
         });
-        
+
         const editBtn = document.createElement('button');
         editBtn.className = 'tab-action-btn btn-edit-tab';
         editBtn.innerHTML = '<i class="fas fa-pen"></i>';
@@ -306,20 +412,23 @@ export class UIManager {
         });
 
         actions.appendChild(copyBtn);
-        actions.appendChild(editBtn);
-
-        const deleteBtn = document.createElement('button');
-        deleteBtn.className = 'tab-action-btn btn-delete-tab';
-        deleteBtn.innerHTML = '<i class="fas fa-times"></i>';
-        deleteBtn.dataset.tooltip = 'Delete';
-        deleteBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.handlers.onDeleteTab?.(tab.id, collectionId);
-        });
 
         card.appendChild(content);
         card.appendChild(actions);
-        card.appendChild(deleteBtn);
+
+        if (!readOnly) {
+            actions.appendChild(editBtn);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'tab-action-btn btn-delete-tab';
+            deleteBtn.innerHTML = '<i class="fas fa-times"></i>';
+            deleteBtn.dataset.tooltip = 'Delete';
+            deleteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.handlers.onDeleteTab?.(tab.id, collectionId);
+            });
+            card.appendChild(deleteBtn);
+        }
 
         card.addEventListener('click', (e) => {
             if (!e.target.closest('button') && !e.target.closest('.tab-action-btn')) {
@@ -330,9 +439,103 @@ export class UIManager {
         return card;
     }
 
+    /**
+     * 订阅的集合：只读，显示在自己的集合下方，可以把标签页拖到自己的集合中或复制整个集合
+     * @param {Array} subscriptions ShareService.getSubscriptions() 的结果
+     * @param {Object} expansionStates
+     */
+    renderSubscriptions(subscriptions, expansionStates = {}) {
+        if (!this.subscriptionsContainer) return;
+
+        this.subscriptionsContainer.innerHTML = '';
+        document.getElementById('subscriptions-section')?.classList.toggle('hidden', subscriptions.length === 0);
+
+        const fragment = document.createDocumentFragment();
+        subscriptions.forEach((subscription) => {
+            const id = `subscription-${subscription.gistId}`;
+            const isExpanded = expansionStates[id] !== undefined ? expansionStates[id] : true;
+            fragment.appendChild(this.createSubscriptionElement(subscription, id, isExpanded));
+        });
+        this.subscriptionsContainer.appendChild(fragment);
+    }
+
+    createSubscriptionElement(subscription, id, isExpanded) {
+        const div = document.createElement('div');
+        div.className = `collection subscription collection-color-${subscription.color} ${isExpanded ? 'expanded' : 'collapsed'}`;
+        div.dataset.color = subscription.color;
+
+        const header = document.createElement('div');
+        header.className = 'collection-header';
+
+        const titleContainer = document.createElement('div');
+        titleContainer.className = 'collection-title-container';
+
+        const expander = document.createElement('span');
+        expander.className = 'collection-expander';
+        expander.innerHTML = '<i class="fas fa-chevron-right"></i>';
+
+        const title = document.createElement('h3');
+        title.className = 'collection-title';
+        title.textContent = subscription.name;
+
+        const tabCount = document.createElement('span');
+        tabCount.className = 'collection-tab-count';
+        tabCount.textContent = `${subscription.tabs.length} 个标签`;
+
+        const meta = document.createElement('span');
+        meta.className = `subscription-meta${subscription.error ? ' error' : ''}`;
+        const source = subscription.owner ? `来自 ${subscription.owner}` : '订阅';
+        meta.textContent = subscription.error
+            ? `${source} · 刷新失败：${subscription.error}`
+            : `${source} · 更新于 ${new Date(subscription.updatedAt).toLocaleString()}`;
+
+        titleContainer.appendChild(expander);
+        titleContainer.appendChild(title);
+        titleContainer.appendChild(tabCount);
+        titleContainer.appendChild(meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'collection-actions';
+        const buttons = [
+            ['fa-rotate', '刷新', () => this.handlers.onRefreshSubscription?.(subscription.gistId)],
+            ['fa-copy', '复制到我的集合', () => this.handlers.onCopySubscription?.(subscription.gistId)],
+            ['fa-arrow-up', 'Open all tabs', () => this.handlers.onOpenSubscription?.(subscription.gistId)],
+            ['fa-xmark', '取消订阅', () => this.handlers.onUnsubscribe?.(subscription.gistId)]
+        ];
+        buttons.forEach(([icon, tooltip, onClick]) => {
+            const btn = document.createElement('button');
+            btn.className = 'btn-action';
+            btn.innerHTML = `<i class="fas ${icon}"></i>`;
+            btn.dataset.tooltip = tooltip;
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                onClick();
+            });
+            actions.appendChild(btn);
+        });
+
+        header.appendChild(titleContainer);
+        header.appendChild(actions);
+        header.addEventListener('click', () => {
+            this.handlers.onToggleCollection?.(id);
+        });
+
+        const grid = document.createElement('div');
+        grid.className = 'tabs-grid subscription-grid';
+        grid.dataset.gistId = subscription.gistId;
+        if (!isExpanded) grid.classList.add('hidden');
+        subscription.tabs.forEach((tab) => {
+            grid.appendChild(this.createTabElement(tab, id, true));
+        });
+
+        div.appendChild(header);
+        div.appendChild(grid);
+        return div;
+    }
+
     renderOpenTabs(tabsByWindow, windowExpansionStates = {}) {
         if (!this.windowsContainer) return;
-        
+
         this.windowsContainer.innerHTML = '';
         const fragment = document.createDocumentFragment();
 
@@ -352,14 +555,14 @@ export class UIManager {
 
         const header = document.createElement('div');
         header.className = 'window-header';
-        
+
         const content = document.createElement('div');
         content.className = 'window-header-content';
-        
+
         const expander = document.createElement('span');
         expander.className = `window-expander ${isExpanded ? '' : 'collapsed'}`;
         expander.textContent = '▼';
-        
+
         const title = document.createElement('h4');
         title.textContent = `窗口 ${index}`;
 
@@ -375,7 +578,7 @@ export class UIManager {
         list.className = 'open-tabs-list';
         list.dataset.windowId = windowId;
 
-        tabs.forEach(tab => {
+        tabs.forEach((tab) => {
             const item = document.createElement('div');
             item.className = 'open-tab-item';
             item.dataset.tabId = tab.id;
@@ -391,9 +594,9 @@ export class UIManager {
 
             item.appendChild(favicon);
             item.appendChild(t);
-            
+
             item.addEventListener('click', () => this.handlers.onFocusTab?.(tab.id));
-            
+
             list.appendChild(item);
         });
 
@@ -402,6 +605,47 @@ export class UIManager {
         return div;
     }
 
+    showToast(message, action = null, duration = 5000) {
+        document.querySelector('.message-toast')?.remove();
+
+        const toast = document.createElement('div');
+        toast.className = 'message-toast';
+
+        const text = document.createElement('span');
+        text.textContent = message;
+        toast.appendChild(text);
+
+        if (action) {
+            const btn = document.createElement('button');
+            btn.className = 'toast-action';
+            btn.textContent = action.label;
+            btn.addEventListener('click', () => {
+                toast.remove();
+                action.onClick();
+            });
+            toast.appendChild(btn);
+        }
+
+        document.body.appendChild(toast);
+        setTimeout(() => toast.remove(), duration);
+    }
+
+    /**
+     * Show or hide the banner for a failed save; it stays until a save succeeds
+     * @param {Error|null} error
+     */
+    renderSaveError(error) {
+        const banner = document.getElementById('save-error-banner');
+        if (!banner) return;
+        document.getElementById('save-error-text').textContent = error
+            ? error.quotaExceeded
+                ? error.message
+                : `修改未能保存：${error.message}`
+            : '';
+        document.getElementById('save-error-settings').classList.toggle('hidden', !error?.quotaExceeded);
+        banner.classList.toggle('hidden', !error);
+    }
+
     updateCollectionCount(count) {
         const el = document.getElementById('collection-count');
         if (el) el.textContent = `${count} 个集合`;
@@ -413,7 +657,8 @@ export class UIManager {
             return;
         }
         img.alt = tab.title || '';
-        img.src = 'data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 16 16%22><rect width=%2216%22 height=%2216%22 fill=%22%23666%22 rx=%222%22/><text x=%228%22 y=%2212%22 font-size=%2210%22 fill=%22white%22 text-anchor=%22middle%22 font-family=%22sans-serif%22>?</text></svg>';
+        img.src =
+            'data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 16 16%22><rect width=%2216%22 height=%2216%22 fill=%22%23666%22 rx=%222%22/><text x=%228%22 y=%2212%22 font-size=%2210%22 fill=%22white%22 text-anchor=%22middle%22 font-family=%22sans-serif%22>?</text></svg>';
         try {
             const hostname = new URL(tab.url).hostname;
             img.src = `https://icons.duckduckgo.com/ip3/${hostname}.ico`;
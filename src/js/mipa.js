@@ -1,16 +1,31 @@
-import { CollectionManager } from './managers/CollectionManager.js';
+import { CollectionClient } from './managers/CollectionClient.js';
 import { UIManager } from './managers/UIManager.js';
 import { ModalManager } from './managers/ModalManager.js';
+import { StorageService } from './services/StorageService.js';
+import { SyncService } from './services/SyncService.js';
+import { BackgroundSyncService } from './services/BackgroundSyncService.js';
+import { SyncQueueService } from './services/SyncQueueService.js';
+import { SyncLogService } from './services/SyncLogService.js';
+import { CredentialService } from './services/CredentialService.js';
+import { MergeService } from './services/MergeService.js';
+import { ShareService } from './services/ShareService.js';
+import { QuotaService } from './services/QuotaService.js';
+import { ExternalApiService } from './services/ExternalApiService.js';
 import { MipaUtils } from './utils.js';
 import Sortable from 'sortablejs';
 import '@fortawesome/fontawesome-free/css/all.min.css';
 
 class MipaTabManager {
     constructor() {
-        this.collectionManager = new CollectionManager();
+        // Collection data is owned by the background service worker; this page only sends it changes
+        this.collectionManager = new CollectionClient();
         this.openTabs = [];
+        this.subscriptions = [];
         this.windowExpansionStates = {};
         this.collectionExpansionStates = {};
+        this.isDragging = false;
+        this.remoteChangesPending = false;
+        this.debouncedQuotaCheck = MipaUtils.debounce(() => this.checkStorageQuota(), 5000);
 
         // Handlers passed to Managers
         const handlers = {
@@ -20,11 +35,74 @@ class MipaTabManager {
                 this.render();
             },
             onRequestDeleteCollection: (id) => this.modalManager.showDeleteCollection(id),
-            onChangeColor: (id, color) => {
-                this.collectionManager.updateCollectionColor(id, color);
-                this.render();
-            },
+            onChangeColor: (id, color) =>
+                this.runAction(async () => {
+                    await this.collectionManager.updateCollectionColor(id, color);
+                    this.render();
+                }),
+            onToggleLocalOnly: (id, localOnly) =>
+                this.runAction(async () => {
+                    if (await this.collectionManager.setCollectionLocalOnly(id, localOnly)) {
+                        this.uiManager.showToast(localOnly ? '该集合将只保存在本设备，不再上传' : '该集合已恢复同步');
+                    }
+                    this.render();
+                }),
             onOpenAllTabs: (id) => this.openAllTabsInCollection(id),
+            onShareCollection: async (id) => {
+                const collection = this.collectionManager.getCollections().find((c) => c.id === id);
+                if (collection) {
+                    this.modalManager.showShare(collection, await ShareService.getShare(id));
+                }
+            },
+            onPublishShare: async (id) => {
+                const collection = this.collectionManager.getCollections().find((c) => c.id === id);
+                if (!collection) throw new Error('集合不存在');
+                const share = await ShareService.share(collection);
+                this.uiManager.showToast('分享已发布');
+                return share;
+            },
+            onUnshare: async (id) => {
+                await ShareService.unshare(id);
+                this.uiManager.showToast('已停止分享');
+            },
+            onCopyShareLink: async (url) => {
+                await navigator.clipboard.writeText(url);
+                this.uiManager.showToast('分享链接已复制');
+            },
+
+            // Subscriptions
+            onSubscribe: async (url) => {
+                const subscription = await ShareService.subscribe(url);
+                this.uiManager.showToast(`已订阅 "${subscription.name}"`);
+            },
+            onRefreshSubscription: async (gistId) => {
+                await ShareService.refresh({ force: true, gistId });
+                const subscription = (await ShareService.getSubscriptions()).find((sub) => sub.gistId === gistId);
+                if (subscription?.error) {
+                    this.uiManager.showToast(`刷新失败：${subscription.error}`);
+                }
+            },
+            onCopySubscription: (gistId) =>
+                this.runAction(async () => {
+                    const subscription = this.subscriptions.find((sub) => sub.gistId === gistId);
+                    if (subscription) {
+                        await this.collectionManager.copyCollection(subscription);
+                        this.showUndoToast(`已复制为集合 "${subscription.name}"`);
+                        this.render();
+                    }
+                }),
+            onOpenSubscription: async (gistId) => {
+                const subscription = this.subscriptions.find((sub) => sub.gistId === gistId);
+                for (const tab of subscription?.tabs || []) {
+                    await chrome.tabs.create({ url: tab.url, active: false });
+                }
+            },
+            onUnsubscribe: async (gistId) => {
+                const subscription = this.subscriptions.find((sub) => sub.gistId === gistId);
+                if (subscription && confirm(`确定要取消订阅 "${subscription.name}" 吗？`)) {
+                    await ShareService.unsubscribe(gistId);
+                }
+            },
             onCloseAllAndOpen: (id) => this.closeAllTabsAndOpenCollection(id),
 
             // Name Editing
@@ -45,11 +123,12 @@ class MipaTabManager {
                     }
                 }
             },
-            onSaveCollectionName: (id, name) => {
-                if (this.collectionManager.updateCollectionName(id, name)) {
-                    this.render();
-                }
-            },
+            onSaveCollectionName: (id, name) =>
+                this.runAction(async () => {
+                    if (await this.collectionManager.updateCollectionName(id, name)) {
+                        this.render();
+                    }
+                }),
             onCancelEditCollectionName: (container) => {
                 const title = container.querySelector('.collection-title');
                 const edit = container.querySelector('.collection-edit-name');
@@ -70,30 +149,236 @@ class MipaTabManager {
                 const colIndex = this.collectionManager.getCollections().indexOf(col);
                 this.modalManager.showEditTab(tab, colId, colIndex, tabIndex);
             },
-            onDeleteTab: (tabId, colId) => {
-                this.collectionManager.deleteTab(colId, tabId);
-                this.render();
-            },
+            onDeleteTab: (tabId, colId) =>
+                this.runAction(async () => {
+                    if (await this.collectionManager.deleteTab(colId, tabId)) {
+                        this.showUndoToast('标签已移入回收站');
+                    }
+                    this.render();
+                }),
 
             // Modal Confirmations
-            onConfirmDeleteCollection: (id) => {
-                this.collectionManager.deleteCollection(id);
+            onConfirmDeleteCollection: (id) =>
+                this.runAction(async () => {
+                    if (await this.collectionManager.deleteCollection(id)) {
+                        this.showUndoToast('集合已移入回收站');
+                    }
+                    this.render();
+                }),
+            onSaveTab: (editingTab, newData) =>
+                this.runAction(async () => {
+                    await this.collectionManager.updateTab(editingTab.collectionId, editingTab.tabId, newData);
+                    this.render();
+                }),
+
+            // Trash
+            onRestoreTrashItem: (itemId) =>
+                this.runAction(async () => {
+                    if (await this.collectionManager.restoreFromTrash(itemId)) {
+                        this.uiManager.showToast('已恢复');
+                    }
+                    this.modalManager.renderTrash(this.collectionManager.getTrash());
+                    this.render();
+                }),
+            onDeleteTrashItem: (itemId) =>
+                this.runAction(async () => {
+                    await this.collectionManager.deleteFromTrash(itemId);
+                    this.modalManager.renderTrash(this.collectionManager.getTrash());
+                }),
+            onEmptyTrash: () =>
+                this.runAction(async () => {
+                    await this.collectionManager.emptyTrash();
+                    this.modalManager.renderTrash([]);
+                }),
+            onChangeTrashRetention: (days) =>
+                this.runAction(async () => {
+                    await StorageService.setTrashRetentionDays(days);
+                    await this.collectionManager.purgeTrash(days);
+                    this.modalManager.renderTrash(this.collectionManager.getTrash());
+                }),
+
+            // Snapshots
+            onPreviewSnapshot: async (id) => {
+                const snapshot = await StorageService.getSnapshot(id);
+                if (!snapshot) return;
+                const diff = MipaUtils.diffCollections(
+                    this.collectionManager.getCollections(),
+                    snapshot.data.collections
+                );
+                this.modalManager.showSnapshotPreview(snapshot, diff);
+            },
+            onRestoreSnapshot: (id) =>
+                this.runAction(async () => {
+                    const snapshot = await StorageService.getSnapshot(id);
+                    if (!snapshot) return;
+                    await this.collectionManager.createSnapshot('恢复前');
+                    if (await this.collectionManager.replaceCollections('恢复快照', snapshot.data.collections)) {
+                        this.showUndoToast('已恢复快照');
+                    }
+                    this.render();
+                }),
+            onCreateSnapshot: async () => {
+                try {
+                    await this.collectionManager.createSnapshot('手动');
+                } catch (error) {
+                    this.uiManager.showToast(error.message);
+                }
+                this.modalManager.renderSnapshots(await StorageService.listSnapshots());
+            },
+
+            // Settings
+            onToggleUnlimitedStorage: async (enable) => {
+                if (enable) {
+                    if (!(await QuotaService.requestUnlimitedStorage())) return;
+                } else {
+                    await QuotaService.removeUnlimitedStorage();
+                }
+                await this.checkStorageQuota();
+                // 空间不足导致的保存失败在放开上限后立即重试
+                if (enable && this.collectionManager.saveError) {
+                    this.retrySave();
+                }
+            },
+            onOpenTrash: () => this.openTrash(),
+            onSaveExternalAllowList: async (ids) => {
+                const saved = await ExternalApiService.setAllowedIds(ids);
+                this.uiManager.showToast(saved.length > 0 ? `已允许 ${saved.length} 个扩展访问` : '已关闭外部访问');
+                return saved;
+            },
+            onClearSnapshots: async () => {
+                await StorageService.clearSnapshots();
+                await this.checkStorageQuota();
+                this.uiManager.showToast('已删除所有快照');
+            },
+
+            // Sync revision history
+            onLoadRevisions: async (page) => {
+                const revisions = await SyncService.listRevisions(page);
+                return { revisions, hasMore: revisions.length === SyncService.REVISIONS_PER_PAGE };
+            },
+            onPreviewRevision: async (version) => {
+                const data = await SyncService.getRevision(version).catch(() => null);
+                if (!data) {
+                    this.uiManager.showToast('无法读取该版本');
+                    return;
+                }
+                const current = this.collectionManager.getCollections();
+                this.modalManager.showRevisionPreview(
+                    version,
+                    MipaUtils.countCollections(data.collections),
+                    MipaUtils.diffCollections(current, data.collections),
+                    MipaUtils.diffCollections(current, MergeService.mergeCollections(current, data.collections))
+                );
+            },
+            onRestoreRevision: (version, mode) =>
+                this.runAction(async () => {
+                    const data = await SyncService.getRevision(version).catch(() => null);
+                    if (!data) return;
+                    await this.collectionManager.createSnapshot('恢复前');
+                    if (await this.collectionManager.restoreRevision(data.collections, mode)) {
+                        this.showUndoToast(mode === 'merge' ? '已合并历史版本' : '已恢复历史版本');
+                    }
+                    this.render();
+                }),
+
+            // Sync
+            onSyncTest: (providerId, config) => SyncService.testConnection(providerId, config),
+            onSyncFindExisting: (providerId, config) => SyncService.findExisting(providerId, config),
+            onSyncConnect: async (providerId, config) => {
+                // 主机权限只能在页面中响应用户操作申请，连接本身由后台执行
+                await SyncService.requestAccess(providerId, config);
+                const description = await this.collectionManager.connectSync(providerId, config);
+                this.uiManager.showToast(`已连接：${description}`);
+                await this.collectionManager.sync();
+                this.checkSyncStatus();
+            },
+            onSyncLogout: async () => {
+                await this.collectionManager.disconnectSync();
+                this.checkSyncStatus();
+            },
+            onRetrySync: () => this.retrySync(),
+            onChangeSyncSchedule: async (minutes) => {
+                await BackgroundSyncService.setIntervalMinutes(minutes);
+                this.uiManager.showToast(minutes > 0 ? '已更新后台同步间隔' : '已关闭后台同步');
+            },
+
+            // Sync status panel
+            onPullNow: async () => {
+                if (!(await this.collectionManager.sync())) {
+                    const { lastError } = await SyncLogService.getStatus();
+                    throw new Error(lastError || '同步失败');
+                }
+                this.render();
+                this.uiManager.showToast('同步完成');
+            },
+            onForcePush: async () => {
+                await this.collectionManager.forcePush();
+                this.uiManager.showToast('已用本地数据覆盖远程数据');
+            },
+            onRelink: async (target) => {
+                await this.collectionManager.relinkSync(target);
+                this.uiManager.showToast('已重新关联');
+                await this.collectionManager.sync(false);
                 this.render();
             },
-            onSaveTab: (editingTab, newData) => {
-                this.collectionManager.updateTab(editingTab.collectionId, editingTab.tabId, newData);
+            onClearSyncLog: () => SyncLogService.clearLog(),
+            onRequestDisconnect: async () => {
+                const active = await SyncService.getActive();
+                if (active) this.modalManager.showSyncModal('logout', active.provider.label);
+            },
+
+            // End-to-end encryption
+            onSetPassphrase: async (passphrase, mode) => {
+                await this.collectionManager.setSyncPassphrase(passphrase);
+                this.uiManager.showToast(mode === 'change' ? '加密密码已修改' : '已开启端到端加密');
+            },
+            onUnlockSync: async (passphrase) => {
+                await this.collectionManager.unlockSync(passphrase);
+                this.uiManager.showToast('已解锁同步数据');
+                await this.collectionManager.sync(false);
                 this.render();
+                this.checkSyncStatus();
+            },
+            onDisableEncryption: async () => {
+                await this.collectionManager.disableSyncEncryption();
+                this.uiManager.showToast('已关闭加密');
             },
 
-            // Gist
-            onGistConnect: async (token) => {
-                await chrome.storage.local.set({ githubToken: token });
-                await this.collectionManager.sync(token);
-                this.checkGistLoginStatus();
+            // Credential passphrase (protects the stored token / password on this device)
+            onOpenCredentials: async () => {
+                const status = await CredentialService.getStatus();
+                if (status.locked) {
+                    await this.promptCredentials();
+                    return;
+                }
+                this.modalManager.showEncryption(status.protected ? 'credentials-change' : 'credentials-enable');
+            },
+            onSetCredentialPassphrase: async (passphrase, mode) => {
+                await CredentialService.setPassphrase(passphrase);
+                this.uiManager.showToast(mode === 'credentials-change' ? '凭据密码已修改' : '同步凭据已加密');
             },
-            onGistLogout: async () => {
-                await chrome.storage.local.remove(['githubToken', 'gistId']);
-                this.checkGistLoginStatus();
+            onUnlockCredentials: async (passphrase) => {
+                await CredentialService.unlock(passphrase);
+                this.uiManager.showToast('已解锁同步凭据');
+                this.checkSyncStatus();
+                await this.collectionManager.sync(false);
+                this.render();
+            },
+            onReenterCredentials: async (secret) => {
+                const provider = await SyncService.getProvider();
+                await CredentialService.set(provider.id, secret);
+                this.uiManager.showToast('已保存同步凭据');
+                this.checkSyncStatus();
+                await this.collectionManager.sync(false);
+                this.render();
+            },
+            onRemoveCredentialPassphrase: async () => {
+                await CredentialService.removePassphrase();
+                this.uiManager.showToast('已取消凭据密码');
+            },
+            onLockCredentials: async () => {
+                await CredentialService.lock();
+                this.uiManager.showToast('同步凭据已锁定');
             },
 
             // Windows
@@ -119,6 +404,7 @@ class MipaTabManager {
 
     async init() {
         await this.collectionManager.load();
+        this.subscriptions = await ShareService.getSubscriptions();
 
         // Initial Render
         this.render();
@@ -126,36 +412,191 @@ class MipaTabManager {
 
         // Setup static event listeners
         this.bindEventListeners();
+        this.modalManager.init();
+
+        // Sync conflicts are resolved by the user; merged results re-render the page
+        this.collectionManager.setConflictResolver((conflicts, source) =>
+            this.modalManager.showConflicts(conflicts, source)
+        );
+        // Changes made in other views or by background sync are applied without interrupting edits in progress
+        this.collectionManager.onChange = (changes) => this.applyRemoteChanges(changes);
+        // Failed saves stay visible until a retry succeeds
+        this.collectionManager.onSaveStateChange = (error) => {
+            this.uiManager.renderSaveError(error);
+            if (error?.quotaExceeded) this.checkStorageQuota();
+        };
 
         // Setup periodic tasks
         setInterval(() => this.loadOpenTabs(), 30000);
 
-        // Check Gist Status
-        this.checkGistLoginStatus();
+        // Check Sync Status
+        this.checkSyncStatus();
+        this.checkStorageQuota();
 
-        // Initial Sync (silent)
-        this.collectionManager.sync(null, false).then((updated) => {
-            if (updated) this.render();
-        });
+        // Initial Sync (silent); ask for the passphrase if the remote data is encrypted elsewhere
+        this.collectionManager
+            .sync(false)
+            .then(async (updated) => {
+                if (updated) this.render();
+                BackgroundSyncService.acknowledge();
+                if ((await SyncService.getEncryptionStatus()).locked) {
+                    this.modalManager.showEncryption('unlock');
+                }
+                this.showStaleSyncWarning();
+            })
+            .catch((error) => {
+                console.error('Initial sync failed:', error);
+                this.checkSyncStatus();
+            });
+
+        // Subscriptions that have not been fetched for a while are refreshed in the background
+        ShareService.refresh().catch((error) => console.error('Failed to refresh subscriptions:', error));
 
-        // Listen for storage changes (e.g. from popup)
+        // Listen for storage changes (subscriptions, sync status, storage usage)
         chrome.storage.onChanged.addListener((changes, areaName) => {
-            if (areaName === 'local' && changes.collections) {
-                this.collectionManager.load().then(() => {
-                    this.render();
-                });
+            // 凭据或同步密码在其他页面解锁、锁定或重新输入
+            const sessionKeys = [
+                CredentialService.SESSION_KEY,
+                CredentialService.SECRETS_KEY,
+                SyncService.ENCRYPTION_SESSION_KEY
+            ];
+            if (areaName === 'session' && sessionKeys.some((key) => changes[key])) {
+                this.checkSyncStatus();
+            }
+            if (areaName !== 'local') return;
+            // Data, trash or snapshots were written: re-check how full the storage is
+            const storageKeys = [StorageService.CHANGE_KEY, StorageService.TRASH_KEY, StorageService.SNAPSHOT_KEY];
+            if (storageKeys.some((key) => changes[key])) {
+                this.debouncedQuotaCheck();
+            }
+            if (changes[ShareService.SUBSCRIPTIONS_KEY]) {
+                this.subscriptions = changes[ShareService.SUBSCRIPTIONS_KEY].newValue || [];
+                this.render();
+            }
+            if (
+                changes[SyncService.LOCKED_KEY] ||
+                changes[SyncQueueService.QUEUE_KEY] ||
+                changes[CredentialService.STORE_KEY]
+            ) {
+                this.checkSyncStatus();
+            }
+            // 后台或其他页面的同步在长时间未同步后合并了数据
+            if (changes[SyncLogService.STATUS_KEY]?.newValue?.staleWarning) {
+                this.showStaleSyncWarning();
+            }
+            const syncPanelKeys = [SyncLogService.STATUS_KEY, SyncLogService.LOG_KEY, SyncQueueService.QUEUE_KEY];
+            if (this.modalManager.isSyncPanelOpen() && syncPanelKeys.some((key) => changes[key])) {
+                this.getSyncPanelData().then((data) => data && this.modalManager.renderSyncPanel(data));
             }
         });
 
-        this.modalManager.init();
+        // Push the last burst of edits right away when the page is hidden or closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.collectionManager.flushSync().catch((error) => console.error('Failed to push changes:', error));
+            }
+        });
+
+        // Retry pending sync as soon as the network is back
+        window.addEventListener('online', async () => {
+            try {
+                if (await SyncQueueService.getState()) {
+                    await this.retrySync();
+                }
+            } catch (error) {
+                console.error('Failed to retry sync:', error);
+            }
+        });
     }
 
     render() {
         this.uiManager.renderCollections(this.collectionManager.getCollections(), this.collectionExpansionStates);
+        this.uiManager.renderSubscriptions(this.subscriptions, this.collectionExpansionStates);
         // After render, we need to setup sortable
         requestAnimationFrame(() => this.setupSortable());
     }
 
+    /**
+     * 应用其他页面或后台同步带来的变化：只重新渲染变化的集合，正在编辑的集合名称、正在拖动的标签和编辑标签的弹窗不受影响
+     * @param {Object|null} changes 见 BackgroundDataService.diffChanges，null 表示数据整体替换
+     */
+    applyRemoteChanges(changes) {
+        if (this.isDragging) {
+            this.remoteChangesPending = true;
+            return;
+        }
+
+        const collections = this.collectionManager.getCollections();
+        const changedIds = changes
+            ? new Set([
+                  ...changes.collections.updated.map((collection) => collection.id),
+                  ...changes.tabs.added.map((change) => change.collectionId),
+                  ...changes.tabs.updated.map((change) => change.collectionId),
+                  ...changes.tabs.removed.map((change) => change.collectionId),
+                  ...Object.keys(changes.tabOrder)
+              ])
+            : new Set(collections.map((collection) => collection.id));
+        this.uiManager.renderCollections(collections, this.collectionExpansionStates, changedIds);
+        requestAnimationFrame(() => this.setupSortable());
+
+        // 正在编辑的标签被移到其他集合时跟随，被删除时关闭弹窗；已填写的内容保持不变
+        const editing = this.modalManager.getEditingTab();
+        if (editing) {
+            const hasTab = (collection) => collection.tabs.some((tab) => tab.id === editing.tabId);
+            const collection =
+                collections.find((c) => c.id === editing.collectionId && hasTab(c)) || collections.find(hasTab);
+            if (collection) {
+                editing.collectionId = collection.id;
+            } else {
+                this.modalManager.closeEditTab();
+                this.uiManager.showToast('正在编辑的标签已在其他页面删除');
+            }
+        }
+        if (this.modalManager.isTrashOpen()) {
+            this.modalManager.renderTrash(this.collectionManager.getTrash());
+        }
+    }
+
+    undo() {
+        return this.runAction(async () => {
+            const label = await this.collectionManager.undo();
+            if (label) {
+                this.render();
+                this.uiManager.showToast(`已撤销：${label}`);
+            }
+        });
+    }
+
+    redo() {
+        return this.runAction(async () => {
+            const label = await this.collectionManager.redo();
+            if (label) {
+                this.render();
+                this.uiManager.showToast(`已重做：${label}`);
+            }
+        });
+    }
+
+    /**
+     * 执行修改集合的操作：后台未响应或操作失败时提示错误，并重新渲染以撤回拖拽等已经改动的界面
+     * @param {Function} action
+     * @returns {Promise<*>} action 的结果，失败时为 undefined
+     */
+    async runAction(action) {
+        try {
+            return await action();
+        } catch (error) {
+            console.error('Collection operation failed:', error);
+            this.uiManager.showToast(`操作失败：${error.message}`);
+            this.render();
+            return undefined;
+        }
+    }
+
+    showUndoToast(message) {
+        this.uiManager.showToast(message, { label: '撤销', onClick: () => this.undo() });
+    }
+
     isCollectionExpanded(id) {
         return this.collectionExpansionStates[id] !== undefined ? this.collectionExpansionStates[id] : true;
     }
@@ -185,6 +626,20 @@ class MipaTabManager {
     bindEventListeners() {
         this.initThemeSwitcher();
 
+        // Undo / Redo shortcuts (leave native undo to text inputs)
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            if (e.target.closest('input, textarea, [contenteditable="true"]')) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
         document.getElementById('toggle-collections')?.addEventListener('click', () => {
             const anyExpanded = Object.values(this.collectionExpansionStates).some((v) => v);
             const newState = !anyExpanded;
@@ -205,8 +660,7 @@ class MipaTabManager {
                     c.name.toLowerCase().includes(query) ||
                     c.tabs.some((t) => {
                         return (
-                            t.title.toLowerCase().includes(query) ||
-                            MipaUtils.getUrlSearchText(t.url).includes(query)
+                            t.title.toLowerCase().includes(query) || MipaUtils.getUrlSearchText(t.url).includes(query)
                         );
                     })
                 );
@@ -226,17 +680,18 @@ class MipaTabManager {
             if (!form.classList.contains('hidden')) input.focus();
         });
 
-        const saveCollection = () => {
-            const name = input.value.trim();
-            if (name) {
-                const colorInput = document.querySelector('input[name="collection-color"]:checked');
-                const color = colorInput ? colorInput.value : 'white';
-                this.collectionManager.addCollection(name, color);
-                input.value = '';
-                form.classList.add('hidden');
-                this.render();
-            }
-        };
+        const saveCollection = () =>
+            this.runAction(async () => {
+                const name = input.value.trim();
+                if (name) {
+                    const colorInput = document.querySelector('input[name="collection-color"]:checked');
+                    const color = colorInput ? colorInput.value : 'white';
+                    await this.collectionManager.addCollection(name, color);
+                    input.value = '';
+                    form.classList.add('hidden');
+                    this.render();
+                }
+            });
 
         saveAddBtn?.addEventListener('click', saveCollection);
         cancelAddBtn?.addEventListener('click', () => form.classList.add('hidden'));
@@ -244,13 +699,53 @@ class MipaTabManager {
             if (e.key === 'Enter') saveCollection();
         });
 
-        // Gist Connect Button
-        document.getElementById('connect-gist')?.addEventListener('click', async () => {
-            const result = await chrome.storage.local.get(['githubToken', 'gistId']);
-            if (result.githubToken && result.gistId) {
-                this.modalManager.showGistModal('logout');
+        document.getElementById('open-subscribe')?.addEventListener('click', () => this.modalManager.showSubscribe());
+
+        document.getElementById('open-trash')?.addEventListener('click', () => this.openTrash());
+
+        document.getElementById('open-settings')?.addEventListener('click', () => this.openSettings());
+
+        document.getElementById('save-error-retry')?.addEventListener('click', () => this.retrySave());
+        document.getElementById('save-error-settings')?.addEventListener('click', () => this.openSettings());
+
+        document.getElementById('open-snapshots')?.addEventListener('click', async () => {
+            this.modalManager.showSnapshots(await StorageService.listSnapshots());
+        });
+
+        document.getElementById('open-sync-history')?.addEventListener('click', async () => {
+            if (!(await SyncService.isConnected())) {
+                this.modalManager.showSyncModal('login');
+                return;
+            }
+            this.modalManager.showSyncHistory();
+        });
+
+        document.getElementById('open-sync-encryption')?.addEventListener('click', async () => {
+            if (!(await SyncService.isConnected())) {
+                this.modalManager.showSyncModal('login');
+                return;
+            }
+            if (await CredentialService.isLocked()) {
+                await this.promptCredentials();
+                return;
+            }
+            const { enabled, locked } = await SyncService.getEncryptionStatus();
+            this.modalManager.showEncryption(locked ? 'unlock' : enabled ? 'change' : 'enable');
+        });
+
+        // Sync Connect Button
+        document.getElementById('connect-sync')?.addEventListener('click', async () => {
+            if ((await CredentialService.isLocked()) && (await SyncService.isConnected())) {
+                await this.promptCredentials();
+                return;
+            }
+            const active = await SyncService.getActive();
+            if (active && (await SyncService.getEncryptionStatus()).locked) {
+                this.modalManager.showEncryption('unlock');
+            } else if (active) {
+                this.modalManager.showSyncPanel(await this.getSyncPanelData());
             } else {
-                this.modalManager.showGistModal('login');
+                this.modalManager.showSyncModal('login');
             }
         });
 
@@ -275,20 +770,9 @@ class MipaTabManager {
             reader.onload = async (evt) => {
                 try {
                     const data = JSON.parse(evt.target.result);
-                    // Simple import: merge
-                    // For now, just replace or append. Let's append unique ones
-                    // This logic was complex in original file, let's simplify for now
-                    // Ideally call collectionManager.import(data)
-                    // But I haven't implemented import there yet.
-
-                    // Quick implementation:
                     if (Array.isArray(data)) {
-                        data.forEach((col) => {
-                            if (!this.collectionManager.getCollections().find((c) => c.name === col.name)) {
-                                this.collectionManager.collections.push(col);
-                            }
-                        });
-                        this.collectionManager.save();
+                        await this.collectionManager.createSnapshot('导入前');
+                        await this.collectionManager.importCollections(data);
                         this.render();
                         alert('Import successful');
                     }
@@ -336,26 +820,165 @@ class MipaTabManager {
         });
     }
 
-    async checkGistLoginStatus() {
-        const btn = document.getElementById('connect-gist');
+    async retrySync() {
+        try {
+            const updated = await this.collectionManager.sync(false);
+            if (updated) this.render();
+        } catch (error) {
+            console.error('Failed to retry sync:', error);
+        }
+        this.checkSyncStatus();
+    }
+
+    async describeSyncQueue() {
+        const queue = await SyncQueueService.getState();
+        return queue ? SyncQueueService.describe(queue) : null;
+    }
+
+    /**
+     * 同步状态面板显示的数据，未连接时返回 null
+     */
+    async getSyncPanelData() {
+        // 凭据在其他页面被锁定时不再刷新面板
+        const active = await SyncService.getActive().catch(() => null);
+        if (!active) return null;
+
+        const relinkLabels = {
+            gist: '新的 Gist ID 或网址',
+            github: '新的 Gist ID 或网址',
+            gitlab: '代码片段 ID 或网址',
+            gitea: '仓库（owner/name）或网址'
+        };
+        return {
+            provider: active.provider.label,
+            status: await SyncLogService.getStatus(),
+            log: await SyncLogService.getLog(),
+            localVersion: await StorageService.getVersion(),
+            intervalMinutes: await BackgroundSyncService.getIntervalMinutes(),
+            queue: await this.describeSyncQueue(),
+            relinkLabel: active.provider.relink
+                ? relinkLabels[active.config.serverType || active.provider.id] || null
+                : null,
+            credentials: await CredentialService.getStatus()
+        };
+    }
+
+    async openSettings() {
+        this.modalManager.showSettings(await QuotaService.getUsage(), await ExternalApiService.getAllowedIds());
+    }
+
+    /**
+     * 长时间未同步后合并了数据时提醒检查一次，提醒后清除
+     */
+    async showStaleSyncWarning() {
+        try {
+            const { staleWarning } = await SyncLogService.getStatus();
+            if (!staleWarning) return;
+            await SyncLogService.updateStatus({ staleWarning: null });
+            this.uiManager.showToast(
+                staleWarning,
+                {
+                    label: '查看快照',
+                    onClick: async () => this.modalManager.showSnapshots(await StorageService.listSnapshots())
+                },
+                15000
+            );
+        } catch (error) {
+            console.error('Failed to show sync warning:', error);
+        }
+    }
+
+    async openTrash() {
+        const retentionDays = await StorageService.getTrashRetentionDays();
+        this.modalManager.showTrash(this.collectionManager.getTrash(), retentionDays);
+    }
+
+    async retrySave() {
+        if (await this.collectionManager.retrySave()) {
+            this.uiManager.showToast('已保存');
+        }
+    }
+
+    /**
+     * 更新设置中的存储用量；用量升到新的警告级别时提醒一次
+     */
+    async checkStorageQuota() {
+        try {
+            if (this.modalManager.isSettingsOpen()) {
+                this.modalManager.renderStorageUsage(await QuotaService.getUsage());
+            }
+            const usage = await QuotaService.checkWarning();
+            if (usage) {
+                const percent = Math.round(usage.ratio * 100);
+                this.uiManager.showToast(
+                    `本地存储空间已使用 ${percent}%，空间不足时修改将无法保存`,
+                    { label: '查看', onClick: () => this.openSettings() },
+                    10000
+                );
+            }
+        } catch (error) {
+            console.error('Failed to check storage usage:', error);
+        }
+    }
+
+    /**
+     * 凭据不可用时：已设置凭据密码的输入密码解锁，未设置的重新输入浏览器关闭后清除的令牌或密码
+     */
+    async promptCredentials() {
+        if ((await CredentialService.getStatus()).protected) {
+            this.modalManager.showEncryption('credentials-unlock');
+            return;
+        }
+        const provider = await SyncService.getProvider();
+        this.modalManager.showEncryption(
+            'credentials-reenter',
+            `${provider.label} 的令牌或密码只保存到浏览器关闭，请重新输入以继续同步。`
+        );
+    }
+
+    async checkSyncStatus() {
+        const btn = document.getElementById('connect-sync');
         if (!btn) return;
 
-        const result = await chrome.storage.local.get(['githubToken', 'gistId']);
-        const isLoggedIn = !!result.githubToken && !!result.gistId;
+        const credentials = await CredentialService.getStatus();
+        if (credentials.locked && (await SyncService.isConnected())) {
+            const provider = await SyncService.getProvider();
+            const label = credentials.expired ? '凭据需重新输入' : '凭据待解锁';
+            btn.title = '';
+            btn.innerHTML = `<div class="connect-status"><i class="fa-solid fa-key"></i><span>${provider.label} ${label}</span><span class="status-indicator not-synced"></span></div>`;
+            btn.classList.add('btn-primary-bg');
+            btn.classList.remove('btn-success-bg');
+            return;
+        }
 
-        if (isLoggedIn) {
-            btn.innerHTML = `<div class="connect-status"><i class="fa-solid fa-check-circle"></i><span>已连接 Gist</span><span class="status-indicator"></span></div>`;
+        const active = await SyncService.getActive();
+        const { locked } = await SyncService.getEncryptionStatus();
+        const queue = await SyncQueueService.getState();
+        const description = active && queue ? SyncQueueService.describe(queue) : null;
+        btn.title = description || '';
+        this.modalManager.renderSyncQueue(description);
+
+        if (active && locked) {
+            btn.innerHTML = `<div class="connect-status"><i class="fa-solid fa-lock"></i><span>${active.provider.label} 待解锁</span><span class="status-indicator not-synced"></span></div>`;
+            btn.classList.add('btn-primary-bg');
+            btn.classList.remove('btn-success-bg');
+        } else if (active && queue) {
+            btn.innerHTML = `<div class="connect-status"><i class="fa-solid fa-clock-rotate-left"></i><span>${active.provider.label} 待同步</span><span class="status-indicator not-synced"></span></div>`;
+            btn.classList.add('btn-primary-bg');
+            btn.classList.remove('btn-success-bg');
+        } else if (active) {
+            btn.innerHTML = `<div class="connect-status"><i class="fa-solid fa-check-circle"></i><span>已连接 ${active.provider.label}</span><span class="status-indicator"></span></div>`;
             btn.classList.add('btn-success-bg');
             btn.classList.remove('btn-primary-bg');
         } else {
-            btn.innerHTML = `<div class="connect-status"><i class="fa-brands fa-github"></i><span>连接 Gist</span><span class="status-indicator not-synced"></span></div>`;
+            btn.innerHTML = `<div class="connect-status"><i class="fa-solid fa-cloud"></i><span>连接同步</span><span class="status-indicator not-synced"></span></div>`;
             btn.classList.add('btn-primary-bg');
             btn.classList.remove('btn-success-bg');
         }
     }
 
     setupSortable() {
-        const grids = document.querySelectorAll('.tabs-grid');
+        const grids = document.querySelectorAll('#collections-container .tabs-grid');
         grids.forEach((grid) => {
             if (grid.sortableInstance) grid.sortableInstance.destroy();
 
@@ -363,50 +986,81 @@ class MipaTabManager {
                 group: 'tabs',
                 animation: 150,
                 draggable: '.tab-card',
-                onAdd: (evt) => {
-                    const fromId = evt.from.id.replace('tabs-grid-', '');
-                    const toId = evt.to.id.replace('tabs-grid-', '');
-                    const item = evt.item;
-
-                    if (evt.from.classList.contains('open-tabs-list')) {
-                        // From sidebar
-                        const tabId = item.dataset.tabId;
-                        const openTab = this.openTabs.find((t) => t.id === tabId);
-                        if (openTab) {
-                            this.collectionManager.addTab(toId, openTab);
-                            item.classList.add('hidden'); // Hide clone, let render fix it
-                            this.render(); // Re-render to show real card
+                onStart: () => this.startDrag(),
+                onAdd: (evt) =>
+                    this.runAction(async () => {
+                        const fromId = evt.from.id.replace('tabs-grid-', '');
+                        const toId = evt.to.id.replace('tabs-grid-', '');
+                        const item = evt.item;
+
+                        if (evt.from.classList.contains('subscription-grid')) {
+                            // From a subscription: copy the tab, the subscription itself is read-only
+                            const subscription = this.subscriptions.find(
+                                (sub) => sub.gistId === evt.from.dataset.gistId
+                            );
+                            const tab = subscription?.tabs.find((t) => t.id === item.dataset.tabId);
+                            item.classList.add('hidden');
+                            if (tab) {
+                                await this.collectionManager.addTab(toId, tab);
+                            }
+                            this.render();
+                        } else if (evt.from.classList.contains('open-tabs-list')) {
+                            // From sidebar
+                            const tabId = item.dataset.tabId;
+                            const openTab = this.openTabs.find((t) => t.id === tabId);
+                            if (openTab) {
+                                item.classList.add('hidden'); // Hide clone, let render fix it
+                                await this.collectionManager.addTab(toId, openTab);
+                                this.render(); // Re-render to show real card
+                            }
+                        } else {
+                            // Between collections
+                            const tabId = item.dataset.tabId;
+                            item.classList.add('hidden'); // Hide dragged item, let render fix it
+                            if (await this.collectionManager.moveTab(tabId, fromId, toId, evt.newIndex)) {
+                                this.showUndoToast('标签已移动');
+                            }
+                            this.render();
                         }
-                    } else {
-                        // Between collections
-                        const tabId = item.dataset.tabId;
-                        this.collectionManager.moveTab(tabId, fromId, toId, evt.newIndex);
-                        item.classList.add('hidden'); // Hide dragged item, let render fix it
-                        this.render();
-                    }
-                },
+                    }),
                 onEnd: (evt) => {
+                    this.endDrag();
                     if (evt.from === evt.to) {
                         // Reorder within collection
                         const colId = evt.from.id.replace('tabs-grid-', '');
-                        this.collectionManager.reorderTabs(colId, evt.oldIndex, evt.newIndex);
+                        this.runAction(() => this.collectionManager.reorderTabs(colId, evt.oldIndex, evt.newIndex));
                     }
                 }
             });
         });
 
-        // Sidebar Sortable
-        const sidebars = document.querySelectorAll('.open-tabs-list');
+        // Sidebar and subscriptions: tabs can only be copied out
+        const sidebars = document.querySelectorAll('.open-tabs-list, .subscription-grid');
         sidebars.forEach((list) => {
             if (list.sortableInstance) list.sortableInstance.destroy();
             list.sortableInstance = new Sortable(list, {
                 group: { name: 'tabs', pull: 'clone', put: false },
                 animation: 150,
-                sort: false
+                sort: false,
+                onStart: () => this.startDrag(),
+                onEnd: () => this.endDrag()
             });
         });
     }
 
+    // Remote changes would rebuild the grid under the dragged tab; hold them until the drop
+    startDrag() {
+        this.isDragging = true;
+    }
+
+    endDrag() {
+        this.isDragging = false;
+        if (this.remoteChangesPending) {
+            this.remoteChangesPending = false;
+            this.render();
+        }
+    }
+
     async openAllTabsInCollection(id) {
         const col = this.collectionManager.getCollections().find((c) => c.id === id);
         if (col) {
@@ -1,5 +1,5 @@
-import { StorageService } from './services/StorageService.js';
-import { GistService } from './services/GistService.js';
+import { CollectionClient } from './managers/CollectionClient.js';
+import { BackgroundSyncService } from './services/BackgroundSyncService.js';
 import { MipaUtils } from './utils.js';
 import '@fortawesome/fontawesome-free/css/all.min.css';
 
@@ -10,7 +10,8 @@ class MipaPopup {
         this.filteredCollections = [];
         this.searchQuery = '';
         this.isAddingTab = false;
-        this.lastSaveTime = 0;
+        // Collections are changed and saved by the background service worker
+        this.client = new CollectionClient();
         // Initialize the popup
         this.init();
     }
@@ -21,29 +22,20 @@ class MipaPopup {
             const savedTheme = localStorage.getItem('mipa-theme') || 'dark-warm';
             document.body.setAttribute('data-theme', savedTheme);
 
-            this.collections = await StorageService.loadCollections();
-            this.filteredCollections = [...this.collections];
+            await this.loadCollections();
             // Bind event listeners
             this.bindEventListeners();
             // Render initial collections
             await this.renderCollections();
+            // Remote changes pulled in the background are now visible
+            BackgroundSyncService.acknowledge();
 
-            // Add storage change listener for real-time sync from other sources
-            chrome.storage.onChanged.addListener((changes, areaName) => {
-                if (areaName === 'local' && (changes.mipaData || changes.collections)) {
-                    const now = Date.now();
-                    if (now - this.lastSaveTime < 500) {
-                        return;
-                    }
-                    if (!this.isAddingTab) {
-                        StorageService.loadCollections().then((collections) => {
-                            this.collections = collections;
-                            this.filterCollections();
-                            this.renderCollections();
-                        });
-                    }
+            // Changes made in other pages or by background sync
+            this.client.onChange = () => {
+                if (!this.isAddingTab) {
+                    this.reloadCollections();
                 }
-            });
+            };
         } catch (error) {
             console.error('Error initializing popup:', error);
             // Show error message in UI
@@ -53,9 +45,9 @@ class MipaPopup {
             }
         }
     }
-    // Load collections from storage
+    // Load collections from the background service worker
     async loadCollections() {
-        this.collections = await StorageService.loadCollections();
+        this.collections = await this.client.load();
         this.filteredCollections = [...this.collections];
     }
     // Handle collection search
@@ -237,16 +229,15 @@ class MipaPopup {
                         return;
                     }
                     const tabData = {
-                        id: MipaUtils.generateUUID(),
                         title: currentTab.title || 'Untitled',
                         url: currentTab.url || ''
                     };
                     if (currentTab.description && currentTab.description !== currentTab.title) {
                         tabData.description = currentTab.description;
                     }
-                    collection.tabs.push(tabData);
+                    await this.client.callAndSave('addTab', collectionId, tabData);
+                    this.collections = this.client.getCollections();
                     this.filterCollections();
-                    await this.saveToStorageAndSync();
                     this.showMessage('标签保存成功！');
 
                     // 优先更新UI，让用户立即看到反馈
@@ -262,23 +253,18 @@ class MipaPopup {
             }
         } catch (error) {
             console.error('Error adding tab to collection:', error);
-            this.showMessage('保存标签时出错', 'error');
+            this.showMessage(error.quotaExceeded ? error.message : '保存标签时出错', 'error');
             if (addTabBtn) {
                 addTabBtn.textContent = '+';
                 addTabBtn.disabled = false;
             }
+            // Show the list as it is now so the add can be retried
+            await this.reloadCollections();
         } finally {
             this.isAddingTab = false;
         }
     }
 
-    async saveToStorageAndSync() {
-        this.lastSaveTime = Date.now();
-        await StorageService.saveToLocalStorage(this.collections);
-        GistService.syncWithGist(this.collections).catch((error) => {
-            console.error('Gist同步失败:', error);
-        });
-    }
     // Save session data for a collection - 改为异步执行
     async saveSession(collectionId) {
         try {
@@ -336,7 +322,6 @@ class MipaPopup {
                         if (!processedUrls.has(uniqueUrlKey)) {
                             processedUrls.add(uniqueUrlKey);
                             const tabData = {
-                                id: MipaUtils.generateUUID(),
                                 title: tab.title || 'Untitled',
                                 url: tab.url || ''
                             };
@@ -349,7 +334,6 @@ class MipaPopup {
                         if (!processedUrls.has(tab.url)) {
                             processedUrls.add(tab.url);
                             const tabData = {
-                                id: MipaUtils.generateUUID(),
                                 title: tab.title || 'Untitled',
                                 url: tab.url || ''
                             };
@@ -360,21 +344,8 @@ class MipaPopup {
                         }
                     }
                 });
-            const newCollection = {
-                id: MipaUtils.generateUUID(),
-                name: collectionName,
-                color: 'blue',
-                tabs: tabDataArray
-            };
-            this.collections.push(newCollection);
-            this.filterCollections();
-            await this.renderCollections();
-
-            this.lastSaveTime = Date.now();
-            await StorageService.saveToLocalStorage(this.collections);
-            GistService.syncWithGist(this.collections).catch((error) => {
-                console.error('Gist同步失败:', error);
-            });
+            await this.client.callAndSave('addCollection', collectionName, 'blue', tabDataArray);
+            await this.reloadCollections();
 
             this.showMessage('所有标签保存成功！');
             // NEW APPROACH: Use a completely different method
@@ -392,9 +363,17 @@ class MipaPopup {
             }
         } catch (error) {
             console.error('Error saving all tabs:', error);
-            this.showMessage('保存标签时出错', 'error');
+            this.showMessage(error.quotaExceeded ? error.message : '保存标签时出错', 'error');
+            await this.reloadCollections();
         }
     }
+
+    // Take the latest collections from the background and re-render
+    async reloadCollections() {
+        this.collections = this.client.getCollections();
+        this.filterCollections();
+        await this.renderCollections();
+    }
     // Open Mipa in a new tab or switch to existing one
     async openMipaInNewTab() {
         try {
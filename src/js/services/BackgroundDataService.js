@@ -0,0 +1,370 @@
+import { CollectionManager } from '../managers/CollectionManager.js';
+import { StorageService } from './StorageService.js';
+import { MipaUtils } from '../utils.js';
+
+/**
+ * 后台 service worker 是集合数据唯一的写入方：弹窗和管理页面（CollectionClient）通过消息调用这里的 CollectionManager，
+ * 并通过 PORT_NAME 连接接收每次变更（seq 递增，instance 标识这次 service worker 的运行）
+ */
+export const BackgroundDataService = {
+    PORT_NAME: 'mipa-view',
+    MESSAGES: {
+        // {method, args} → call() 的返回值
+        CALL: 'mipa:call',
+        // → {ok, state}，state 见 getState()
+        GET_STATE: 'mipa:getState',
+        // 广播 {instance, seq, changes, meta}：changes 见 diffChanges()，meta 为 state 中除 collections 以外的字段
+        CHANGES: 'mipa:changes',
+        // 同步冲突交给一个打开的管理页面选择 {requestId, conflicts, source}，页面回复 CONFLICTS_RESOLVED {requestId, resolutions}
+        RESOLVE_CONFLICTS: 'mipa:resolveConflicts',
+        CONFLICTS_RESOLVED: 'mipa:conflictsResolved'
+    },
+    // 可以通过消息调用的 CollectionManager 方法；改变同步设置和远程数据的操作也在这里执行，与保存和同步轮流进行
+    OPERATIONS: [
+        'addCollection',
+        'copyCollection',
+        'importCollections',
+        'replaceCollections',
+        'restoreRevision',
+        'deleteCollection',
+        'updateCollectionName',
+        'updateCollectionColor',
+        'setCollectionLocalOnly',
+        'addTab',
+        'addTabs',
+        'deleteTab',
+        'updateTab',
+        'moveTab',
+        'reorderTabs',
+        'restoreFromTrash',
+        'deleteFromTrash',
+        'emptyTrash',
+        'purgeTrash',
+        'undo',
+        'redo',
+        'sync',
+        'flushSync',
+        'retrySave',
+        'connectSync',
+        'disconnectSync',
+        'forcePush',
+        'relinkSync',
+        'setSyncPassphrase',
+        'unlockSync',
+        'disableSyncEncryption',
+        'createSnapshot'
+    ],
+    manager: null,
+    _loading: null,
+    instance: MipaUtils.generateUUID(),
+    seq: 0,
+    ports: new Set(),
+    _conflictRequests: new Map(),
+    _broadcastScheduled: false,
+    // 最近一次发布（seq）时的数据，下一次变更与它比较
+    _published: null,
+    // service worker 空闲约 30 秒后会被停止：撤销/重做记录和保存失败的数据保存在 chrome.storage.session 中，
+    // 重新启动后恢复；浏览器关闭后清除
+    SESSION_KEY: 'mipaManagerSession',
+
+    /**
+     * 在 service worker 启动时注册消息和存储监听
+     */
+    init() {
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            if (message?.type === this.MESSAGES.CALL) {
+                this.call(message.method, message.args || []).then(sendResponse);
+                return true;
+            }
+            if (message?.type === this.MESSAGES.GET_STATE) {
+                this.getManager()
+                    .then(() => sendResponse({ ok: true, state: this.getState() }))
+                    .catch((error) => sendResponse({ ok: false, error: this.serializeError(error) }));
+                return true;
+            }
+            return false;
+        });
+
+        chrome.runtime.onConnect.addListener((port) => {
+            if (port.name !== this.PORT_NAME) return;
+            this.ports.add(port);
+            port.onMessage.addListener((message) => {
+                if (message?.type === this.MESSAGES.CONFLICTS_RESOLVED) {
+                    this._finishConflictRequest(message.requestId, message.resolutions || null);
+                }
+            });
+            port.onDisconnect.addListener(() => {
+                this.ports.delete(port);
+                // 正在等待这个页面选择的冲突按自动合并处理
+                for (const [requestId, request] of this._conflictRequests) {
+                    if (request.port === port) this._finishConflictRequest(requestId, null);
+                }
+            });
+        });
+
+        // 后台定时同步等直接写入存储的操作完成后，重新加载并通知页面
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes[StorageService.CHANGE_KEY]) {
+                this._reloadIfChanged(changes[StorageService.CHANGE_KEY].newValue?.version);
+            }
+        });
+    },
+
+    /**
+     * @returns {Promise<CollectionManager>} 已加载数据的 CollectionManager，service worker 重新启动后第一次使用时加载
+     */
+    getManager() {
+        if (!this._loading) {
+            const manager = new CollectionManager();
+            manager.onUpdate = () => this.scheduleBroadcast();
+            manager.onChange = () => this.scheduleBroadcast();
+            manager.onSaveStateChange = () => this.scheduleBroadcast();
+            manager.setConflictResolver((conflicts, source) => this._askConflicts(conflicts, source));
+            this._loading = manager.load().then(
+                async () => {
+                    manager.restoreSession(await this._loadSession());
+                    this.manager = manager;
+                    this._published = this._snapshot();
+                    return manager;
+                },
+                (error) => {
+                    this._loading = null;
+                    throw error;
+                }
+            );
+        }
+        return this._loading;
+    },
+
+    /**
+     * 完整的 state，尚未发布的变化先发布，保证 seq 与数据对应
+     * @returns {{instance: string, seq: number, collections: Array, trash: Array, version: number,
+     *   canUndo: boolean, canRedo: boolean, saveError: Object|null}}
+     */
+    getState() {
+        this.broadcast();
+        return {
+            instance: this.instance,
+            seq: this.seq,
+            collections: this.manager.getCollections(),
+            ...this._getMeta()
+        };
+    },
+
+    _getMeta() {
+        const manager = this.manager;
+        return {
+            trash: manager.getTrash(),
+            version: manager.getVersion(),
+            canUndo: manager.canUndo(),
+            canRedo: manager.canRedo(),
+            saveError: manager.saveError ? this.serializeError(manager.saveError) : null
+        };
+    },
+
+    _snapshot() {
+        return {
+            collections: structuredClone(this.manager.getCollections()),
+            meta: JSON.stringify(this._getMeta())
+        };
+    },
+
+    async _loadSession() {
+        try {
+            const result = await chrome.storage.session.get(this.SESSION_KEY);
+            return result[this.SESSION_KEY] || null;
+        } catch (error) {
+            console.error('Error loading collection session:', error);
+            return null;
+        }
+    },
+
+    _saveSession() {
+        const session = this.manager.exportSession((error) => this.serializeError(error));
+        chrome.storage.session
+            .set({ [this.SESSION_KEY]: session })
+            .catch((error) => console.error('Error saving collection session:', error));
+    },
+
+    /**
+     * 比较两份集合列表，得到新增、修改和删除的集合与标签页。
+     * 集合以 ID 区分，标签页以（集合 ID，标签页 ID）区分，在集合间移动的标签页是一次删除加一次新增
+     * @param {Array} from
+     * @param {Array} to
+     * @returns {{collections: {added: Array, updated: Array, removed: Array<string>},
+     *   tabs: {added: Array<{collectionId, tab}>, updated: Array<{collectionId, tab}>, removed: Array<{collectionId, tabId}>},
+     *   order: Array<string>|null, tabOrder: Object<string, Array<string>>}|null}
+     *   collections.added 含标签页，collections.updated 只含集合自身的字段；
+     *   order 为集合 ID 的新顺序（顺序或集合有增删时），tabOrder 为标签页有增删或顺序改变的集合中标签页 ID 的新顺序；
+     *   没有变化时返回 null
+     */
+    diffChanges(from, to) {
+        const changes = {
+            collections: { added: [], updated: [], removed: [] },
+            tabs: { added: [], updated: [], removed: [] },
+            order: null,
+            tabOrder: {}
+        };
+        const fromMap = new Map(from.map((collection) => [collection.id, collection]));
+        const toIds = new Set(to.map((collection) => collection.id));
+        const withoutTabs = (collection) => {
+            const fields = { ...collection };
+            delete fields.tabs;
+            return fields;
+        };
+        const ids = (items) => items.map((item) => item.id).join('\n');
+
+        from.forEach((collection) => {
+            if (!toIds.has(collection.id)) changes.collections.removed.push(collection.id);
+        });
+        to.forEach((collection) => {
+            const previous = fromMap.get(collection.id);
+            if (!previous) {
+                changes.collections.added.push(collection);
+                return;
+            }
+            const fields = withoutTabs(collection);
+            if (JSON.stringify(withoutTabs(previous)) !== JSON.stringify(fields)) {
+                changes.collections.updated.push(fields);
+            }
+
+            const previousTabs = new Map(previous.tabs.map((tab) => [tab.id, tab]));
+            const tabIds = new Set(collection.tabs.map((tab) => tab.id));
+            previous.tabs.forEach((tab) => {
+                if (!tabIds.has(tab.id)) changes.tabs.removed.push({ collectionId: collection.id, tabId: tab.id });
+            });
+            collection.tabs.forEach((tab) => {
+                const previousTab = previousTabs.get(tab.id);
+                if (!previousTab) {
+                    changes.tabs.added.push({ collectionId: collection.id, tab });
+                } else if (JSON.stringify(previousTab) !== JSON.stringify(tab)) {
+                    changes.tabs.updated.push({ collectionId: collection.id, tab });
+                }
+            });
+            if (ids(previous.tabs) !== ids(collection.tabs)) {
+                changes.tabOrder[collection.id] = collection.tabs.map((tab) => tab.id);
+            }
+        });
+        if (ids(from) !== ids(to)) {
+            changes.order = to.map((collection) => collection.id);
+        }
+
+        const changed =
+            [...Object.values(changes.collections), ...Object.values(changes.tabs)].some((list) => list.length > 0) ||
+            Object.keys(changes.tabOrder).length > 0 ||
+            !!changes.order;
+        return changed ? changes : null;
+    },
+
+    /**
+     * 执行一个操作并立即保存
+     * @param {string} method OPERATIONS 之一
+     * @param {Array} args
+     * @returns {Promise<{ok: boolean, result?: *, saved?: boolean, state?: Object, error?: Object}>}
+     *   saved：本次操作的修改是否已写入存储（没有修改时为 true）；失败时 error 见 serializeError()
+     */
+    async call(method, args) {
+        try {
+            if (!this.OPERATIONS.includes(method)) {
+                throw new Error(`未知的操作：${method}`);
+            }
+            const manager = await this.getManager();
+            const before = manager.revision;
+            const result = await manager[method](...args);
+            const revision = manager.revision;
+            await manager.flushSave();
+            // 之前保存失败的修改与本次操作无关，不影响 saved
+            const saved = revision === before || manager.savedRevision >= revision;
+            return { ok: true, result: result ?? null, saved, state: this.getState() };
+        } catch (error) {
+            return { ok: false, error: this.serializeError(error) };
+        }
+    },
+
+    /**
+     * Error 不能直接通过消息传递：保留 message 和 quotaExceeded、locked 等标记
+     * @param {Error} error
+     * @returns {Object}
+     */
+    serializeError(error) {
+        const flags = Object.fromEntries(Object.entries(error).filter(([key]) => key !== 'cause'));
+        return { ...flags, message: error.message };
+    },
+
+    /**
+     * 同一轮中的多次变化只发布一次
+     */
+    scheduleBroadcast() {
+        if (this._broadcastScheduled) return;
+        this._broadcastScheduled = true;
+        setTimeout(() => {
+            this._broadcastScheduled = false;
+            this.broadcast();
+        }, 0);
+    },
+
+    /**
+     * 与上次发布的数据比较，有变化时 seq 加一并把变更发给所有连接的页面
+     */
+    broadcast() {
+        if (!this.manager) return;
+        const previous = this._published;
+        const current = this._snapshot();
+        const changes = this.diffChanges(previous.collections, current.collections);
+        if (!changes && previous.meta === current.meta) return;
+
+        this._published = current;
+        this.seq++;
+        this._saveSession();
+        const message = {
+            type: this.MESSAGES.CHANGES,
+            instance: this.instance,
+            seq: this.seq,
+            changes,
+            meta: JSON.parse(current.meta)
+        };
+        this.ports.forEach((port) => {
+            try {
+                port.postMessage(message);
+            } catch {
+                this.ports.delete(port);
+            }
+        });
+    },
+
+    /**
+     * 存储中的数据由其他途径（如后台定时同步）更新时重新加载；本页面有未保存的修改时留给下次保存合并
+     * @param {number} version
+     */
+    async _reloadIfChanged(version) {
+        const manager = this.manager;
+        if (!manager || version === manager.getVersion()) return;
+        if (manager.isSaving || manager.isSyncing || manager.hasUnsavedChanges()) return;
+        await manager.load();
+        this.broadcast();
+    },
+
+    /**
+     * 请一个打开的管理页面选择冲突的解决方式
+     * @param {Array} conflicts
+     * @param {'remote'|'local'} source
+     * @returns {Promise<Object|null>} null 表示没有页面可以选择或用户取消
+     */
+    _askConflicts(conflicts, source) {
+        const port = [...this.ports].reverse().find((p) => p.sender?.url?.includes('mipa.html'));
+        if (!port) return Promise.resolve(null);
+
+        const requestId = MipaUtils.generateUUID();
+        return new Promise((resolve) => {
+            this._conflictRequests.set(requestId, { port, resolve });
+            port.postMessage({ type: this.MESSAGES.RESOLVE_CONFLICTS, requestId, conflicts, source });
+        });
+    },
+
+    _finishConflictRequest(requestId, resolutions) {
+        const request = this._conflictRequests.get(requestId);
+        if (!request) return;
+        this._conflictRequests.delete(requestId);
+        request.resolve(resolutions);
+    }
+};
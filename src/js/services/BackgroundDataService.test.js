@@ -0,0 +1,119 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { BackgroundDataService } from './BackgroundDataService.js';
+import { CollectionClient } from '../managers/CollectionClient.js';
+
+const tab = (id, fields = {}) => ({ id, title: id, url: `https://example.com/${id}`, ...fields });
+const col = (id, tabs = [], fields = {}) => ({ id, name: id, color: 'white', tabs, ...fields });
+
+// 页面按变更更新后的数据应与后台的一致
+const roundTrip = (from, to) => {
+    const changes = BackgroundDataService.diffChanges(from, to);
+    return new CollectionClient()._applyChanges(from, changes);
+};
+
+describe('BackgroundDataService.diffChanges', () => {
+    it('没有变化时返回 null', () => {
+        const collections = [col('a', [tab('1')])];
+        expect(BackgroundDataService.diffChanges(collections, structuredClone(collections))).toBeNull();
+    });
+
+    it('新增和删除集合时记录集合顺序', () => {
+        const from = [col('a'), col('b')];
+        const to = [col('c', [tab('1')]), col('a')];
+        const changes = BackgroundDataService.diffChanges(from, to);
+        expect(changes.collections.added).toEqual([to[0]]);
+        expect(changes.collections.removed).toEqual(['b']);
+        expect(changes.order).toEqual(['c', 'a']);
+        expect(changes.tabs.added).toEqual([]);
+    });
+
+    it('集合的字段变化只包含集合自身的字段', () => {
+        const changes = BackgroundDataService.diffChanges(
+            [col('a', [tab('1')])],
+            [col('a', [tab('1')], { name: 'A' })]
+        );
+        expect(changes.collections.updated).toEqual([{ id: 'a', name: 'A', color: 'white' }]);
+        expect(changes.tabs.updated).toEqual([]);
+        expect(changes.order).toBeNull();
+        expect(changes.tabOrder).toEqual({});
+    });
+
+    it('标签页的增删改和顺序', () => {
+        const from = [col('a', [tab('1'), tab('2'), tab('3')])];
+        const to = [col('a', [tab('3'), tab('1', { title: 'new' }), tab('4')])];
+        const changes = BackgroundDataService.diffChanges(from, to);
+        expect(changes.tabs.added).toEqual([{ collectionId: 'a', tab: tab('4') }]);
+        expect(changes.tabs.updated).toEqual([{ collectionId: 'a', tab: tab('1', { title: 'new' }) }]);
+        expect(changes.tabs.removed).toEqual([{ collectionId: 'a', tabId: '2' }]);
+        expect(changes.tabOrder).toEqual({ a: ['3', '1', '4'] });
+    });
+
+    it('在集合间移动的标签页是一次删除加一次新增', () => {
+        const changes = BackgroundDataService.diffChanges(
+            [col('a', [tab('1')]), col('b')],
+            [col('a'), col('b', [tab('1')])]
+        );
+        expect(changes.tabs.removed).toEqual([{ collectionId: 'a', tabId: '1' }]);
+        expect(changes.tabs.added).toEqual([{ collectionId: 'b', tab: tab('1') }]);
+        expect(changes.tabOrder).toEqual({ a: [], b: ['1'] });
+    });
+});
+
+describe('CollectionClient._applyChanges', () => {
+    it('应用变更后得到与后台相同的数据', () => {
+        const from = [col('a', [tab('1'), tab('2')]), col('b', [tab('3')]), col('c')];
+        const to = [
+            col('d', [tab('5')]),
+            col('b', [tab('3'), tab('2', { title: 'moved' })], { color: 'red' }),
+            col('a', [tab('4'), tab('1')])
+        ];
+        expect(roundTrip(from, to)).toEqual(to);
+    });
+
+    it('未变化的集合和标签页保持原来的对象', () => {
+        const from = [col('a', [tab('1')]), col('b', [tab('2'), tab('3')])];
+        const to = [from[0], col('b', [from[1].tabs[0], tab('3', { title: 'new' })])];
+        const result = roundTrip(from, to);
+        expect(result[0]).toBe(from[0]);
+        expect(result[1].tabs[0]).toBe(from[1].tabs[0]);
+    });
+
+    it('与本地数据对不上时返回 null', () => {
+        const changes = BackgroundDataService.diffChanges([col('a', [tab('1')])], [col('a', [tab('1'), tab('2')])]);
+        expect(new CollectionClient()._applyChanges([col('b')], changes)).toBeNull();
+    });
+});
+
+describe('CollectionClient.callAndSave', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    // 后台的响应：本次的修改是否保存，以及当前的保存错误（可能来自其他页面之前的修改）
+    const respond = (saved, saveError) =>
+        vi.stubGlobal('chrome', {
+            runtime: {
+                sendMessage: vi.fn(async () => ({
+                    ok: true,
+                    result: 'added',
+                    saved,
+                    state: { instance: 'i', seq: 1, collections: [], saveError }
+                }))
+            }
+        });
+
+    it('本次的修改没有保存时抛出保存错误', async () => {
+        respond(false, { message: '存储空间不足', quotaExceeded: true });
+        await expect(new CollectionClient().callAndSave('addTab', 'a', {})).rejects.toMatchObject({
+            message: '存储空间不足',
+            quotaExceeded: true
+        });
+    });
+
+    it('其他修改留下的保存错误不影响已保存的操作', async () => {
+        respond(true, { message: '存储空间不足' });
+        const client = new CollectionClient();
+        expect(await client.callAndSave('addTab', 'a', {})).toBe('added');
+        expect(client.saveError.message).toBe('存储空间不足');
+    });
+});
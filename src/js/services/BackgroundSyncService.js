@@ -0,0 +1,124 @@
+import { SyncService } from './SyncService.js';
+import { CredentialService } from './CredentialService.js';
+import { BackgroundDataService } from './BackgroundDataService.js';
+import { MipaUtils } from '../utils.js';
+
+/**
+ * 后台定时同步：由 service worker 通过 chrome.alarms 按设定的间隔拉取和推送，
+ * 收到远程变更或同步失败时在扩展图标上显示徽标，打开管理页面或弹窗后清除
+ */
+export const BackgroundSyncService = {
+    ALARM_NAME: 'mipa-sync',
+    SCHEDULE_KEY: 'syncSchedule',
+    BADGE_KEY: 'syncBadge',
+    DEFAULT_INTERVAL: 15,
+    // 可选的同步间隔（分钟），0 表示关闭后台同步
+    INTERVAL_OPTIONS: [0, 5, 15, 30, 60, 180],
+    BADGE_COLORS: {
+        changes: '#18a952',
+        error: '#dc3636',
+        locked: '#d97706'
+    },
+
+    /**
+     * @returns {Promise<number>} 同步间隔（分钟），0 表示关闭
+     */
+    async getIntervalMinutes() {
+        const result = await chrome.storage.local.get(this.SCHEDULE_KEY);
+        const interval = result[this.SCHEDULE_KEY]?.intervalMinutes;
+        return this.INTERVAL_OPTIONS.includes(interval) ? interval : this.DEFAULT_INTERVAL;
+    },
+
+    /**
+     * 保存同步间隔，service worker 监听到变化后重新设置定时器
+     * @param {number} minutes
+     */
+    async setIntervalMinutes(minutes) {
+        await chrome.storage.local.set({ [this.SCHEDULE_KEY]: { intervalMinutes: minutes } });
+    },
+
+    /**
+     * 按当前设置创建或清除定时器；未连接同步服务时不创建
+     */
+    async schedule() {
+        const interval = await this.getIntervalMinutes();
+        const connected = await SyncService.isConnected();
+        await chrome.alarms.clear(this.ALARM_NAME);
+        if (interval > 0 && connected) {
+            await chrome.alarms.create(this.ALARM_NAME, { delayInMinutes: 1, periodInMinutes: interval });
+        } else {
+            await this.clearBadge();
+        }
+    },
+
+    /**
+     * 执行一次后台同步并更新徽标。同步由后台的 CollectionManager 执行，与页面发起的保存和同步轮流进行
+     */
+    async run() {
+        if (!(await SyncService.isConnected())) return;
+
+        const before = MipaUtils.clone((await BackgroundDataService.getManager()).getCollections());
+        const response = await BackgroundDataService.call('sync', [true]);
+        // 已有同步正在进行时跳过
+        if (response.ok && response.result === null) return;
+
+        if (!response.ok || !response.result) {
+            const { locked } = await SyncService.getEncryptionStatus();
+            await this.setBadge(locked || (await CredentialService.isLocked()) ? 'locked' : 'error');
+            return;
+        }
+
+        const after = (await BackgroundDataService.getManager()).getCollections();
+        const diff = MipaUtils.diffCollections(before, after);
+        const count = diff.collectionsAdded.length + diff.collectionsRemoved.length + diff.collectionsChanged.length;
+        if (count > 0) {
+            await this.setBadge('changes', count);
+        } else {
+            // 同步恢复正常后清除失败标记，未查看的远程变更标记保留
+            const current = await this.getBadge();
+            if (current && current.type !== 'changes') {
+                await this.clearBadge();
+            }
+        }
+    },
+
+    async getBadge() {
+        const result = await chrome.storage.local.get(this.BADGE_KEY);
+        return result[this.BADGE_KEY] || null;
+    },
+
+    /**
+     * @param {'changes'|'error'|'locked'} type
+     * @param {number} [count] 远程变更涉及的集合数，与未查看的变更累加
+     */
+    async setBadge(type, count = 0) {
+        const current = await this.getBadge();
+        const total = type === 'changes' && current?.type === 'changes' ? current.count + count : count;
+        const titles = {
+            changes: total > 0 ? `已从远程同步 ${total} 个集合的变更` : '已从远程同步变更',
+            error: '后台同步失败',
+            locked: '同步已暂停，请打开管理页面输入密码或重新输入同步凭据'
+        };
+
+        await chrome.storage.local.set({ [this.BADGE_KEY]: { type, count: total } });
+        await chrome.action.setBadgeBackgroundColor({ color: this.BADGE_COLORS[type] });
+        await chrome.action.setBadgeText({ text: type !== 'changes' ? '!' : total > 0 ? String(total) : '•' });
+        await chrome.action.setTitle({ title: titles[type] });
+    },
+
+    /**
+     * 打开管理页面或弹窗后视为已查看远程变更；失败和待解锁的标记要等下次同步成功才清除
+     */
+    async acknowledge() {
+        const current = await this.getBadge();
+        if (current?.type === 'changes') {
+            await this.clearBadge();
+        }
+    },
+
+    async clearBadge() {
+        await chrome.storage.local.remove(this.BADGE_KEY);
+        await chrome.action.setBadgeText({ text: '' });
+        await chrome.action.setTitle({ title: chrome.runtime.getManifest().name });
+    }
+};
@@ -0,0 +1,70 @@
+import { MipaUtils } from '../utils.js';
+
+/**
+ * chrome.storage.local 存储适配器：整个数据文档保存为 mipaData 一个值。
+ * 迁移到 IndexedDB 之前的存储方式，现在用于没有 IndexedDB 的环境，以及作为迁移的来源。接口说明见 StorageService
+ */
+export const ChromeStorageAdapter = {
+    id: 'chrome-storage',
+    DATA_KEY: 'mipaData',
+    // 快照数组 [{id, kind, label, createdAt, counts, data}]
+    SNAPSHOT_KEY: 'mipaSnapshots',
+
+    async read() {
+        const result = await chrome.storage.local.get(this.DATA_KEY);
+        return result[this.DATA_KEY] || null;
+    },
+
+    async readMeta() {
+        const doc = await this.read();
+        if (!doc) return null;
+        const meta = { ...doc };
+        delete meta.collections;
+        return meta;
+    },
+
+    async write(doc, check = null) {
+        if (check && !check(await this.readMeta())) return false;
+        await chrome.storage.local.set({ [this.DATA_KEY]: doc });
+        return true;
+    },
+
+    async _readSnapshots() {
+        const result = await chrome.storage.local.get(this.SNAPSHOT_KEY);
+        return result[this.SNAPSHOT_KEY] || [];
+    },
+
+    async listSnapshots() {
+        return (await this._readSnapshots()).map(({ data, ...snapshot }) => ({
+            ...snapshot,
+            counts: snapshot.counts || MipaUtils.countCollections(data.collections)
+        }));
+    },
+
+    async getSnapshot(id) {
+        return (await this._readSnapshots()).find((snapshot) => snapshot.id === id) || null;
+    },
+
+    async saveSnapshot(snapshot, removeIds = []) {
+        const removed = new Set([snapshot.id, ...removeIds]);
+        const kept = (await this._readSnapshots()).filter((item) => !removed.has(item.id));
+        await chrome.storage.local.set({ [this.SNAPSHOT_KEY]: [snapshot, ...kept] });
+    },
+
+    async clearSnapshots() {
+        await chrome.storage.local.remove(this.SNAPSHOT_KEY);
+    },
+
+    async readRemoteCache(key) {
+        const result = await chrome.storage.local.get(key);
+        return result[key] ?? null;
+    },
+
+    async writeRemoteCache(key, value) {
+        await chrome.storage.local.set({ [key]: value });
+    },
+
+    async removeRemoteCache(key) {
+        await chrome.storage.local.remove(key);
+    }
+};
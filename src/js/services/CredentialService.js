@@ -0,0 +1,237 @@
+import { CryptoService } from './CryptoService.js';
+
+/**
+ * 同步凭据（GitHub 令牌、WebDAV 密码等）的统一存取：各同步后端只通过这里读写凭据，不再和连接配置一起明文保存。
+ * 设置凭据密码后，每项凭据用由密码派生的密钥（PBKDF2 + AES-GCM，见 CryptoService）加密保存在 chrome.storage.local；
+ * 解锁后密钥只保存在 chrome.storage.session 中（浏览器关闭后清除），每次启动浏览器需要重新解锁。
+ * 没有设置密码时凭据不写入磁盘，只保存在 chrome.storage.session 中，local 中只记录保存了哪些凭据；
+ * 浏览器关闭或扩展更新后需要重新输入
+ */
+export const CredentialService = {
+    // {protection: {salt, iterations, check}|null, secrets: {名称: 加密后的内容，未设置密码时为 null}}
+    STORE_KEY: 'syncCredentials',
+    SESSION_KEY: 'syncCredentialKey',
+    // 未设置密码时的凭据明文 {名称: 内容}，保存在 chrome.storage.session
+    SECRETS_KEY: 'syncCredentialSecrets',
+    // 用来验证密码的固定内容
+    CHECK_TEXT: 'mipa-credentials',
+
+    async _loadStore() {
+        const result = await chrome.storage.local.get(this.STORE_KEY);
+        return result[this.STORE_KEY] || { protection: null, secrets: {} };
+    },
+
+    async _saveStore(store) {
+        await chrome.storage.local.set({ [this.STORE_KEY]: store });
+    },
+
+    async _loadSessionKey(store) {
+        const result = await chrome.storage.session.get(this.SESSION_KEY);
+        const keyInfo = result[this.SESSION_KEY];
+        return keyInfo && keyInfo.salt === store.protection.salt ? keyInfo : null;
+    },
+
+    async _loadSessionSecrets() {
+        const result = await chrome.storage.session.get(this.SECRETS_KEY);
+        return result[this.SECRETS_KEY] || {};
+    },
+
+    async _saveSessionSecrets(secrets) {
+        await chrome.storage.session.set({ [this.SECRETS_KEY]: secrets });
+    },
+
+    /**
+     * 未设置密码时读取凭据，本次浏览器会话中还没有输入时抛出 error.credentialsLocked 和 error.credentialsExpired 为 true 的错误
+     * @param {string} name
+     * @returns {Promise<string>}
+     */
+    async _getSessionSecret(name) {
+        const secrets = await this._loadSessionSecrets();
+        if (secrets[name] === undefined) {
+            const error = new Error('同步凭据只保存到浏览器关闭，请重新输入令牌或密码');
+            error.credentialsLocked = true;
+            error.credentialsExpired = true;
+            throw error;
+        }
+        return secrets[name];
+    },
+
+    _lockedError() {
+        const error = new Error('同步凭据已加密，请先输入凭据密码解锁');
+        error.credentialsLocked = true;
+        return error;
+    },
+
+    /**
+     * 已设置密码时返回解锁的密钥，未解锁时抛出 error.credentialsLocked 为 true 的错误；未设置密码时返回 null
+     * @param {Object} store
+     * @returns {Promise<Object|null>}
+     */
+    async _requireKey(store) {
+        if (!store.protection) return null;
+        const keyInfo = await this._loadSessionKey(store);
+        if (!keyInfo) throw this._lockedError();
+        return keyInfo;
+    },
+
+    /**
+     * protected：已设置凭据密码；locked：本次浏览器会话中还不能读取凭据，需要解锁或重新输入；
+     * expired：未设置密码，凭据已随浏览器关闭清除，需要重新输入
+     * @returns {Promise<{protected: boolean, locked: boolean, expired: boolean}>}
+     */
+    async getStatus() {
+        const store = await this._loadStore();
+        if (!store.protection) {
+            const secrets = await this._loadSessionSecrets();
+            const expired = Object.keys(store.secrets).some((name) => secrets[name] === undefined);
+            return { protected: false, locked: expired, expired };
+        }
+        return { protected: true, locked: !(await this._loadSessionKey(store)), expired: false };
+    },
+
+    async isLocked() {
+        return (await this.getStatus()).locked;
+    },
+
+    /**
+     * 是否保存了该凭据（不需要解锁，未设置密码时浏览器关闭后仍然算已保存）
+     * @param {string} name
+     * @returns {Promise<boolean>}
+     */
+    async has(name) {
+        const store = await this._loadStore();
+        return store.secrets[name] !== undefined;
+    },
+
+    /**
+     * @param {string} name
+     * @returns {Promise<string|null>} 没有保存时返回 null；已加密且尚未解锁，或需要重新输入时抛出 error.credentialsLocked 为 true 的错误
+     */
+    async get(name) {
+        const store = await this._loadStore();
+        const value = store.secrets[name];
+        if (value === undefined) return null;
+
+        const keyInfo = await this._requireKey(store);
+        return keyInfo ? CryptoService.decrypt(value, keyInfo) : this._getSessionSecret(name);
+    },
+
+    /**
+     * 保存凭据，已设置密码时需要先解锁
+     * @param {string} name
+     * @param {string} value
+     */
+    async set(name, value) {
+        const store = await this._loadStore();
+        const keyInfo = await this._requireKey(store);
+        if (keyInfo) {
+            store.secrets[name] = await CryptoService.encrypt(value, keyInfo);
+        } else {
+            await this._saveSessionSecrets({ ...(await this._loadSessionSecrets()), [name]: value });
+            store.secrets[name] = null;
+        }
+        await this._saveStore(store);
+    },
+
+    /**
+     * 删除凭据（不需要解锁）
+     * @param {string} name
+     */
+    async remove(name) {
+        const store = await this._loadStore();
+        if (store.secrets[name] === undefined) return;
+        delete store.secrets[name];
+        await this._saveStore(store);
+
+        const secrets = await this._loadSessionSecrets();
+        if (secrets[name] !== undefined) {
+            delete secrets[name];
+            await this._saveSessionSecrets(secrets);
+        }
+    },
+
+    /**
+     * 设置或修改凭据密码：用新密码派生的密钥重新加密所有凭据，并在本次会话中保持解锁；
+     * 未设置过密码且凭据需要重新输入时抛出 error.credentialsExpired 为 true 的错误
+     * @param {string} passphrase
+     */
+    async setPassphrase(passphrase) {
+        if (!passphrase || passphrase.length < 8) {
+            throw new Error('密码至少需要 8 个字符');
+        }
+        const store = await this._loadStore();
+        const secrets = await this._decryptAll(store);
+
+        const keyInfo = await CryptoService.deriveKey(passphrase);
+        const encrypted = {};
+        for (const [name, value] of Object.entries(secrets)) {
+            encrypted[name] = await CryptoService.encrypt(value, keyInfo);
+        }
+        await this._saveStore({
+            protection: {
+                salt: keyInfo.salt,
+                iterations: keyInfo.iterations,
+                check: await CryptoService.encrypt(this.CHECK_TEXT, keyInfo)
+            },
+            secrets: encrypted
+        });
+        await chrome.storage.session.set({ [this.SESSION_KEY]: keyInfo });
+        await chrome.storage.session.remove(this.SECRETS_KEY);
+    },
+
+    /**
+     * 取消凭据密码，凭据改为只保存在本次浏览器会话中；需要先解锁
+     */
+    async removePassphrase() {
+        const store = await this._loadStore();
+        const secrets = await this._decryptAll(store);
+        await this._saveSessionSecrets(secrets);
+        await this._saveStore({
+            protection: null,
+            secrets: Object.fromEntries(Object.keys(secrets).map((name) => [name, null]))
+        });
+        await chrome.storage.session.remove(this.SESSION_KEY);
+    },
+
+    async _decryptAll(store) {
+        const keyInfo = await this._requireKey(store);
+        if (!keyInfo) {
+            const secrets = {};
+            for (const name of Object.keys(store.secrets)) {
+                secrets[name] = await this._getSessionSecret(name);
+            }
+            return secrets;
+        }
+
+        const secrets = {};
+        for (const [name, value] of Object.entries(store.secrets)) {
+            secrets[name] = await CryptoService.decrypt(value, keyInfo);
+        }
+        return secrets;
+    },
+
+    /**
+     * 用密码解锁，密钥保存到 chrome.storage.session 供本次浏览器会话中的所有页面和 service worker 使用
+     * @param {string} passphrase
+     */
+    async unlock(passphrase) {
+        const store = await this._loadStore();
+        if (!store.protection) return;
+
+        const { salt, iterations, check } = store.protection;
+        const keyInfo = await CryptoService.deriveKey(passphrase, salt, iterations);
+        try {
+            await CryptoService.decrypt(check, keyInfo);
+        } catch {
+            throw new Error('凭据密码错误');
+        }
+        await chrome.storage.session.set({ [this.SESSION_KEY]: keyInfo });
+    },
+
+    /**
+     * 立即锁定，之后读取凭据需要重新输入密码
+     */
+    async lock() {
+        await chrome.storage.session.remove(this.SESSION_KEY);
+    }
+};
@@ -0,0 +1,130 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { CredentialService } from './CredentialService.js';
+import { CryptoService } from './CryptoService.js';
+
+// chrome.storage.local 和 chrome.storage.session 的内存实现；restartBrowser() 清空 session
+const stubChromeStorage = () => {
+    const area = (items) => ({
+        get: vi.fn(async (key) => (key in items ? { [key]: structuredClone(items[key]) } : {})),
+        set: vi.fn(async (values) => Object.assign(items, structuredClone(values))),
+        remove: vi.fn(async (key) => {
+            delete items[key];
+        })
+    });
+    const local = {};
+    const session = {};
+    vi.stubGlobal('chrome', { storage: { local: area(local), session: area(session) } });
+    return {
+        local,
+        session,
+        restartBrowser: () => Object.keys(session).forEach((key) => delete session[key])
+    };
+};
+
+describe('CredentialService', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = stubChromeStorage();
+        // 测试中使用较少的迭代次数
+        const deriveKey = CryptoService.deriveKey.bind(CryptoService);
+        vi.spyOn(CryptoService, 'deriveKey').mockImplementation((passphrase, salt = null, iterations = 1000) =>
+            deriveKey(passphrase, salt, iterations)
+        );
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        vi.unstubAllGlobals();
+    });
+
+    describe('未设置密码', () => {
+        it('凭据只保存在 chrome.storage.session，local 中只记录名称', async () => {
+            await CredentialService.set('gist', 'ghp_secret');
+
+            expect(await CredentialService.get('gist')).toBe('ghp_secret');
+            expect(await CredentialService.has('gist')).toBe(true);
+            expect(JSON.stringify(storage.local)).not.toContain('ghp_secret');
+            expect(storage.local[CredentialService.STORE_KEY]).toEqual({ protection: null, secrets: { gist: null } });
+            expect(await CredentialService.getStatus()).toEqual({ protected: false, locked: false, expired: false });
+        });
+
+        it('浏览器关闭后需要重新输入', async () => {
+            await CredentialService.set('gist', 'ghp_secret');
+            storage.restartBrowser();
+
+            expect(await CredentialService.has('gist')).toBe(true);
+            expect(await CredentialService.getStatus()).toEqual({ protected: false, locked: true, expired: true });
+            await expect(CredentialService.get('gist')).rejects.toMatchObject({
+                credentialsLocked: true,
+                credentialsExpired: true
+            });
+
+            await CredentialService.set('gist', 'ghp_new');
+            expect(await CredentialService.get('gist')).toBe('ghp_new');
+        });
+
+        it('删除凭据时同时从 session 中移除', async () => {
+            await CredentialService.set('gist', 'ghp_secret');
+            await CredentialService.remove('gist');
+
+            expect(await CredentialService.get('gist')).toBeNull();
+            expect(storage.session[CredentialService.SECRETS_KEY]).toEqual({});
+        });
+    });
+
+    describe('设置密码', () => {
+        it('凭据加密保存，本次会话中保持解锁', async () => {
+            await CredentialService.set('gist', 'ghp_secret');
+            await CredentialService.setPassphrase('correct horse');
+
+            expect(JSON.stringify(storage.local)).not.toContain('ghp_secret');
+            expect(storage.session[CredentialService.SECRETS_KEY]).toBeUndefined();
+            expect(await CredentialService.getStatus()).toEqual({ protected: true, locked: false, expired: false });
+            expect(await CredentialService.get('gist')).toBe('ghp_secret');
+        });
+
+        it('浏览器重启后需要用密码解锁', async () => {
+            await CredentialService.set('gist', 'ghp_secret');
+            await CredentialService.setPassphrase('correct horse');
+            storage.restartBrowser();
+
+            expect(await CredentialService.isLocked()).toBe(true);
+            await expect(CredentialService.get('gist')).rejects.toMatchObject({ credentialsLocked: true });
+            await expect(CredentialService.set('webdav', 'pw')).rejects.toMatchObject({ credentialsLocked: true });
+            await expect(CredentialService.unlock('wrong horse')).rejects.toThrow('凭据密码错误');
+
+            await CredentialService.unlock('correct horse');
+            expect(await CredentialService.get('gist')).toBe('ghp_secret');
+        });
+
+        it('锁定后不需要解锁也能删除凭据', async () => {
+            await CredentialService.set('gist', 'ghp_secret');
+            await CredentialService.setPassphrase('correct horse');
+            await CredentialService.lock();
+
+            await CredentialService.remove('gist');
+            expect(await CredentialService.has('gist')).toBe(false);
+        });
+
+        it('取消密码后凭据改为只保存在本次会话中', async () => {
+            await CredentialService.set('gist', 'ghp_secret');
+            await CredentialService.setPassphrase('correct horse');
+            await CredentialService.removePassphrase();
+
+            expect(storage.local[CredentialService.STORE_KEY]).toEqual({ protection: null, secrets: { gist: null } });
+            expect(storage.session[CredentialService.SESSION_KEY]).toBeUndefined();
+            expect(await CredentialService.get('gist')).toBe('ghp_secret');
+        });
+
+        it('拒绝过短的密码，凭据需要重新输入时不能设置密码', async () => {
+            await expect(CredentialService.setPassphrase('short')).rejects.toThrow('至少需要 8 个字符');
+
+            await CredentialService.set('gist', 'ghp_secret');
+            storage.restartBrowser();
+            await expect(CredentialService.setPassphrase('correct horse')).rejects.toMatchObject({
+                credentialsExpired: true
+            });
+        });
+    });
+});
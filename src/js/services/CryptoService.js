@@ -0,0 +1,131 @@
+import { MipaUtils } from '../utils.js';
+
+/**
+ * 同步数据端到端加密：用 PBKDF2（SHA-256）从密码派生 AES-GCM 256 位密钥，在本地加密后再上传。
+ * 加密后的远程文件是带有 mipaEncrypted 标记的 JSON，其中包含派生参数、IV 和密文；
+ * 同一密码的所有设备共用 salt，每次加密使用新的随机 IV
+ */
+export const CryptoService = {
+    FORMAT_VERSION: 1,
+    ALGORITHM: 'AES-GCM',
+    KDF: 'PBKDF2-SHA256',
+    ITERATIONS: 600000,
+    SALT_BYTES: 16,
+    IV_BYTES: 12,
+
+    /**
+     * 远程内容是否为加密数据
+     * @param {string|null} content
+     * @returns {boolean}
+     */
+    isEncrypted(content) {
+        return this.parseEnvelope(content) !== null;
+    },
+
+    /**
+     * 解析加密数据的外层结构，不是加密数据时返回 null
+     * @param {string|null} content
+     * @returns {{mipaEncrypted: number, kdf: string, iterations: number, salt: string, iv: string, data: string}|null}
+     */
+    parseEnvelope(content) {
+        if (!content) return null;
+        try {
+            const envelope = JSON.parse(content);
+            return envelope && envelope.mipaEncrypted && envelope.data ? envelope : null;
+        } catch {
+            return null;
+        }
+    },
+
+    /**
+     * 从密码派生密钥
+     * @param {string} passphrase
+     * @param {string} [salt] Base64 编码的 salt，不传时生成新的 salt（设置新密码时）
+     * @param {number} [iterations]
+     * @returns {Promise<{salt: string, iterations: number, key: string}>} key 为 Base64 编码的原始密钥
+     */
+    async deriveKey(passphrase, salt = null, iterations = this.ITERATIONS) {
+        const saltBytes = salt
+            ? MipaUtils.base64ToBytes(salt)
+            : crypto.getRandomValues(new Uint8Array(this.SALT_BYTES));
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, [
+            'deriveBits'
+        ]);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations },
+            material,
+            256
+        );
+        return { salt: MipaUtils.bytesToBase64(saltBytes), iterations, key: MipaUtils.bytesToBase64(bits) };
+    },
+
+    _importKey(keyInfo, usage) {
+        return crypto.subtle.importKey('raw', MipaUtils.base64ToBytes(keyInfo.key), this.ALGORITHM, false, [usage]);
+    },
+
+    /**
+     * 加密远程文件内容
+     * @param {string} content
+     * @param {{salt: string, iterations: number, key: string}} keyInfo
+     * @returns {Promise<string>}
+     */
+    async encrypt(content, keyInfo) {
+        const iv = crypto.getRandomValues(new Uint8Array(this.IV_BYTES));
+        const data = await crypto.subtle.encrypt(
+            { name: this.ALGORITHM, iv },
+            await this._importKey(keyInfo, 'encrypt'),
+            new TextEncoder().encode(content)
+        );
+        return MipaUtils.deterministicStringify({
+            mipaEncrypted: this.FORMAT_VERSION,
+            algorithm: this.ALGORITHM,
+            kdf: this.KDF,
+            iterations: keyInfo.iterations,
+            salt: keyInfo.salt,
+            iv: MipaUtils.bytesToBase64(iv),
+            data: MipaUtils.bytesToBase64(data)
+        });
+    },
+
+    /**
+     * 解密远程文件内容，密钥不匹配（密码错误或数据被篡改）时抛出错误
+     * @param {string} content
+     * @param {{salt: string, iterations: number, key: string}} keyInfo
+     * @returns {Promise<string>}
+     */
+    async decrypt(content, keyInfo) {
+        const envelope = this.parseEnvelope(content);
+        if (!envelope) {
+            throw new Error('不是加密的同步数据');
+        }
+        if (envelope.mipaEncrypted > this.FORMAT_VERSION) {
+            throw new Error('同步数据使用了更新版本的加密格式，请先升级扩展');
+        }
+
+        try {
+            const data = await crypto.subtle.decrypt(
+                { name: this.ALGORITHM, iv: MipaUtils.base64ToBytes(envelope.iv) },
+                await this._importKey(keyInfo, 'decrypt'),
+                MipaUtils.base64ToBytes(envelope.data)
+            );
+            return new TextDecoder().decode(data);
+        } catch {
+            throw new Error('密码错误，无法解密同步数据');
+        }
+    },
+
+    /**
+     * 用密码解锁加密数据：按数据中记录的 salt 和迭代次数派生密钥并验证
+     * @param {string} content 加密的远程文件内容
+     * @param {string} passphrase
+     * @returns {Promise<{keyInfo: Object, content: string}>} 派生的密钥和解密后的内容
+     */
+    async unlock(content, passphrase) {
+        const envelope = this.parseEnvelope(content);
+        if (!envelope) {
+            throw new Error('不是加密的同步数据');
+        }
+        const keyInfo = await this.deriveKey(passphrase, envelope.salt, envelope.iterations);
+        return { keyInfo, content: await this.decrypt(content, keyInfo) };
+    }
+};
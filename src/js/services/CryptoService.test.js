@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { CryptoService } from './CryptoService.js';
+
+// 测试中使用较少的迭代次数，派生参数会记录在加密数据中
+const ITERATIONS = 1000;
+
+describe('CryptoService', () => {
+    it('同一密码和 salt 派生相同的密钥', async () => {
+        const keyInfo = await CryptoService.deriveKey('correct horse', null, ITERATIONS);
+        const again = await CryptoService.deriveKey('correct horse', keyInfo.salt, ITERATIONS);
+        const other = await CryptoService.deriveKey('wrong horse', keyInfo.salt, ITERATIONS);
+
+        expect(again).toEqual(keyInfo);
+        expect(other.key).not.toBe(keyInfo.key);
+        expect((await CryptoService.deriveKey('correct horse', null, ITERATIONS)).salt).not.toBe(keyInfo.salt);
+    });
+
+    it('加密后可以解密，每次加密使用新的 IV', async () => {
+        const keyInfo = await CryptoService.deriveKey('correct horse', null, ITERATIONS);
+        const content = JSON.stringify({ version: 1, collections: [{ id: 'c1', name: '中文' }] });
+
+        const first = await CryptoService.encrypt(content, keyInfo);
+        const second = await CryptoService.encrypt(content, keyInfo);
+
+        expect(first).not.toBe(second);
+        expect(first).not.toContain('中文');
+        expect(CryptoService.parseEnvelope(first)).toMatchObject({
+            mipaEncrypted: CryptoService.FORMAT_VERSION,
+            salt: keyInfo.salt,
+            iterations: ITERATIONS
+        });
+        expect(await CryptoService.decrypt(first, keyInfo)).toBe(content);
+        expect(await CryptoService.decrypt(second, keyInfo)).toBe(content);
+    });
+
+    it('用密码解锁时按数据中的 salt 和迭代次数派生密钥', async () => {
+        const keyInfo = await CryptoService.deriveKey('correct horse', null, ITERATIONS);
+        const encrypted = await CryptoService.encrypt('data', keyInfo);
+
+        const unlocked = await CryptoService.unlock(encrypted, 'correct horse');
+
+        expect(unlocked).toEqual({ keyInfo, content: 'data' });
+        await expect(CryptoService.unlock(encrypted, 'wrong horse')).rejects.toThrow('密码错误');
+    });
+
+    it('数据被篡改时无法解密', async () => {
+        const keyInfo = await CryptoService.deriveKey('correct horse', null, ITERATIONS);
+        const envelope = CryptoService.parseEnvelope(await CryptoService.encrypt('data', keyInfo));
+        const tampered = JSON.stringify({
+            ...envelope,
+            data: envelope.data.replace(/^./, (c) => (c === 'A' ? 'B' : 'A'))
+        });
+
+        await expect(CryptoService.decrypt(tampered, keyInfo)).rejects.toThrow('密码错误');
+    });
+
+    it('识别加密数据，拒绝更新版本的加密格式', async () => {
+        const keyInfo = await CryptoService.deriveKey('correct horse', null, ITERATIONS);
+        const encrypted = await CryptoService.encrypt('data', keyInfo);
+        const newer = JSON.stringify({ ...JSON.parse(encrypted), mipaEncrypted: CryptoService.FORMAT_VERSION + 1 });
+
+        expect(CryptoService.isEncrypted(encrypted)).toBe(true);
+        expect(CryptoService.isEncrypted('{"version":1,"collections":[]}')).toBe(false);
+        expect(CryptoService.isEncrypted('not json')).toBe(false);
+        expect(CryptoService.isEncrypted(null)).toBe(false);
+        await expect(CryptoService.decrypt(newer, keyInfo)).rejects.toThrow('更新版本');
+        await expect(CryptoService.decrypt('{}', keyInfo)).rejects.toThrow('不是加密的同步数据');
+    });
+});
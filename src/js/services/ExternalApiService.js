@@ -0,0 +1,274 @@
+import { BackgroundDataService } from './BackgroundDataService.js';
+import { MipaUtils } from '../utils.js';
+
+/**
+ * 供其他扩展调用的接口（chrome.runtime.onMessageExternal / onConnectExternal），只接受设置中允许的扩展 ID。
+ * 请求为 {action, ...参数}，通过长连接发送时可带 requestId，响应中原样返回；
+ * 响应为 {ok: true, result} 或 {ok: false, error: {code, message}}，code 见 ERRORS。
+ * 修改通过 BackgroundDataService 执行，与页面中的操作一样立即保存并推送给打开的页面。接口说明见 README
+ */
+export const ExternalApiService = {
+    ALLOWED_KEY: 'externalAllowedIds',
+    // 扩展 ID 为 32 个 a-p 的字母
+    ID_PATTERN: /^[a-p]{32}$/,
+    COLORS: ['white', 'gray', 'red', 'orange', 'yellow', 'green', 'blue', 'purple'],
+    SEARCH_LIMIT: 50,
+    MAX_SEARCH_LIMIT: 500,
+    ERRORS: {
+        FORBIDDEN: 'forbidden',
+        INVALID: 'invalid_request',
+        NOT_FOUND: 'not_found',
+        AMBIGUOUS: 'ambiguous',
+        FAILED: 'failed'
+    },
+
+    init() {
+        chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
+            this.handle(message, sender).then(sendResponse);
+            return true;
+        });
+
+        chrome.runtime.onConnectExternal.addListener((port) => {
+            port.onMessage.addListener(async (message) => {
+                const response = await this.handle(message, port.sender);
+                try {
+                    port.postMessage({ ...response, requestId: message?.requestId ?? null });
+                } catch {
+                    // 调用方已断开连接
+                }
+            });
+        });
+    },
+
+    /**
+     * @returns {Promise<Array<string>>} 允许调用接口的扩展 ID
+     */
+    async getAllowedIds() {
+        const result = await chrome.storage.local.get(this.ALLOWED_KEY);
+        return result[this.ALLOWED_KEY] || [];
+    },
+
+    /**
+     * @param {Array<string>} ids
+     * @returns {Promise<Array<string>>} 去重后保存的 ID
+     */
+    async setAllowedIds(ids) {
+        const normalized = [...new Set(ids.map((id) => id.trim().toLowerCase()).filter(Boolean))];
+        const invalid = normalized.filter((id) => !this.ID_PATTERN.test(id));
+        if (invalid.length > 0) {
+            throw new Error(`无效的扩展 ID：${invalid.join('、')}`);
+        }
+        await chrome.storage.local.set({ [this.ALLOWED_KEY]: normalized });
+        return normalized;
+    },
+
+    /**
+     * 处理一个请求，错误都转换为响应，不会抛出
+     * @param {Object} message
+     * @param {chrome.runtime.MessageSender} sender
+     * @returns {Promise<{ok: boolean, result?: *, error?: {code: string, message: string}}>}
+     */
+    async handle(message, sender) {
+        try {
+            if (!sender?.id || !(await this.getAllowedIds()).includes(sender.id)) {
+                throw this._error(
+                    this.ERRORS.FORBIDDEN,
+                    `扩展 ${sender?.id || ''} 未被允许访问，请在 Mipa 设置中添加它的 ID`
+                );
+            }
+            const handler = {
+                listCollections: () => this.listCollections(message),
+                addTabs: () => this.addTabs(message),
+                createCollection: () => this.createCollection(message),
+                search: () => this.search(message)
+            }[message?.action];
+            if (!handler) {
+                throw this._error(this.ERRORS.INVALID, `未知的操作：${message?.action}`);
+            }
+            return { ok: true, result: await handler() };
+        } catch (error) {
+            return { ok: false, error: { code: error.code || this.ERRORS.FAILED, message: error.message } };
+        }
+    },
+
+    _error(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    },
+
+    async _getCollections() {
+        const manager = await BackgroundDataService.getManager();
+        return manager.getCollections();
+    },
+
+    /**
+     * 执行 CollectionManager 的修改，本次的修改保存失败时报错
+     */
+    async _call(method, ...args) {
+        const response = await BackgroundDataService.call(method, args);
+        if (!response.ok) throw new Error(response.error.message);
+        if (!response.saved) throw new Error(response.state.saveError?.message || '修改未能保存');
+        return response.result;
+    },
+
+    _summarize(collection, includeTabs = false) {
+        const summary = {
+            id: collection.id,
+            name: collection.name,
+            color: collection.color,
+            localOnly: Boolean(collection.localOnly),
+            tabCount: collection.tabs.length
+        };
+        if (includeTabs) {
+            summary.tabs = collection.tabs.map((tab) => this._tabResult(tab));
+        }
+        return summary;
+    },
+
+    _tabResult(tab) {
+        return { id: tab.id, title: tab.title, url: tab.url, description: tab.description || '' };
+    },
+
+    /**
+     * 校验并整理调用方传入的标签页
+     * @returns {{title?: string, url: string, description?: string}}
+     */
+    _parseTab(tab) {
+        let url;
+        try {
+            url = new URL(tab?.url);
+        } catch {
+            throw this._error(this.ERRORS.INVALID, `无效的网址：${tab?.url}`);
+        }
+        if (!['http:', 'https:', 'ftp:', 'file:'].includes(url.protocol)) {
+            throw this._error(this.ERRORS.INVALID, `不支持的网址：${tab.url}`);
+        }
+        const parsed = { url: url.href };
+        if (typeof tab.title === 'string' && tab.title.trim()) parsed.title = tab.title.trim();
+        if (typeof tab.description === 'string' && tab.description.trim()) parsed.description = tab.description.trim();
+        return parsed;
+    },
+
+    _parseTabs(tabs) {
+        if (!Array.isArray(tabs)) {
+            throw this._error(this.ERRORS.INVALID, 'tabs 应为数组');
+        }
+        return tabs.map((tab) => this._parseTab(tab));
+    },
+
+    /**
+     * 按 collectionId 或 collectionName（不区分大小写）找到集合
+     * @returns {Promise<Object|null>} 没有找到时为 null；按名称找到多个时报错
+     */
+    async _findCollection({ collectionId, collectionName }) {
+        const collections = await this._getCollections();
+        if (collectionId) {
+            return collections.find((collection) => collection.id === collectionId) || null;
+        }
+        if (typeof collectionName !== 'string' || !collectionName.trim()) {
+            throw this._error(this.ERRORS.INVALID, '需要 collectionId 或 collectionName');
+        }
+        const name = collectionName.trim().toLowerCase();
+        const matches = collections.filter((collection) => collection.name.trim().toLowerCase() === name);
+        if (matches.length > 1) {
+            throw this._error(
+                this.ERRORS.AMBIGUOUS,
+                `有 ${matches.length} 个名为 "${collectionName}" 的集合，请使用 collectionId`
+            );
+        }
+        return matches[0] || null;
+    },
+
+    /**
+     * {action: 'listCollections', includeTabs?: boolean}
+     * 包括只保存在本设备的集合：调用方与 Mipa 在同一设备上，并且已被用户允许访问，localOnly 只表示不上传到同步服务
+     * @returns {Promise<Array<{id, name, color, localOnly, tabCount, tabs?}>>}
+     */
+    async listCollections({ includeTabs = false }) {
+        return (await this._getCollections()).map((collection) => this._summarize(collection, includeTabs));
+    },
+
+    /**
+     * {action: 'addTabs', collectionId? | collectionName?, tab? | tabs?, createIfMissing?: boolean}
+     * 已在集合中或重复的网址会跳过；按名称没有找到集合且 createIfMissing 为 true 时新建。所有标签页一次保存，撤销时一起撤销
+     * @returns {Promise<{collection: Object, added: Array, skipped: Array<string>}>}
+     */
+    async addTabs(request) {
+        const tabs = this._parseTabs(request.tabs || (request.tab ? [request.tab] : []));
+        if (tabs.length === 0) {
+            throw this._error(this.ERRORS.INVALID, '需要 tab 或 tabs');
+        }
+
+        const collection = await this._findCollection(request);
+        if (!collection) {
+            if (!request.createIfMissing || !request.collectionName) {
+                throw this._error(this.ERRORS.NOT_FOUND, '集合不存在');
+            }
+            const unique = tabs.filter(
+                (tab, index) => tabs.findIndex((other) => MipaUtils.compareUrls(other.url, tab.url)) === index
+            );
+            const created = await this._call('addCollection', request.collectionName.trim(), 'white', unique);
+            return {
+                collection: this._summarize(created),
+                added: created.tabs.map((tab) => this._tabResult(tab)),
+                skipped: tabs.filter((tab) => !unique.includes(tab)).map((tab) => tab.url)
+            };
+        }
+
+        const results = (await this._call('addTabs', collection.id, tabs)) || tabs.map(() => null);
+        const current = (await this._getCollections()).find((col) => col.id === collection.id);
+        return {
+            collection: this._summarize(current || collection),
+            added: results.filter(Boolean).map((tab) => this._tabResult(tab)),
+            skipped: tabs.filter((tab, index) => !results[index]).map((tab) => tab.url)
+        };
+    },
+
+    /**
+     * {action: 'createCollection', name: string, color?: string, tabs?: Array}
+     * @returns {Promise<Object>} 新集合，含标签页
+     */
+    async createCollection({ name, color = 'white', tabs = [] }) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw this._error(this.ERRORS.INVALID, '需要集合名称 name');
+        }
+        if (!this.COLORS.includes(color)) {
+            throw this._error(this.ERRORS.INVALID, `无效的颜色：${color}，可选 ${this.COLORS.join('、')}`);
+        }
+        const parsed = this._parseTabs(tabs);
+        const collection = await this._call('addCollection', name.trim(), color, parsed);
+        return this._summarize(collection, true);
+    },
+
+    /**
+     * {action: 'search', query?: string, url?: string, domain?: string, collectionId?: string, limit?: number}
+     * query 匹配标题、网址和描述（不区分大小写），url 为完整网址，domain 不含 www.；条件同时满足
+     * @returns {Promise<Array<{collectionId, collectionName, tab}>>}
+     */
+    async search({ query, url, domain, collectionId, limit = this.SEARCH_LIMIT }) {
+        if (!query && !url && !domain && !collectionId) {
+            throw this._error(this.ERRORS.INVALID, '需要 query、url、domain 或 collectionId 中的至少一个');
+        }
+        // 在后台内存中的数据上查找：保存失败时存储中的数据比内存中的旧；与 listCollections 一样包括只保存在本设备的集合
+        const collections = await this._getCollections();
+        const domainName = domain?.toLowerCase().replace(/^www\./, '');
+        const text = query?.toLowerCase();
+        return collections
+            .filter((collection) => !collectionId || collection.id === collectionId)
+            .flatMap((collection) => collection.tabs.map((tab) => ({ collection, tab })))
+            .filter(
+                ({ tab }) => (!url || tab.url === url) && (!domainName || MipaUtils.getDomain(tab.url) === domainName)
+            )
+            .filter(
+                ({ tab }) =>
+                    !text || [tab.title, tab.url, tab.description].some((field) => field?.toLowerCase().includes(text))
+            )
+            .slice(0, Math.max(1, Math.min(Number(limit) || this.SEARCH_LIMIT, this.MAX_SEARCH_LIMIT)))
+            .map(({ collection, tab }) => ({
+                collectionId: collection.id,
+                collectionName: collection.name,
+                tab: this._tabResult(tab)
+            }));
+    }
+};
@@ -0,0 +1,153 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ExternalApiService } from './ExternalApiService.js';
+import { BackgroundDataService } from './BackgroundDataService.js';
+import { CollectionManager } from '../managers/CollectionManager.js';
+
+const CALLER = 'a'.repeat(32);
+const sender = { id: CALLER };
+
+describe('ExternalApiService', () => {
+    let manager;
+    let saved;
+
+    beforeEach(() => {
+        const store = { [ExternalApiService.ALLOWED_KEY]: [CALLER] };
+        vi.stubGlobal('chrome', {
+            storage: {
+                local: {
+                    get: vi.fn(async (key) => (key in store ? { [key]: store[key] } : {})),
+                    set: vi.fn(async (items) => Object.assign(store, items))
+                }
+            }
+        });
+
+        // 后台的 CollectionManager，不写入存储
+        manager = new CollectionManager();
+        manager.save = () => {
+            manager.revision++;
+        };
+        saved = true;
+        vi.spyOn(BackgroundDataService, 'getManager').mockResolvedValue(manager);
+        vi.spyOn(BackgroundDataService, 'call').mockImplementation(async (method, args) => ({
+            ok: true,
+            result: (await manager[method](...args)) ?? null,
+            saved,
+            state: { saveError: saved ? null : { message: '存储空间不足' } }
+        }));
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        vi.unstubAllGlobals();
+    });
+
+    it('拒绝不在允许列表中的扩展', async () => {
+        const response = await ExternalApiService.handle({ action: 'listCollections' }, { id: 'b'.repeat(32) });
+
+        expect(response).toMatchObject({ ok: false, error: { code: ExternalApiService.ERRORS.FORBIDDEN } });
+        expect(BackgroundDataService.getManager).not.toHaveBeenCalled();
+    });
+
+    it('拒绝没有扩展 ID 的调用方和未知的操作', async () => {
+        expect((await ExternalApiService.handle({ action: 'listCollections' }, {})).error.code).toBe(
+            ExternalApiService.ERRORS.FORBIDDEN
+        );
+        expect((await ExternalApiService.handle({ action: 'deleteAll' }, sender)).error.code).toBe(
+            ExternalApiService.ERRORS.INVALID
+        );
+    });
+
+    it('列出集合时标出只保存在本设备的集合', async () => {
+        manager.addCollection('A', 'red', [{ url: 'https://example.com/' }]);
+        const local = manager.addCollection('B');
+        manager.collections.find((c) => c.id === local.id).localOnly = true;
+
+        const response = await ExternalApiService.handle({ action: 'listCollections' }, sender);
+
+        expect(response.result.map(({ name, localOnly, tabCount }) => ({ name, localOnly, tabCount }))).toEqual([
+            { name: 'A', localOnly: false, tabCount: 1 },
+            { name: 'B', localOnly: true, tabCount: 0 }
+        ]);
+    });
+
+    it('按名称找到多个集合时要求使用 collectionId', async () => {
+        manager.addCollection('稍后阅读');
+        manager.addCollection(' 稍后阅读 ');
+
+        const response = await ExternalApiService.handle(
+            { action: 'addTabs', collectionName: '稍后阅读', tab: { url: 'https://example.com/' } },
+            sender
+        );
+
+        expect(response).toMatchObject({ ok: false, error: { code: ExternalApiService.ERRORS.AMBIGUOUS } });
+        expect(manager.collections.every((c) => c.tabs.length === 0)).toBe(true);
+    });
+
+    it('集合不存在时只在 createIfMissing 为 true 时新建，并跳过重复的网址', async () => {
+        const request = {
+            action: 'addTabs',
+            collectionName: '稍后阅读',
+            tabs: [
+                { url: 'https://example.com/a' },
+                { url: 'https://example.com/a#top' },
+                { url: 'https://example.com/b' }
+            ]
+        };
+
+        const missing = await ExternalApiService.handle(request, sender);
+        expect(missing).toMatchObject({ ok: false, error: { code: ExternalApiService.ERRORS.NOT_FOUND } });
+        expect(manager.collections).toEqual([]);
+
+        const { result } = await ExternalApiService.handle({ ...request, createIfMissing: true }, sender);
+        expect(result.collection).toMatchObject({ name: '稍后阅读', tabCount: 2 });
+        expect(result.added.map((tab) => tab.url)).toEqual(['https://example.com/a', 'https://example.com/b']);
+        expect(result.skipped).toEqual(['https://example.com/a#top']);
+    });
+
+    it('添加到已有集合时跳过已在集合中的网址，一次保存', async () => {
+        const collection = manager.addCollection('A', 'white', [{ url: 'https://example.com/a' }]);
+
+        const { result } = await ExternalApiService.handle(
+            {
+                action: 'addTabs',
+                collectionId: collection.id,
+                tabs: [
+                    { url: 'https://example.com/a?ref=1', title: 'A' },
+                    { url: 'https://example.com/b', title: 'B' }
+                ]
+            },
+            sender
+        );
+
+        expect(result.collection.tabCount).toBe(2);
+        expect(result.added).toMatchObject([{ url: 'https://example.com/b', title: 'B' }]);
+        expect(result.skipped).toEqual(['https://example.com/a?ref=1']);
+        expect(BackgroundDataService.call).toHaveBeenCalledTimes(1);
+    });
+
+    it('校验网址和颜色', async () => {
+        const badUrl = await ExternalApiService.handle(
+            { action: 'createCollection', name: 'A', tabs: [{ url: 'javascript:alert(1)' }] },
+            sender
+        );
+        const badColor = await ExternalApiService.handle(
+            { action: 'createCollection', name: 'A', color: 'pink' },
+            sender
+        );
+
+        expect(badUrl.error.code).toBe(ExternalApiService.ERRORS.INVALID);
+        expect(badColor.error.code).toBe(ExternalApiService.ERRORS.INVALID);
+        expect(manager.collections).toEqual([]);
+    });
+
+    it('修改没有保存时返回错误', async () => {
+        saved = false;
+
+        const response = await ExternalApiService.handle({ action: 'createCollection', name: 'A' }, sender);
+
+        expect(response).toEqual({
+            ok: false,
+            error: { code: ExternalApiService.ERRORS.FAILED, message: '存储空间不足' }
+        });
+    });
+});
@@ -1,192 +1,522 @@
 import { MipaUtils } from '../utils.js';
+import { CredentialService } from './CredentialService.js';
 import { StorageService } from './StorageService.js';
 
+/**
+ * GitHub Gist 同步后端：数据保存在私有 Gist 中，Gist 的提交记录即历史版本。
+ * mipa-data.json 是清单（版本号、删除记录、回收站和集合文件的顺序），每个集合单独保存为一个文件，
+ * 修改一个集合只需上传这一个文件。旧版的单文件 Gist 在下次推送时转换为这种格式；
+ * 加密后的数据和集合过多（Gist 接口最多返回 300 个文件）时仍保存为单个 mipa-data.json
+ */
 export const GistService = {
+    id: 'gist',
+    label: 'GitHub Gist',
+    // GitHub API 地址，测试时可指向本地 mock 服务
+    API_BASE: 'https://api.github.com',
+    FILE_NAME: 'mipa-data.json',
+    DESCRIPTION: 'Mipa Tab Manager Data',
+    // 集合文件名：mipa-data-<集合 ID>.json
+    SHARD_PREFIX: 'mipa-data-',
+    MAX_SHARDS: 200,
+    // 最近一次读写的 Gist 内容、ETag 和各文件的哈希：用于条件请求（304 不计入 GitHub 的请求限额）和只上传有变化的文件。
+    // 内容可能有几 MB，保存在 StorageService 的远程数据缓存（IndexedDB）中，不占用 chrome.storage.local
+    CACHE_KEY: 'gistCache',
+
     /**
-     * 合并本地和远程集合：并集合并，同 ID 标签页远程覆盖本地
-     * @param {Array} local
-     * @param {Array} remote
-     * @returns {Array}
-     */
-    mergeCollections(local, remote) {
-        const merged = [];
-        const allIds = new Set([...local.map((c) => c.id), ...remote.map((c) => c.id)]);
-
-        for (const id of allIds) {
-            const localCol = local.find((c) => c.id === id);
-            const remoteCol = remote.find((c) => c.id === id);
-
-            if (localCol && remoteCol) {
-                const localTabs = Array.isArray(localCol.tabs) ? localCol.tabs : [];
-                const remoteTabs = Array.isArray(remoteCol.tabs) ? remoteCol.tabs : [];
-                const tabMap = new Map();
-
-                localTabs.forEach((t) => {
-                    const key = t.id || `${t.title}-${t.url}`;
-                    tabMap.set(key, t);
-                });
-                remoteTabs.forEach((t) => {
-                    const key = t.id || `${t.title}-${t.url}`;
-                    tabMap.set(key, t);
-                });
-
-                merged.push({
-                    ...remoteCol,
-                    tabs: Array.from(tabMap.values())
-                });
-            } else if (localCol) {
-                merged.push(localCol);
-            } else if (remoteCol) {
-                merged.push(remoteCol);
-            }
+     * 令牌保存在 CredentialService 中，凭据已加密且尚未解锁时抛出 error.credentialsLocked 为 true 的错误
+     * @returns {Promise<{token: string, gistId: string|null}|null>}
+     */
+    async loadConfig() {
+        const { githubToken, gistId } = await chrome.storage.local.get(['githubToken', 'gistId']);
+        // 旧版本明文保存的令牌移入凭据存储
+        if (githubToken) {
+            await CredentialService.set(this.id, githubToken);
+            await chrome.storage.local.remove('githubToken');
+        }
+        if (!(await CredentialService.has(this.id))) return null;
+        return { token: await CredentialService.get(this.id), gistId: gistId || null };
+    },
+
+    async saveConfig(config) {
+        await CredentialService.set(this.id, config.token);
+        if (config.gistId) {
+            await chrome.storage.local.set({ gistId: config.gistId });
+        } else {
+            await chrome.storage.local.remove('gistId');
         }
+    },
+
+    async clearConfig() {
+        await CredentialService.remove(this.id);
+        await chrome.storage.local.remove(['githubToken', 'gistId']);
+        await StorageService.removeRemoteCache(this.CACHE_KEY);
+    },
+
+    getOrigins(config) {
+        return [`${new URL(this._apiBase(config)).origin}/*`];
+    },
+
+    // GitHub Enterprise 等自托管服务器通过 config.apiBase 指定 API 地址
+    _apiBase(config) {
+        return config.apiBase || this.API_BASE;
+    },
 
-        return merged;
+    _headers(config, json = false) {
+        const headers = { Authorization: `token ${config.token}` };
+        if (json) headers['Content-Type'] = 'application/json';
+        return headers;
     },
 
     /**
-     * 创建新 Gist
-     * @param {string} token
-     * @param {Array} collections
-     * @param {number} version
-     * @returns {Promise<string>}
+     * 检查令牌及其 gist 权限，并确定要关联的 Gist（写入 config.gistId）：
+     * config.gistUrl 为用户输入的 Gist ID 或网址，config.gistId 为 'new' 表示新建。
+     * 都没有时只在账号下还没有 Mipa 数据 Gist 时新建；已有时抛出的错误带上 existing（listExisting() 的结果），由用户选择
+     * @param {{token: string, gistId?: string|null, gistUrl?: string}} config
+     * @returns {Promise<string>} 服务器说明
      */
-    async createGist(token, collections, version = 1) {
-        const content = MipaUtils.deterministicStringify({ version, collections });
-        const response = await fetch('https://api.github.com/gists', {
-            method: 'POST',
-            headers: {
-                Authorization: `token ${token}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                description: 'Mipa Tab Manager Data',
-                public: false,
-                files: { 'mipa-data.json': { content } }
-            })
-        });
-
+    async test(config) {
+        const response = await fetch(`${this._apiBase(config)}/user`, { headers: this._headers(config) });
+        if (response.status === 401) {
+            throw new Error('GitHub 令牌无效或已过期，请重新生成令牌');
+        }
         if (!response.ok) {
-            throw new Error(`Failed to create Gist: ${response.statusText}`);
+            throw new Error(`无法连接 GitHub：${response.status} ${response.statusText}`);
+        }
+        // 经典令牌在 X-OAuth-Scopes 中列出授权范围；细粒度令牌没有这个响应头，无法预先检查
+        const scopes = response.headers.get('X-OAuth-Scopes');
+        if (scopes !== null && !scopes.split(',').some((scope) => scope.trim() === 'gist')) {
+            throw new Error('令牌缺少 gist 权限，请重新生成令牌并勾选 gist');
         }
+        const { login } = await response.json();
 
-        const gist = await response.json();
-        await chrome.storage.local.set({ gistId: gist.id, lastSyncedData: content });
-        return gist.id;
+        await this._resolveGist(config);
+        const target = config.gistId ? `关联 Gist ${config.gistId.slice(0, 7)}` : '将新建 Gist';
+        return `GitHub（${login}），${target}`;
+    },
+
+    async _resolveGist(config) {
+        if (config.gistUrl) {
+            config.gistId = this.parseGistId(config.gistUrl);
+            delete config.gistUrl;
+            if (!config.gistId) {
+                throw new Error('请输入有效的 Gist ID 或 Gist 网址');
+            }
+        }
+
+        if (config.gistId === 'new') {
+            config.gistId = null;
+        } else if (config.gistId) {
+            await this._verifyGist(config, config.gistId);
+        } else {
+            const existing = await this.listExisting(config);
+            if (existing.length > 0) {
+                throw Object.assign(
+                    new Error(`该账号下已有 ${existing.length} 个 Mipa 数据 Gist，请选择要加入的一个，或选择新建 Gist`),
+                    { existing }
+                );
+            }
+        }
     },
 
     /**
-     * 与 GitHub Gist 同步，采用 version 比较
-     * @param {Array|null} localCollections
-     * @returns {Promise<{collections: Array, version: number}|null>}
+     * 确认 Gist 存在、令牌可以访问且其中有同步数据文件
+     * @param {Object} config
+     * @param {string} gistId
      */
-    async syncWithGist(localCollections = null) {
-        const result = await chrome.storage.local.get(['githubToken', 'gistId', 'lastSyncedData']);
-        const { githubToken, gistId, lastSyncedData = '' } = result;
+    async _verifyGist(config, gistId) {
+        const response = await fetch(`${this._apiBase(config)}/gists/${gistId}`, { headers: this._headers(config) });
+        if (response.status === 404) {
+            throw new Error('找不到该 Gist，或令牌无权访问');
+        }
+        if (!response.ok) {
+            throw MipaUtils.createHttpError('Failed to fetch Gist', response);
+        }
+        const gist = await response.json();
+        if (!gist.files[this.FILE_NAME]) {
+            throw new Error(`该 Gist 中没有 Mipa 同步数据（${this.FILE_NAME}）`);
+        }
+    },
 
-        if (!githubToken) {
-            return null;
+    /**
+     * 列出当前用户已有的 Mipa 数据 Gist（包含 mipa-data.json 的 Gist，描述可能已被用户修改），最近更新的在前
+     * @param {{token: string}} config
+     * @returns {Promise<Array<{id: string, description: string, updatedAt: string, url: string}>>}
+     */
+    async listExisting(config) {
+        const perPage = 100;
+        const gists = [];
+        for (let page = 1; page <= 10; page++) {
+            const response = await fetch(`${this._apiBase(config)}/gists?per_page=${perPage}&page=${page}`, {
+                headers: this._headers(config)
+            });
+            if (!response.ok) {
+                throw MipaUtils.createHttpError('Failed to list Gists', response);
+            }
+            const batch = await response.json();
+            gists.push(...batch.filter((gist) => gist.files[this.FILE_NAME]));
+            if (batch.length < perPage) break;
         }
 
-        const localData = localCollections
-            ? { collections: localCollections, version: StorageService.lastKnownVersion }
-            : await StorageService.loadData();
+        return gists
+            .map((gist) => ({
+                id: gist.id,
+                description: gist.description || '',
+                updatedAt: gist.updated_at,
+                url: gist.html_url
+            }))
+            .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+    },
+
+    /**
+     * 从 Gist ID 或 Gist 网址中取出 ID
+     * @param {string} input
+     * @returns {string|null}
+     */
+    parseGistId(input) {
+        const match = (input || '').trim().match(/([0-9a-f]{20,})\/?(?:[#?].*)?$/i);
+        return match ? match[1] : null;
+    },
+
+    /**
+     * 改为同步到另一个 Gist；target 为空时下次同步创建新的 Gist
+     * @param {{token: string, gistId: string|null}} config
+     * @param {string} target Gist ID 或网址
+     */
+    async relink(config, target) {
+        await StorageService.removeRemoteCache(this.CACHE_KEY);
+        if (!target.trim()) {
+            config.gistId = null;
+            return;
+        }
 
+        const gistId = this.parseGistId(target);
         if (!gistId) {
-            const newGistId = await this.createGist(githubToken, localData.collections, localData.version);
-            console.log('New Gist created:', newGistId);
-            return localData;
+            throw new Error('请输入有效的 Gist ID 或 Gist 网址');
+        }
+        await this._verifyGist(config, gistId);
+        config.gistId = gistId;
+    },
+
+    _cacheId(config) {
+        return `${this._apiBase(config)}/gists/${config.gistId}`;
+    },
+
+    /**
+     * 当前 Gist 的缓存，属于其他 Gist（或其他服务器）时返回 null
+     * @param {Object} config
+     * @returns {Promise<{id: string, etag: string|null, content: string, files?: Object<string, string|null>}|null>}
+     *   files：远程 Gist 中的文件名 -> 内容哈希（未读取的文件为 null）
+     */
+    async _loadCache(config) {
+        const cache = await StorageService.readRemoteCache(this.CACHE_KEY);
+        return cache && cache.id === this._cacheId(config) ? cache : null;
+    },
+
+    async _saveCache(config, etag, content, files) {
+        await StorageService.writeRemoteCache(this.CACHE_KEY, { id: this._cacheId(config), etag, content, files });
+    },
+
+    /**
+     * @param {Object<string, string>} files 文件名 -> 内容
+     * @returns {Promise<Object<string, string>>} 文件名 -> 内容哈希
+     */
+    async _hashFiles(files) {
+        const hashes = {};
+        for (const [name, content] of Object.entries(files)) {
+            hashes[name] = await MipaUtils.hashContent(content);
         }
+        return hashes;
+    },
 
+    _shardName(id) {
+        return `${this.SHARD_PREFIX}${String(id).replace(/[^\w-]/g, '_')}.json`;
+    },
+
+    /**
+     * 把同步数据拆分为清单和集合文件；不是明文同步数据（如加密后的内容）或集合过多时只有 mipa-data.json
+     * @param {string} content
+     * @returns {Object<string, string>} 文件名 -> 内容
+     */
+    _splitContent(content) {
+        let data = null;
         try {
-            const response = await fetch(`https://api.github.com/gists/${gistId}`, {
-                headers: { Authorization: `token ${githubToken}` }
-            });
+            data = JSON.parse(content);
+        } catch {
+            // 按单个文件保存
+        }
+        if (!Array.isArray(data?.collections) || data.collections.length > this.MAX_SHARDS) {
+            return { [this.FILE_NAME]: content };
+        }
 
-            if (!response.ok) {
-                if (response.status === 404) {
-                    console.warn('Gist not found. A new one will be created on the next save.');
-                    await chrome.storage.local.remove('gistId');
-                } else {
-                    throw new Error(`Failed to fetch Gist: ${response.statusText}`);
-                }
-                return null;
-            }
+        const { collections, ...rest } = data;
+        const files = {};
+        const shards = collections.map((collection, index) => {
+            // ID 中的特殊字符替换后可能重名，重名时加上序号
+            let name = this._shardName(collection.id);
+            if (files[name] !== undefined) name = this._shardName(`${collection.id}-${index}`);
+            files[name] = MipaUtils.deterministicStringify(collection);
+            return name;
+        });
+        files[this.FILE_NAME] = MipaUtils.deterministicStringify({ ...rest, shards });
+        return files;
+    },
 
-            const gist = await response.json();
-            const remoteContent = gist.files['mipa-data.json']?.content;
+    /**
+     * 从 Gist 的文件还原同步数据，结果与拆分前的内容相同；同时返回读取过的文件的哈希
+     * @param {Object} gist
+     * @returns {Promise<{content: string, files: Object<string, string|null>}>}
+     */
+    async _joinFiles(gist) {
+        const files = Object.fromEntries(Object.keys(gist.files).map((name) => [name, null]));
+        const read = async (name) => {
+            const text = await this.readFile(gist, name);
+            if (text !== null) files[name] = await MipaUtils.hashContent(text);
+            return text;
+        };
 
-            if (!remoteContent) {
-                console.warn('Remote Gist is empty. Pushing local data.');
-                await this.updateGist(githubToken, gistId, localData.collections, localData.version);
-                return localData;
-            }
+        const main = (await read(this.FILE_NAME)) || '';
+        let manifest = null;
+        try {
+            manifest = JSON.parse(main);
+        } catch {
+            // 交给 SyncService 处理
+        }
+        if (!Array.isArray(manifest?.shards)) {
+            return { content: main, files };
+        }
 
-            let remoteData;
-            try {
-                remoteData = JSON.parse(remoteContent);
-            } catch (e) {
-                remoteData = { version: 0, collections: JSON.parse(remoteContent) };
-            }
-            if (!remoteData.collections) {
-                remoteData = { version: 0, collections: remoteData };
+        const { shards, ...rest } = manifest;
+        const collections = [];
+        for (const name of shards) {
+            const text = await read(name);
+            if (text === null) {
+                throw new Error(`同步数据不完整：Gist 中缺少 ${name}`);
             }
-            const remoteVersion = remoteData.version || 0;
-
-            if (remoteVersion > localData.version) {
-                const merged = this.mergeCollections(localData.collections, remoteData.collections);
-                const saveResult = await StorageService.saveToLocalStorage(merged);
-                console.log('Data synced from Gist.');
-                return { collections: saveResult.collections, version: saveResult.version };
-            } else if (remoteVersion < localData.version) {
-                const prepared = StorageService.prepareCollectionsForSaving(localData.collections);
-                const localContent = MipaUtils.deterministicStringify({
-                    version: localData.version,
-                    collections: prepared
-                });
-                const hasChanges = localContent !== remoteContent && localContent !== lastSyncedData;
-                if (hasChanges) {
-                    await this.updateGist(githubToken, gistId, prepared, localData.version);
-                    console.log('Data synced to Gist.');
-                }
-                return localData;
-            } else {
-                return localData;
-            }
-        } catch (error) {
-            console.error('Gist sync error:', error);
+            collections.push(JSON.parse(text));
+        }
+        return { content: MipaUtils.deterministicStringify({ ...rest, collections }), files };
+    },
+
+    /**
+     * 读取 Gist 中的数据文件；还没有 Gist 或 Gist 已被删除时返回 null（同时清除 config.gistId）。
+     * 带上次的 ETag 发送条件请求，Gist 未变化时（304）直接使用缓存的内容
+     * @param {{token: string, gistId: string|null}} config
+     * @returns {Promise<string|null>}
+     */
+    async read(config) {
+        if (!config.gistId) return null;
+
+        const cache = await this._loadCache(config);
+        const headers = this._headers(config);
+        if (cache?.etag) headers['If-None-Match'] = cache.etag;
+
+        const response = await fetch(`${this._apiBase(config)}/gists/${config.gistId}`, {
+            headers,
+            cache: 'no-store'
+        });
+        if (response.status === 304 && cache) {
+            return cache.content;
+        }
+        if (response.status === 404) {
+            console.warn('Gist not found. A new one will be created.');
+            config.gistId = null;
+            await StorageService.removeRemoteCache(this.CACHE_KEY);
             return null;
         }
+        if (!response.ok) {
+            throw MipaUtils.createHttpError('Failed to fetch Gist', response);
+        }
+
+        const { content, files } = await this._joinFiles(await response.json());
+        await this._saveCache(config, response.headers.get('ETag'), content, files);
+        return content;
+    },
+
+    /**
+     * 创建新 Gist，新的 ID 写入 config.gistId
+     * @param {{token: string, gistId: string|null}} config
+     * @param {string} content
+     */
+    async create(config, content) {
+        const files = this._splitContent(content);
+        const gist = await this.createGist(config, { description: this.DESCRIPTION, isPublic: false, files });
+        config.gistId = gist.id;
+        await this._saveCache(config, null, content, await this._hashFiles(files));
+        console.log('New Gist created:', gist.id);
+    },
+
+    /**
+     * 更新 Gist 内容：只上传内容有变化的文件，并删除已不存在的集合的文件；所有文件都没有变化时不发送请求
+     * @param {{token: string, gistId: string}} config
+     * @param {string} content
+     */
+    async write(config, content) {
+        const cache = await this._loadCache(config);
+        // 没有缓存（或旧版缓存）时不知道 Gist 中有哪些文件，先读取一次
+        const remoteFiles =
+            cache?.files ||
+            Object.fromEntries(
+                Object.keys((await this.fetchGist(config.gistId, config)).files).map((name) => [name, null])
+            );
+
+        const files = this._splitContent(content);
+        const hashes = await this._hashFiles(files);
+        const changes = {};
+        for (const [name, text] of Object.entries(files)) {
+            if (remoteFiles[name] !== hashes[name]) changes[name] = text;
+        }
+        for (const name of Object.keys(remoteFiles)) {
+            if (!(name in files) && name.startsWith(this.SHARD_PREFIX)) changes[name] = null;
+        }
+        if (Object.keys(changes).length === 0) {
+            console.log('Gist content unchanged. Skipping update.');
+            return;
+        }
+
+        const response = await fetch(`${this._apiBase(config)}/gists/${config.gistId}`, {
+            method: 'PATCH',
+            headers: this._headers(config, true),
+            body: JSON.stringify({ files: this._files(changes) })
+        });
+
+        if (!response.ok) {
+            throw MipaUtils.createHttpError('Failed to update Gist', response);
+        }
+
+        // PATCH 的响应即更新后的 Gist，它的 ETag 可以直接用于下一次条件请求
+        const remaining = Object.fromEntries(Object.entries(remoteFiles).filter(([name]) => changes[name] !== null));
+        await this._saveCache(config, response.headers.get('ETag'), content, { ...remaining, ...hashes });
     },
 
     /**
-     * 更新 Gist 内容
-     * @param {string} token
+     * 读取任意 Gist（公开 Gist 不需要令牌；有令牌时带上，请求限额更高）
      * @param {string} gistId
-     * @param {Array} collections
-     * @param {number} version
+     * @param {Object|null} [config]
+     * @returns {Promise<Object>} Gist 对象
+     */
+    async fetchGist(gistId, config = null) {
+        const response = await fetch(`${this._apiBase(config || {})}/gists/${gistId}`, {
+            headers: config ? this._headers(config) : {},
+            cache: 'no-store'
+        });
+        if (!response.ok) {
+            throw MipaUtils.createHttpError('Failed to fetch Gist', response);
+        }
+        return response.json();
+    },
+
+    /**
+     * 读取 Gist 中的文件内容；超过 1MB 的文件在 API 响应中被截断（truncated），改从 raw_url 读取完整内容
+     * @param {Object} gist fetchGist 返回的 Gist 对象
+     * @param {string} fileName
+     * @returns {Promise<string|null>} 文件不存在时返回 null
      */
-    async updateGist(token, gistId, collections, version = 1) {
-        const content = MipaUtils.deterministicStringify({ version, collections });
-        const response = await fetch(`https://api.github.com/gists/${gistId}`, {
+    async readFile(gist, fileName) {
+        const file = gist.files?.[fileName];
+        if (!file) return null;
+        if (!file.truncated) return file.content;
+
+        const response = await fetch(file.raw_url, { cache: 'no-store' });
+        if (!response.ok) {
+            throw MipaUtils.createHttpError('Failed to fetch Gist file', response);
+        }
+        return response.text();
+    },
+
+    /**
+     * 创建 Gist
+     * @param {{token: string}} config
+     * @param {{description: string, isPublic: boolean, files: Object<string, string>}} gist 文件名 -> 内容
+     * @returns {Promise<Object>} 新建的 Gist 对象
+     */
+    async createGist(config, { description, isPublic, files }) {
+        const response = await fetch(`${this._apiBase(config)}/gists`, {
+            method: 'POST',
+            headers: this._headers(config, true),
+            body: JSON.stringify({ description, public: isPublic, files: this._files(files) })
+        });
+        if (!response.ok) {
+            throw MipaUtils.createHttpError('Failed to create Gist', response);
+        }
+        return response.json();
+    },
+
+    /**
+     * 更新 Gist 中的文件，未列出的文件保持不变，内容为 null 的文件被删除
+     * @param {{token: string}} config
+     * @param {string} gistId
+     * @param {Object<string, string|null>} files 文件名 -> 内容
+     * @returns {Promise<Object>} 更新后的 Gist 对象
+     */
+    async updateGist(config, gistId, files) {
+        const response = await fetch(`${this._apiBase(config)}/gists/${gistId}`, {
             method: 'PATCH',
-            headers: {
-                Authorization: `token ${token}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                files: { 'mipa-data.json': { content } }
-            })
+            headers: this._headers(config, true),
+            body: JSON.stringify({ files: this._files(files) })
         });
+        if (!response.ok) {
+            throw MipaUtils.createHttpError('Failed to update Gist', response);
+        }
+        return response.json();
+    },
 
+    /**
+     * @param {{token: string}} config
+     * @param {string} gistId
+     */
+    async deleteGist(config, gistId) {
+        const response = await fetch(`${this._apiBase(config)}/gists/${gistId}`, {
+            method: 'DELETE',
+            headers: this._headers(config)
+        });
+        if (!response.ok && response.status !== 404) {
+            throw MipaUtils.createHttpError('Failed to delete Gist', response);
+        }
+    },
+
+    _files(files) {
+        return Object.fromEntries(
+            Object.entries(files).map(([name, content]) => [name, content === null ? null : { content }])
+        );
+    },
+
+    /**
+     * 列出 Gist 的提交记录
+     * @param {{token: string, gistId: string|null}} config
+     * @param {number} page
+     * @param {number} perPage
+     * @returns {Promise<Array<{version: string, committedAt: string}>>}
+     */
+    async listRevisions(config, page, perPage) {
+        if (!config.gistId) return [];
+
+        const response = await fetch(
+            `${this._apiBase(config)}/gists/${config.gistId}/commits?per_page=${perPage}&page=${page}`,
+            { headers: this._headers(config) }
+        );
         if (!response.ok) {
-            if (response.status === 404) {
-                await chrome.storage.local.remove('gistId');
-                console.warn('Gist not found during update, cleared gistId.');
-            }
-            throw new Error(`Failed to update Gist: ${response.statusText}`);
+            throw MipaUtils.createHttpError('Failed to fetch Gist history', response);
+        }
+
+        const commits = await response.json();
+        return commits.map((commit) => ({ version: commit.version, committedAt: commit.committed_at }));
+    },
+
+    /**
+     * 读取指定提交时的数据文件
+     * @param {{token: string, gistId: string}} config
+     * @param {string} version commit SHA
+     * @returns {Promise<string|null>}
+     */
+    async readRevision(config, version) {
+        const response = await fetch(`${this._apiBase(config)}/gists/${config.gistId}/${version}`, {
+            headers: this._headers(config)
+        });
+        if (!response.ok) {
+            throw MipaUtils.createHttpError('Failed to fetch Gist revision', response);
         }
 
-        await chrome.storage.local.set({ lastSyncedData: content });
+        const { content } = await this._joinFiles(await response.json());
+        return content || null;
     }
 };
@@ -0,0 +1,279 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { GistService } from './GistService.js';
+import { StorageService } from './StorageService.js';
+import { MipaUtils } from '../utils.js';
+
+const API_BASE = 'http://localhost:3000';
+
+/**
+ * 本地的 GitHub Gist API mock：routes 为 'GET /gists/...' -> (request) => {status?, body?, headers?}，
+ * 没有对应路由的请求返回 404。requests 记录收到的请求
+ */
+const mockGitHub = (routes) => {
+    const requests = [];
+    vi.stubGlobal(
+        'fetch',
+        vi.fn(async (url, options = {}) => {
+            const { pathname, search } = new URL(url);
+            const request = { method: options.method || 'GET', path: pathname, search, options };
+            requests.push(request);
+            const route = routes[`${request.method} ${pathname}`];
+            const { status = 200, body = null, headers = {} } = route ? route(request) : { status: 404 };
+            const text = body === null || typeof body === 'string' ? body : JSON.stringify(body);
+            return new Response(status === 304 ? null : text, { status, headers });
+        })
+    );
+    return requests;
+};
+
+const gist = (files) => ({
+    id: 'abc123',
+    files: Object.fromEntries(Object.entries(files).map(([name, content]) => [name, { content, truncated: false }]))
+});
+
+describe('GistService 历史版本', () => {
+    const config = { token: 'secret', gistId: 'abc123' };
+
+    beforeEach(() => {
+        GistService.API_BASE = API_BASE;
+    });
+
+    afterEach(() => {
+        GistService.API_BASE = 'https://api.github.com';
+        vi.unstubAllGlobals();
+    });
+
+    it('分页列出提交记录', async () => {
+        const requests = mockGitHub({
+            'GET /gists/abc123/commits': () => ({
+                body: [
+                    { version: 'sha2', committed_at: '2026-01-02T00:00:00Z', change_status: {} },
+                    { version: 'sha1', committed_at: '2026-01-01T00:00:00Z', change_status: {} }
+                ]
+            })
+        });
+
+        const revisions = await GistService.listRevisions(config, 2, 30);
+
+        expect(revisions).toEqual([
+            { version: 'sha2', committedAt: '2026-01-02T00:00:00Z' },
+            { version: 'sha1', committedAt: '2026-01-01T00:00:00Z' }
+        ]);
+        expect(requests).toHaveLength(1);
+        expect(requests[0].search).toBe('?per_page=30&page=2');
+        expect(requests[0].options.headers.Authorization).toBe('token secret');
+    });
+
+    it('还没有 Gist 时不发送请求', async () => {
+        const requests = mockGitHub({});
+        expect(await GistService.listRevisions({ token: 'secret', gistId: null }, 1, 30)).toEqual([]);
+        expect(requests).toEqual([]);
+    });
+
+    it('读取某次提交时的数据，并合并按集合拆分的文件', async () => {
+        const manifest = JSON.stringify({ version: 3, shards: ['mipa-data-c1.json'] });
+        const collection = JSON.stringify({ id: 'c1', name: 'A', tabs: [] });
+        mockGitHub({
+            'GET /gists/abc123/sha1': () => ({
+                body: gist({ 'mipa-data.json': manifest, 'mipa-data-c1.json': collection })
+            })
+        });
+
+        const content = await GistService.readRevision(config, 'sha1');
+
+        expect(JSON.parse(content)).toEqual({ version: 3, collections: [{ id: 'c1', name: 'A', tabs: [] }] });
+    });
+
+    it('请求失败时抛出带状态码的错误', async () => {
+        mockGitHub({
+            'GET /gists/abc123/commits': () => ({ status: 403, headers: { 'Retry-After': '60' } })
+        });
+
+        const error = await GistService.listRevisions(config, 1, 30).catch((e) => e);
+
+        expect(error).toBeInstanceOf(Error);
+        expect(error.status).toBe(403);
+        expect(error.retryAt).toBeGreaterThan(Date.now());
+    });
+});
+
+describe('GistService 连接时选择 Gist', () => {
+    const user = () => ({ body: { login: 'octocat' }, headers: { 'X-OAuth-Scopes': 'gist, repo' } });
+    const existing = () => ({
+        body: [
+            {
+                id: 'a'.repeat(20),
+                description: 'Mipa',
+                updated_at: '2026-01-02T00:00:00Z',
+                html_url: 'https://gist.github.com/a',
+                files: { 'mipa-data.json': {} }
+            },
+            { id: 'b'.repeat(20), description: '', updated_at: '2026-01-03T00:00:00Z', files: { 'notes.md': {} } }
+        ]
+    });
+
+    beforeEach(() => {
+        GistService.API_BASE = API_BASE;
+    });
+
+    afterEach(() => {
+        GistService.API_BASE = 'https://api.github.com';
+        vi.unstubAllGlobals();
+    });
+
+    it('已有 Mipa 数据 Gist 但没有选择时列出候选，不自动关联', async () => {
+        mockGitHub({ 'GET /user': user, 'GET /gists': existing });
+        const config = { token: 'secret' };
+
+        const error = await GistService.test(config).catch((e) => e);
+
+        expect(error.message).toContain('已有 1 个 Mipa 数据 Gist');
+        expect(error.existing.map((item) => item.id)).toEqual(['a'.repeat(20)]);
+        expect(config.gistId).toBeUndefined();
+    });
+
+    it('选择新建或账号下还没有 Gist 时新建', async () => {
+        mockGitHub({ 'GET /user': user, 'GET /gists': existing });
+        const chosen = { token: 'secret', gistId: 'new' };
+        expect(await GistService.test(chosen)).toBe('GitHub（octocat），将新建 Gist');
+        expect(chosen.gistId).toBeNull();
+
+        mockGitHub({ 'GET /user': user, 'GET /gists': () => ({ body: [] }) });
+        expect(await GistService.test({ token: 'secret' })).toBe('GitHub（octocat），将新建 Gist');
+    });
+
+    it('关联选择的 Gist 前确认其中有同步数据', async () => {
+        const id = 'a'.repeat(20);
+        mockGitHub({
+            'GET /user': user,
+            [`GET /gists/${id}`]: () => ({ body: gist({ 'mipa-data.json': '{}' }) })
+        });
+        const config = { token: 'secret', gistUrl: `https://gist.github.com/octocat/${id}` };
+
+        expect(await GistService.test(config)).toBe(`GitHub（octocat），关联 Gist ${id.slice(0, 7)}`);
+        expect(config.gistId).toBe(id);
+    });
+});
+
+describe('GistService 分文件存储', () => {
+    const data = (collections) =>
+        MipaUtils.deterministicStringify({ version: 2, tombstones: { old: 1 }, trash: [], collections });
+    const collection = (id, name = id) => ({ id, name, tabs: [{ id: `${id}-t`, url: `https://${id}.example/` }] });
+
+    it('拆分为清单和每个集合一个文件，合并后与原内容相同', async () => {
+        const content = data([collection('c1'), collection('c2')]);
+
+        const files = GistService._splitContent(content);
+
+        expect(Object.keys(files).sort()).toEqual(['mipa-data-c1.json', 'mipa-data-c2.json', 'mipa-data.json']);
+        expect(JSON.parse(files['mipa-data.json'])).toEqual({
+            version: 2,
+            tombstones: { old: 1 },
+            trash: [],
+            shards: ['mipa-data-c1.json', 'mipa-data-c2.json']
+        });
+        expect((await GistService._joinFiles(gist(files))).content).toBe(content);
+    });
+
+    it('文件名中的特殊字符替换后重名时加上序号', async () => {
+        const content = data([collection('a/b'), collection('a_b'), collection('a:b')]);
+
+        const files = GistService._splitContent(content);
+
+        expect(JSON.parse(files['mipa-data.json']).shards).toEqual([
+            'mipa-data-a_b.json',
+            'mipa-data-a_b-1.json',
+            'mipa-data-a_b-2.json'
+        ]);
+        expect((await GistService._joinFiles(gist(files))).content).toBe(content);
+    });
+
+    it('加密数据和集合过多时保存为单个文件', () => {
+        const encrypted = JSON.stringify({ mipaEncrypted: 1, data: 'xxx' });
+        const many = data(Array.from({ length: GistService.MAX_SHARDS + 1 }, (_, i) => collection(`c${i}`)));
+
+        expect(GistService._splitContent(encrypted)).toEqual({ 'mipa-data.json': encrypted });
+        expect(GistService._splitContent(many)).toEqual({ 'mipa-data.json': many });
+    });
+
+    it('旧版单文件 Gist 原样读取，缺少集合文件时报错', async () => {
+        const legacy = data([collection('c1')]);
+        const files = GistService._splitContent(data([collection('c1'), collection('c2')]));
+        delete files['mipa-data-c2.json'];
+
+        expect((await GistService._joinFiles(gist({ 'mipa-data.json': legacy }))).content).toBe(legacy);
+        await expect(GistService._joinFiles(gist(files))).rejects.toThrow('缺少 mipa-data-c2.json');
+    });
+});
+
+describe('GistService 读写缓存', () => {
+    const config = { token: 'secret', gistId: 'abc123' };
+    let remoteCache;
+
+    beforeEach(() => {
+        GistService.API_BASE = API_BASE;
+        remoteCache = new Map();
+        StorageService.adapter = {
+            readRemoteCache: async (key) => remoteCache.get(key) ?? null,
+            writeRemoteCache: async (key, value) => remoteCache.set(key, structuredClone(value)),
+            removeRemoteCache: async (key) => remoteCache.delete(key)
+        };
+    });
+
+    afterEach(() => {
+        GistService.API_BASE = 'https://api.github.com';
+        StorageService.adapter = null;
+        vi.unstubAllGlobals();
+    });
+
+    it('内容保存在存储适配器中，远程未变化（304）时使用缓存的内容', async () => {
+        const content = JSON.stringify({ version: 1, collections: [{ id: 'c1', name: 'A', tabs: [] }] });
+        const files = GistService._splitContent(content);
+        const requests = mockGitHub({
+            'GET /gists/abc123': ({ options }) =>
+                options.headers['If-None-Match'] === '"v1"'
+                    ? { status: 304 }
+                    : { body: gist(files), headers: { ETag: '"v1"' } }
+        });
+
+        const first = await GistService.read({ ...config });
+        const second = await GistService.read({ ...config });
+
+        expect(second).toBe(first);
+        expect(JSON.parse(first)).toEqual(JSON.parse(content));
+        expect(requests.map((request) => request.options.headers['If-None-Match'])).toEqual([undefined, '"v1"']);
+        expect(remoteCache.get(GistService.CACHE_KEY)).toMatchObject({ etag: '"v1"', content: first });
+    });
+
+    it('只上传有变化的集合文件，删除已不存在的集合的文件', async () => {
+        const before = MipaUtils.deterministicStringify({
+            version: 1,
+            collections: [
+                { id: 'c1', name: 'A', tabs: [] },
+                { id: 'c2', name: 'B', tabs: [] }
+            ]
+        });
+        const after = MipaUtils.deterministicStringify({
+            version: 1,
+            collections: [{ id: 'c1', name: 'A2', tabs: [] }]
+        });
+        const requests = mockGitHub({
+            'GET /gists/abc123': () => ({ body: gist(GistService._splitContent(before)), headers: { ETag: '"v1"' } }),
+            'PATCH /gists/abc123': () => ({ body: {}, headers: { ETag: '"v2"' } })
+        });
+
+        await GistService.read({ ...config });
+        await GistService.write({ ...config }, after);
+        await GistService.write({ ...config }, after);
+
+        const patches = requests.filter((request) => request.method === 'PATCH');
+        expect(patches).toHaveLength(1);
+        expect(Object.keys(JSON.parse(patches[0].options.body).files).sort()).toEqual([
+            'mipa-data-c1.json',
+            'mipa-data-c2.json',
+            'mipa-data.json'
+        ]);
+        expect(JSON.parse(patches[0].options.body).files['mipa-data-c2.json']).toBeNull();
+        expect(remoteCache.get(GistService.CACHE_KEY)).toMatchObject({ etag: '"v2"', content: after });
+    });
+});
@@ -0,0 +1,265 @@
+import { MipaUtils } from '../utils.js';
+
+/**
+ * IndexedDB 存储适配器：文档的其余字段、每个集合、每个标签页分别是一条记录，
+ * 保存时只写入和上次读写相比有变化的记录。
+ * 快照的说明和数据分别保存在 snapshots 和 snapshotData 中，列出快照时不读取数据；同步后端的远程数据缓存保存在 remoteCache 中。
+ * 接口说明见 StorageService
+ */
+export const IndexedDBAdapter = {
+    id: 'indexeddb',
+    DB_NAME: 'mipa',
+    DB_VERSION: 3,
+    META_KEY: 'document',
+    // {writeId, records: Map<记录键, JSON>}：本页面上次读写时数据库中的记录，用来计算下次保存要写入的记录
+    _cache: null,
+    _dbPromise: null,
+
+    _open() {
+        if (!this._dbPromise) {
+            this._dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    if (event.oldVersion < 1) {
+                        db.createObjectStore('meta', { keyPath: 'key' });
+                        db.createObjectStore('collections', { keyPath: 'id' });
+                        db.createObjectStore('tabs', { keyPath: ['collectionId', 'id'] });
+                    }
+                    if (event.oldVersion < 2) {
+                        db.createObjectStore('snapshots', { keyPath: 'id' });
+                        db.createObjectStore('snapshotData', { keyPath: 'id' });
+                    }
+                    if (event.oldVersion < 3) {
+                        db.createObjectStore('remoteCache', { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // 其他页面升级数据库时关闭连接，下次使用时重新打开
+                    db.onversionchange = () => {
+                        db.close();
+                        this._dbPromise = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => {
+                    this._dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return this._dbPromise;
+    },
+
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    _done(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB 事务已中止'));
+        });
+    },
+
+    /**
+     * 把文档拆成记录
+     * @param {Object} doc
+     * @returns {{meta: Object, collections: Array<Object>, tabs: Array<Object>}}
+     */
+    _toRecords(doc) {
+        const { collections = [], ...meta } = doc;
+        // 记录以 ID 为键，缺少或重复的 ID 换成新的，避免后写入的记录覆盖前面的
+        const uniqueId = (item, used) => {
+            const id = item.id && !used.has(item.id) ? item.id : MipaUtils.generateUUID();
+            used.add(id);
+            return id;
+        };
+        const collectionIds = new Set();
+        const records = { meta, collections: [], tabs: [] };
+        collections.forEach(({ tabs = [], ...collection }, position) => {
+            const id = uniqueId(collection, collectionIds);
+            records.collections.push({ id, position, data: { ...collection, id } });
+
+            const tabIds = new Set();
+            tabs.forEach((tab, tabPosition) => {
+                const tabId = uniqueId(tab, tabIds);
+                records.tabs.push({
+                    collectionId: id,
+                    id: tabId,
+                    position: tabPosition,
+                    data: { ...tab, id: tabId }
+                });
+            });
+        });
+        return records;
+    },
+
+    /**
+     * 由记录还原文档，集合和标签页按保存时的顺序排列
+     * @returns {Object}
+     */
+    _fromRecords(meta, collectionRecords, tabRecords) {
+        const tabsByCollection = new Map();
+        tabRecords.forEach((record) => {
+            if (!tabsByCollection.has(record.collectionId)) tabsByCollection.set(record.collectionId, []);
+            tabsByCollection.get(record.collectionId).push(record);
+        });
+        const collections = collectionRecords
+            .sort((a, b) => a.position - b.position)
+            .map((record) => ({
+                ...record.data,
+                tabs: (tabsByCollection.get(record.id) || [])
+                    .sort((a, b) => a.position - b.position)
+                    .map((tab) => tab.data)
+            }));
+        return { ...meta, collections };
+    },
+
+    _cacheRecords(writeId, collectionRecords, tabRecords) {
+        const records = new Map();
+        collectionRecords.forEach((record) => records.set(`c:${record.id}`, JSON.stringify(record)));
+        tabRecords.forEach((record) => records.set(`t:${record.collectionId}:${record.id}`, JSON.stringify(record)));
+        this._cache = { writeId, records };
+    },
+
+    async read() {
+        const db = await this._open();
+        const tx = db.transaction(['meta', 'collections', 'tabs'], 'readonly');
+        const [meta, collectionRecords, tabRecords] = await Promise.all([
+            this._request(tx.objectStore('meta').get(this.META_KEY)),
+            this._request(tx.objectStore('collections').getAll()),
+            this._request(tx.objectStore('tabs').getAll())
+        ]);
+        if (!meta) return null;
+        this._cacheRecords(meta.writeId, collectionRecords, tabRecords);
+        return this._fromRecords(meta.data, collectionRecords, tabRecords);
+    },
+
+    async readMeta() {
+        const db = await this._open();
+        const meta = await this._request(db.transaction('meta', 'readonly').objectStore('meta').get(this.META_KEY));
+        return meta ? meta.data : null;
+    },
+
+    /**
+     * 检查和写入在同一个事务中完成，其他页面不会在两者之间写入
+     */
+    async write(doc, check = null) {
+        const db = await this._open();
+        const tx = db.transaction(['meta', 'collections', 'tabs'], 'readwrite');
+        const done = this._done(tx);
+        const metaStore = tx.objectStore('meta');
+        const collectionStore = tx.objectStore('collections');
+        const tabStore = tx.objectStore('tabs');
+
+        const current = await this._request(metaStore.get(this.META_KEY));
+        if (check && !check(current ? current.data : null)) {
+            await done;
+            return false;
+        }
+
+        const { meta, collections, tabs } = this._toRecords(doc);
+        const writeId = MipaUtils.generateUUID();
+        // 数据库中的记录就是本页面上次读写的结果时只写入变化的记录，否则全部重写
+        const previous = current && this._cache && this._cache.writeId === current.writeId ? this._cache.records : null;
+        if (!previous) {
+            collectionStore.clear();
+            tabStore.clear();
+        }
+
+        const seen = new Set();
+        const putChanged = (store, key, record) => {
+            seen.add(key);
+            if (!previous || previous.get(key) !== JSON.stringify(record)) {
+                store.put(record);
+            }
+        };
+        collections.forEach((record) => putChanged(collectionStore, `c:${record.id}`, record));
+        tabs.forEach((record) => putChanged(tabStore, `t:${record.collectionId}:${record.id}`, record));
+        if (previous) {
+            for (const key of previous.keys()) {
+                if (seen.has(key)) continue;
+                const record = JSON.parse(previous.get(key));
+                if (key.startsWith('c:')) {
+                    collectionStore.delete(record.id);
+                } else {
+                    tabStore.delete([record.collectionId, record.id]);
+                }
+            }
+        }
+        metaStore.put({ key: this.META_KEY, writeId, data: meta });
+
+        await done;
+        this._cacheRecords(writeId, collections, tabs);
+        return true;
+    },
+
+    async listSnapshots() {
+        const db = await this._open();
+        return this._request(db.transaction('snapshots', 'readonly').objectStore('snapshots').getAll());
+    },
+
+    async getSnapshot(id) {
+        const db = await this._open();
+        const tx = db.transaction(['snapshots', 'snapshotData'], 'readonly');
+        const [snapshot, record] = await Promise.all([
+            this._request(tx.objectStore('snapshots').get(id)),
+            this._request(tx.objectStore('snapshotData').get(id))
+        ]);
+        return snapshot && record ? { ...snapshot, data: record.data } : null;
+    },
+
+    async saveSnapshot({ data, ...snapshot }, removeIds = []) {
+        const db = await this._open();
+        const tx = db.transaction(['snapshots', 'snapshotData'], 'readwrite');
+        const done = this._done(tx);
+        const snapshots = tx.objectStore('snapshots');
+        const snapshotData = tx.objectStore('snapshotData');
+        snapshots.put(snapshot);
+        snapshotData.put({ id: snapshot.id, data });
+        removeIds.forEach((id) => {
+            snapshots.delete(id);
+            snapshotData.delete(id);
+        });
+        await done;
+    },
+
+    async clearSnapshots() {
+        const db = await this._open();
+        const tx = db.transaction(['snapshots', 'snapshotData'], 'readwrite');
+        const done = this._done(tx);
+        tx.objectStore('snapshots').clear();
+        tx.objectStore('snapshotData').clear();
+        await done;
+    },
+
+    async readRemoteCache(key) {
+        const db = await this._open();
+        const record = await this._request(
+            db.transaction('remoteCache', 'readonly').objectStore('remoteCache').get(key)
+        );
+        return record ? record.value : null;
+    },
+
+    async writeRemoteCache(key, value) {
+        const db = await this._open();
+        const tx = db.transaction('remoteCache', 'readwrite');
+        const done = this._done(tx);
+        tx.objectStore('remoteCache').put({ key, value });
+        await done;
+    },
+
+    async removeRemoteCache(key) {
+        const db = await this._open();
+        const tx = db.transaction('remoteCache', 'readwrite');
+        const done = this._done(tx);
+        tx.objectStore('remoteCache').delete(key);
+        await done;
+    }
+};
@@ -0,0 +1,124 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { IDBFactory, IDBObjectStore } from 'fake-indexeddb';
+import { IndexedDBAdapter } from './IndexedDBAdapter.js';
+
+const doc = (collections) => ({ schemaVersion: 2, version: 1, tombstones: {}, collections });
+const collection = (id, tabIds) => ({
+    id,
+    name: id,
+    tabs: tabIds.map((tabId) => ({ id: tabId, url: `https://example.com/${tabId}` }))
+});
+
+// 打开新的页面：重新连接数据库，没有上次读写的记录
+const reopen = () => {
+    IndexedDBAdapter._dbPromise = null;
+    IndexedDBAdapter._cache = null;
+};
+
+describe('IndexedDBAdapter', () => {
+    let puts;
+
+    beforeEach(() => {
+        vi.stubGlobal('indexedDB', new IDBFactory());
+        reopen();
+        puts = [];
+        const put = IDBObjectStore.prototype.put;
+        vi.spyOn(IDBObjectStore.prototype, 'put').mockImplementation(function (record, ...args) {
+            puts.push(this.name);
+            return put.call(this, record, ...args);
+        });
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        vi.unstubAllGlobals();
+    });
+
+    it('还没有数据时返回 null', async () => {
+        expect(await IndexedDBAdapter.read()).toBeNull();
+        expect(await IndexedDBAdapter.readMeta()).toBeNull();
+    });
+
+    it('按保存时的顺序还原集合和标签页', async () => {
+        const data = doc([collection('c2', ['t3']), collection('c1', ['t2', 't1'])]);
+
+        expect(await IndexedDBAdapter.write(data)).toBe(true);
+        reopen();
+
+        expect(await IndexedDBAdapter.read()).toEqual(data);
+        expect(await IndexedDBAdapter.readMeta()).toEqual({ schemaVersion: 2, version: 1, tombstones: {} });
+    });
+
+    it('缺少或重复的 ID 换成新的，不会覆盖其他记录', async () => {
+        await IndexedDBAdapter.write(doc([collection('c1', ['t1', 't1']), { name: 'no id', tabs: [] }]));
+        reopen();
+
+        const { collections } = await IndexedDBAdapter.read();
+        expect(collections).toHaveLength(2);
+        expect(collections[0].tabs).toHaveLength(2);
+        expect(new Set(collections[0].tabs.map((tab) => tab.id)).size).toBe(2);
+        expect(collections[1]).toMatchObject({ name: 'no id', id: expect.any(String) });
+    });
+
+    it('只写入有变化的记录，并删除已移除的集合和标签页', async () => {
+        await IndexedDBAdapter.write(doc([collection('c1', ['t1', 't2']), collection('c2', ['t3'])]));
+        puts = [];
+
+        const next = doc([{ ...collection('c1', ['t1']), name: 'renamed' }]);
+        await IndexedDBAdapter.write(next);
+
+        expect(puts.sort()).toEqual(['collections', 'meta']);
+        reopen();
+        expect(await IndexedDBAdapter.read()).toEqual(next);
+    });
+
+    it('其他页面写入后全部重写，不基于过期的记录计算变化', async () => {
+        await IndexedDBAdapter.write(doc([collection('c1', ['t1'])]));
+        const firstPage = IndexedDBAdapter._cache;
+
+        reopen();
+        await IndexedDBAdapter.read();
+        await IndexedDBAdapter.write(doc([collection('c2', ['t2'])]));
+
+        IndexedDBAdapter._cache = firstPage;
+        await IndexedDBAdapter.write(doc([collection('c1', ['t1']), collection('c3', [])]));
+        reopen();
+
+        expect((await IndexedDBAdapter.read()).collections.map((c) => c.id)).toEqual(['c1', 'c3']);
+    });
+
+    it('检查不通过时不写入', async () => {
+        await IndexedDBAdapter.write(doc([collection('c1', [])]));
+
+        const written = await IndexedDBAdapter.write({ ...doc([]), version: 2 }, (meta) => meta?.version === 0);
+
+        expect(written).toBe(false);
+        reopen();
+        expect((await IndexedDBAdapter.read()).collections.map((c) => c.id)).toEqual(['c1']);
+    });
+
+    it('列出快照时不读取数据，删除时同时删除数据', async () => {
+        const snapshot = (id) => ({ id, kind: 'manual', label: id, createdAt: 1, data: doc([collection(id, [])]) });
+        await IndexedDBAdapter.saveSnapshot(snapshot('s1'));
+        await IndexedDBAdapter.saveSnapshot(snapshot('s2'), ['s1']);
+
+        expect(await IndexedDBAdapter.listSnapshots()).toEqual([
+            { id: 's2', kind: 'manual', label: 's2', createdAt: 1 }
+        ]);
+        expect(await IndexedDBAdapter.getSnapshot('s2')).toEqual(snapshot('s2'));
+        expect(await IndexedDBAdapter.getSnapshot('s1')).toBeNull();
+
+        await IndexedDBAdapter.clearSnapshots();
+        expect(await IndexedDBAdapter.listSnapshots()).toEqual([]);
+    });
+
+    it('保存和删除远程数据缓存', async () => {
+        expect(await IndexedDBAdapter.readRemoteCache('gistCache')).toBeNull();
+
+        await IndexedDBAdapter.writeRemoteCache('gistCache', { etag: '"v1"', content: '{}' });
+        expect(await IndexedDBAdapter.readRemoteCache('gistCache')).toEqual({ etag: '"v1"', content: '{}' });
+
+        await IndexedDBAdapter.removeRemoteCache('gistCache');
+        expect(await IndexedDBAdapter.readRemoteCache('gistCache')).toBeNull();
+    });
+});
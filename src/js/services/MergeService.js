@@ -0,0 +1,446 @@
+import { MipaUtils } from '../utils.js';
+import { StorageService } from './StorageService.js';
+
+export const MergeService = {
+    COLLECTION_FIELDS: ['name', 'color'],
+    TAB_FIELDS: ['title', 'url', 'description'],
+
+    /**
+     * 根据共同祖先（上次同步的数据）决定同步结果：
+     * - 没有共同祖先（首次同步）时按修改时间和删除记录做双向合并
+     * - 只有一端变化时直接采用该端
+     * - 两端都有变化时做三方合并
+     * @param {{collections: Array, tombstones?: Object}|null} base
+     * @param {{collections: Array, tombstones?: Object}} local
+     * @param {{collections: Array, tombstones?: Object}} remote
+     * @param {Object<string, 'local'|'remote'|'both'>} [resolutions] 用户对冲突的选择，见 threeWayMerge
+     * @returns {{collections: Array, tombstones: Object, conflicts: Array, changedLocal: boolean, changedRemote: boolean}}
+     */
+    reconcile(base, local, remote, resolutions = {}) {
+        const localKey = this.stateKey(local);
+        const remoteKey = this.stateKey(remote);
+        let result;
+
+        if (localKey === remoteKey) {
+            result = { collections: local.collections, tombstones: local.tombstones || {}, conflicts: [] };
+        } else if (!base) {
+            const tombstones = this.mergeTombstones(local.tombstones, remote.tombstones);
+            const collections = this.mergeCollections(local.collections, remote.collections, tombstones);
+            result = { collections, tombstones, conflicts: [] };
+        } else {
+            const baseKey = this.stateKey(base);
+            if (remoteKey === baseKey) {
+                result = { collections: local.collections, tombstones: local.tombstones || {}, conflicts: [] };
+            } else if (localKey === baseKey) {
+                result = { collections: remote.collections, tombstones: remote.tombstones || {}, conflicts: [] };
+            } else {
+                result = this.threeWayMerge(base, local, remote, resolutions);
+            }
+        }
+
+        const resultKey = this.stateKey(result);
+        return { ...result, changedLocal: resultKey !== localKey, changedRemote: resultKey !== remoteKey };
+    },
+
+    /**
+     * 数据状态的规范化字符串，用于判断两份数据是否一致
+     * @param {{collections: Array, tombstones?: Object}} data
+     * @returns {string}
+     */
+    stateKey(data) {
+        return MipaUtils.deterministicStringify({
+            collections: StorageService.prepareCollectionsForSaving(data.collections || []),
+            tombstones: data.tombstones || {}
+        });
+    },
+
+    /**
+     * 三方合并：以 base 为共同祖先，分别合并集合字段、标签页字段、标签页所在集合和标签顺序。
+     * 只有一端修改的部分直接采用该端；两端对同一处做了不同修改时记为冲突，默认按 updatedAt 较新的一端解决（相同时远程优先），
+     * 也可以通过 resolutions 逐条指定：'local' / 'remote' 采用对应一端，'both' 采用远程并把本地版本另存为副本（删除冲突时保留条目）
+     * @param {{collections: Array, tombstones?: Object}} base
+     * @param {{collections: Array, tombstones?: Object}} local
+     * @param {{collections: Array, tombstones?: Object}} remote
+     * @param {Object<string, 'local'|'remote'|'both'>} [resolutions] 冲突条目 ID -> 解决方式
+     * @returns {{collections: Array, tombstones: Object, conflicts: Array}}
+     */
+    threeWayMerge(base, local, remote, resolutions = {}) {
+        const tombstones = this.mergeTombstones(local.tombstones, remote.tombstones);
+        const baseCols = new Map(base.collections.map((c) => [c.id, c]));
+        const localCols = new Map(local.collections.map((c) => [c.id, c]));
+        const remoteCols = new Map(remote.collections.map((c) => [c.id, c]));
+        const baseTabs = this._indexTabs(base.collections);
+        const localTabs = this._indexTabs(local.collections);
+        const remoteTabs = this._indexTabs(remote.collections);
+
+        const conflicts = new Map();
+        const duplicates = new Map();
+        const addConflict = (type, id, field, localItem, remoteItem, resolution) => {
+            const existing = conflicts.get(id);
+            if (existing) {
+                existing.fields.push(field);
+                return;
+            }
+            const conflict = { type, id, fields: [field], local: localItem, remote: remoteItem, resolution };
+            if (type === 'tab') {
+                conflict.localCollection = localCols.get(localTabs.get(id)?.collectionId)?.name || null;
+                conflict.remoteCollection = remoteCols.get(remoteTabs.get(id)?.collectionId)?.name || null;
+            }
+            conflicts.set(id, conflict);
+        };
+        const decide = (id, auto) => resolutions[id] || auto;
+        const newerSide = (l, r) => ((l.updatedAt || 0) > (r.updatedAt || 0) ? 'local' : 'remote');
+        const survivesDeletion = (id, item) => !(id in tombstones && tombstones[id] >= (item.updatedAt || 0));
+        // 删除与修改冲突：按解决方式保留或删除条目，并让删除记录与结果保持一致
+        const resolveDeletion = (type, id, l, r, present, side) => {
+            const resolution = decide(id, survivesDeletion(id, present) ? side : side === 'local' ? 'remote' : 'local');
+            addConflict(type, id, 'deleted', l, r, resolution);
+            const keep = resolution === side || resolution === 'both';
+            if (keep) {
+                delete tombstones[id];
+            } else {
+                tombstones[id] = Math.max(tombstones[id] || 0, (present.updatedAt || 0) + 1);
+            }
+            return keep;
+        };
+
+        // 1. 集合：新增、删除以及 name/color 字段
+        const mergedCols = new Map();
+        const colIds = [...new Set([...local.collections.map((c) => c.id), ...remote.collections.map((c) => c.id)])];
+        colIds.forEach((id) => {
+            const b = baseCols.get(id);
+            const l = localCols.get(id);
+            const r = remoteCols.get(id);
+
+            if (!l || !r) {
+                const present = l || r;
+                if (b && this._collectionFingerprint(b) === this._collectionFingerprint(present)) {
+                    return; // 另一端删除，本端未修改
+                }
+                if (b && !resolveDeletion('collection', id, l || null, r || null, present, l ? 'local' : 'remote')) {
+                    return;
+                }
+                mergedCols.set(id, { ...present });
+                return;
+            }
+
+            const resolution = decide(id, newerSide(l, r));
+            const merged = { ...r, updatedAt: Math.max(l.updatedAt || 0, r.updatedAt || 0) || undefined };
+            this.COLLECTION_FIELDS.forEach((field) => {
+                const m = this._merge3(b?.[field], l[field], r[field]);
+                if (m.conflict) {
+                    addConflict('collection', id, field, l, r, resolution);
+                    merged[field] = resolution === 'local' ? l[field] : r[field];
+                    if (resolution === 'both') duplicates.set(id, { type: 'collection', item: l });
+                } else {
+                    merged[field] = m.value;
+                }
+            });
+            mergedCols.set(id, merged);
+        });
+
+        // 2. 标签页：所在集合（移动/删除）以及 title/url/description 字段
+        const placement = new Map();
+        const tabIds = new Set([...localTabs.keys(), ...remoteTabs.keys()]);
+
+        tabIds.forEach((id) => {
+            const b = baseTabs.get(id);
+            const l = localTabs.get(id);
+            const r = remoteTabs.get(id);
+            let collectionId;
+            let tab;
+
+            if (!l || !r) {
+                const present = l || r;
+                const unchanged = b && b.collectionId === present.collectionId && this._sameTab(b.tab, present.tab);
+                if (unchanged) return; // 另一端删除，本端未修改
+                if (
+                    b &&
+                    !resolveDeletion('tab', id, l?.tab || null, r?.tab || null, present.tab, l ? 'local' : 'remote')
+                ) {
+                    return;
+                }
+                collectionId = present.collectionId;
+                tab = { ...present.tab };
+            } else {
+                const resolution = decide(id, newerSide(l.tab, r.tab));
+                const keepCopy = () => duplicates.set(id, { type: 'tab', item: l.tab, collectionId: l.collectionId });
+                const location = this._merge3(b?.collectionId, l.collectionId, r.collectionId);
+                if (location.conflict) {
+                    addConflict('tab', id, 'collection', l.tab, r.tab, resolution);
+                    collectionId = resolution === 'local' ? l.collectionId : r.collectionId;
+                    if (resolution === 'both') keepCopy();
+                } else {
+                    collectionId = location.value;
+                }
+
+                tab = { ...r.tab, updatedAt: Math.max(l.tab.updatedAt || 0, r.tab.updatedAt || 0) || undefined };
+                this.TAB_FIELDS.forEach((field) => {
+                    const m = this._merge3(b?.tab[field], l.tab[field], r.tab[field]);
+                    if (m.conflict) {
+                        addConflict('tab', id, field, l.tab, r.tab, resolution);
+                        tab[field] = resolution === 'local' ? l.tab[field] : r.tab[field];
+                        if (resolution === 'both') keepCopy();
+                    } else {
+                        tab[field] = m.value;
+                    }
+                });
+            }
+
+            if (mergedCols.has(collectionId)) {
+                placement.set(id, { collectionId, tab });
+            }
+        });
+
+        // 3. 标签顺序：只有一端调整过相对顺序时采用该端，两端都调整时按集合 updatedAt 较新的一端
+        const collections = [...mergedCols.values()].map((col) => {
+            const members = new Set([...placement].filter(([, p]) => p.collectionId === col.id).map(([id]) => id));
+            const order = (c) => (c?.tabs || []).map((t) => t.id);
+            const baseOrder = order(baseCols.get(col.id));
+            const localOrder = order(localCols.get(col.id));
+            const remoteOrder = order(remoteCols.get(col.id));
+            const localReordered = !this._sameRelativeOrder(baseOrder, localOrder);
+            const remoteReordered = !this._sameRelativeOrder(baseOrder, remoteOrder);
+
+            let useRemote = remoteReordered && !localReordered;
+            if (localReordered && remoteReordered && !this._sameRelativeOrder(localOrder, remoteOrder)) {
+                const l = localCols.get(col.id);
+                const r = remoteCols.get(col.id);
+                const resolution = decide(col.id, newerSide(l, r));
+                addConflict('collection', col.id, 'order', l, r, resolution);
+                useRemote = resolution !== 'local';
+                if (resolution === 'both') duplicates.set(col.id, { type: 'collection', item: l });
+            }
+
+            const ids = this._mergeOrder(
+                useRemote ? remoteOrder : localOrder,
+                useRemote ? localOrder : remoteOrder,
+                members
+            );
+            return { ...col, tabs: ids.map((id) => placement.get(id).tab) };
+        });
+
+        this._addDuplicates(collections, [...duplicates.values()]);
+        return { collections, tombstones, conflicts: [...conflicts.values()] };
+    },
+
+    /**
+     * 把选择“都保留”的本地版本作为新条目插入到原条目之后：集合副本带上本地的全部标签页，标签页副本放回本地所在的集合
+     * @param {Array} collections 合并结果，会被原地修改
+     * @param {Array<{type: string, item: Object, collectionId?: string}>} duplicates
+     */
+    _addDuplicates(collections, duplicates) {
+        const now = Date.now();
+        const copyTab = (tab) => ({ ...tab, id: MipaUtils.generateUUID(), updatedAt: now });
+
+        duplicates.forEach(({ type, item, collectionId }) => {
+            if (type === 'collection') {
+                const index = collections.findIndex((c) => c.id === item.id);
+                const copy = {
+                    ...item,
+                    id: MipaUtils.generateUUID(),
+                    name: `${item.name}（本地）`,
+                    updatedAt: now,
+                    tabs: (item.tabs || []).map(copyTab)
+                };
+                collections.splice(index + 1, 0, copy);
+                return;
+            }
+
+            const target =
+                collections.find((c) => c.id === collectionId) ||
+                collections.find((c) => c.tabs.some((t) => t.id === item.id));
+            if (!target) return;
+            const index = target.tabs.findIndex((t) => t.id === item.id);
+            target.tabs.splice(index > -1 ? index + 1 : target.tabs.length, 0, copyTab(item));
+        });
+    },
+
+    /**
+     * 双向合并本地和远程集合（没有共同祖先时使用）。
+     * 每个集合/标签页带有 updatedAt 修改时间，删除记录在 tombstones（id -> 删除时间）中：
+     * - 同 ID 集合取 updatedAt 较新的一方的名称、颜色和标签顺序（相同时远程优先）
+     * - 同 ID 标签页取 updatedAt 较新的一方，并只放在该版本所在的集合中，保证移动后只出现一次
+     * - 删除时间不早于修改时间的集合/标签页视为已删除，不会被另一端的数据复活
+     * @param {Array} local
+     * @param {Array} remote
+     * @param {Object<string, number>} [tombstones] 本地与远程合并后的删除记录
+     * @returns {Array}
+     */
+    mergeCollections(local, remote, tombstones = {}) {
+        const isDeleted = (item) => item.id in tombstones && tombstones[item.id] >= (item.updatedAt || 0);
+        const tabKey = (t) => t.id || `${t.title}-${t.url}`;
+        const localMap = new Map(local.map((c) => [c.id, c]));
+        const remoteMap = new Map(remote.map((c) => [c.id, c]));
+        const allIds = new Set([...local.map((c) => c.id), ...remote.map((c) => c.id)]);
+
+        const placement = new Map();
+        const placeTabs = (collections, preferOnTie) => {
+            collections.forEach((col) => {
+                (Array.isArray(col.tabs) ? col.tabs : []).forEach((tab) => {
+                    const key = tabKey(tab);
+                    const current = placement.get(key);
+                    const time = tab.updatedAt || 0;
+                    const currentTime = current ? current.tab.updatedAt || 0 : -1;
+                    if (time > currentTime || (time === currentTime && preferOnTie)) {
+                        placement.set(key, { tab, collectionId: col.id });
+                    }
+                });
+            });
+        };
+        placeTabs(local, false);
+        placeTabs(remote, true);
+
+        const merged = [];
+        for (const id of allIds) {
+            const localCol = localMap.get(id);
+            const remoteCol = remoteMap.get(id);
+            const winner =
+                localCol && (!remoteCol || (localCol.updatedAt || 0) > (remoteCol.updatedAt || 0))
+                    ? localCol
+                    : remoteCol;
+            const other = winner === localCol ? remoteCol : localCol;
+            if (isDeleted(winner)) continue;
+
+            const seen = new Set();
+            const tabs = [];
+            [winner, other].filter(Boolean).forEach((col) => {
+                (Array.isArray(col.tabs) ? col.tabs : []).forEach((tab) => {
+                    const key = tabKey(tab);
+                    const placed = placement.get(key);
+                    if (seen.has(key) || placed.collectionId !== id || isDeleted(placed.tab)) return;
+                    seen.add(key);
+                    tabs.push(placed.tab);
+                });
+            });
+
+            merged.push({ ...winner, tabs });
+        }
+
+        return merged;
+    },
+
+    /**
+     * 拆分出只保存在本地（localOnly）的集合：它们不上传、不参与合并，合并后放回原来的位置
+     * @param {Array} collections
+     * @returns {{synced: Array, localOnly: Array<{index: number, after: string|null, collection: Object}>}}
+     *   after 为原来排在它前面的集合 ID
+     */
+    splitLocalOnly(collections) {
+        const synced = [];
+        const localOnly = [];
+        collections.forEach((collection, index) => {
+            if (collection.localOnly) {
+                localOnly.push({ index, after: collections[index - 1]?.id || null, collection });
+            } else {
+                synced.push(collection);
+            }
+        });
+        return { synced, localOnly };
+    },
+
+    /**
+     * 把 splitLocalOnly 拆出的集合放回原来的位置（紧跟在原来的前一个集合之后，它已不存在时按原来的序号）；
+     * 合并结果中同 ID 的集合（其他设备上传的旧版本）以本地为准被替换
+     * @param {Array} collections 合并结果
+     * @param {Array<{index: number, after: string|null, collection: Object}>} localOnly
+     * @returns {Array}
+     */
+    restoreLocalOnly(collections, localOnly) {
+        const ids = new Set(localOnly.map(({ collection }) => collection.id));
+        const result = collections.filter((collection) => !ids.has(collection.id));
+        localOnly.forEach(({ index, after, collection }) => {
+            const anchor = after === null ? 0 : result.findIndex((col) => col.id === after) + 1;
+            result.splice(anchor > 0 || after === null ? anchor : Math.min(index, result.length), 0, collection);
+        });
+        return result;
+    },
+
+    /**
+     * 合并两端的删除记录，同 ID 取较晚的删除时间
+     * @param {Object<string, number>} local
+     * @param {Object<string, number>} remote
+     * @returns {Object<string, number>}
+     */
+    mergeTombstones(local = {}, remote = {}) {
+        const merged = { ...local };
+        Object.entries(remote).forEach(([id, deletedAt]) => {
+            if (!(id in merged) || deletedAt > merged[id]) {
+                merged[id] = deletedAt;
+            }
+        });
+        return merged;
+    },
+
+    _merge3(base, local, remote) {
+        if (local === remote) return { value: local };
+        if (local === base) return { value: remote };
+        if (remote === base) return { value: local };
+        return { conflict: true };
+    },
+
+    _indexTabs(collections) {
+        const index = new Map();
+        collections.forEach((col) => {
+            (col.tabs || []).forEach((tab) => index.set(tab.id, { collectionId: col.id, tab }));
+        });
+        return index;
+    },
+
+    _sameTab(a, b) {
+        return this.TAB_FIELDS.every((field) => a[field] === b[field]);
+    },
+
+    _collectionFingerprint(col) {
+        return JSON.stringify({
+            name: col.name,
+            color: col.color,
+            tabs: (col.tabs || []).map((tab) => [tab.id, ...this.TAB_FIELDS.map((field) => tab[field])])
+        });
+    },
+
+    /**
+     * 两个列表中共有元素的相对顺序是否一致（忽略新增和删除）
+     * @param {Array<string>} a
+     * @param {Array<string>} b
+     * @returns {boolean}
+     */
+    _sameRelativeOrder(a, b) {
+        const inA = new Set(a);
+        const inB = new Set(b);
+        const commonA = a.filter((id) => inB.has(id));
+        const commonB = b.filter((id) => inA.has(id));
+        return commonA.join(',') === commonB.join(',');
+    },
+
+    /**
+     * 以 primary 的顺序为准，把只出现在 secondary 中的元素插到它在 secondary 中的前一个元素之后
+     * @param {Array<string>} primary
+     * @param {Array<string>} secondary
+     * @param {Set<string>} members 最终属于该集合的元素
+     * @returns {Array<string>}
+     */
+    _mergeOrder(primary, secondary, members) {
+        const result = primary.filter((id) => members.has(id));
+        const included = new Set(result);
+
+        secondary.forEach((id, i) => {
+            if (!members.has(id) || included.has(id)) return;
+            let insertAt = 0;
+            for (let j = i - 1; j >= 0; j--) {
+                const pos = result.indexOf(secondary[j]);
+                if (pos > -1) {
+                    insertAt = pos + 1;
+                    break;
+                }
+            }
+            result.splice(insertAt, 0, id);
+            included.add(id);
+        });
+
+        members.forEach((id) => {
+            if (!included.has(id)) result.push(id);
+        });
+        return result;
+    }
+};
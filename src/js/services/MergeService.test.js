@@ -0,0 +1,153 @@
+import { describe, expect, it } from 'vitest';
+import { MergeService } from './MergeService.js';
+
+const tab = (id, fields = {}) => ({ id, title: id, url: `https://example.com/${id}`, ...fields });
+const col = (id, tabs = [], fields = {}) => ({ id, name: id, color: 'white', tabs, ...fields });
+const ids = (collections) => collections.map((c) => `${c.id}:${c.tabs.map((t) => t.id).join(',')}`);
+
+describe('MergeService.reconcile', () => {
+    it('两端一致时不做修改', () => {
+        const data = { collections: [col('a', [tab('1')])], tombstones: {} };
+        const result = MergeService.reconcile(null, data, structuredClone(data));
+        expect(result.changedLocal).toBe(false);
+        expect(result.changedRemote).toBe(false);
+        expect(result.conflicts).toEqual([]);
+    });
+
+    it('只有本地变化时采用本地', () => {
+        const base = { collections: [col('a', [tab('1')])] };
+        const local = { collections: [col('a', [tab('1'), tab('2')])] };
+        const result = MergeService.reconcile(base, local, structuredClone(base));
+        expect(ids(result.collections)).toEqual(['a:1,2']);
+        expect(result.changedLocal).toBe(false);
+        expect(result.changedRemote).toBe(true);
+    });
+
+    it('只有远程变化时采用远程', () => {
+        const base = { collections: [col('a', [tab('1')])] };
+        const remote = { collections: [col('a', [tab('1')], { name: 'renamed' })] };
+        const result = MergeService.reconcile(base, structuredClone(base), remote);
+        expect(result.collections[0].name).toBe('renamed');
+        expect(result.changedLocal).toBe(true);
+        expect(result.changedRemote).toBe(false);
+    });
+
+    it('没有共同祖先时按删除记录双向合并，已删除的条目不会复活', () => {
+        const local = { collections: [col('a', [tab('1', { updatedAt: 10 })], { updatedAt: 10 })], tombstones: {} };
+        const remote = { collections: [col('b', [], { updatedAt: 20 })], tombstones: { a: 30 } };
+        const result = MergeService.reconcile(null, local, remote);
+        expect(ids(result.collections)).toEqual(['b:']);
+        expect(result.tombstones).toEqual({ a: 30 });
+    });
+});
+
+describe('MergeService.threeWayMerge', () => {
+    it('合并两端对不同部分的修改', () => {
+        const base = { collections: [col('a', [tab('1'), tab('2')]), col('b', [tab('3')])] };
+        const local = { collections: [col('a', [tab('1'), tab('2')], { name: 'A' }), col('b', [tab('3')])] };
+        const remote = { collections: [col('a', [tab('1'), tab('2')]), col('b', [tab('3'), tab('4')])] };
+        const result = MergeService.threeWayMerge(base, local, remote);
+        expect(result.conflicts).toEqual([]);
+        expect(result.collections.map((c) => c.name)).toEqual(['A', 'b']);
+        expect(ids(result.collections)).toEqual(['a:1,2', 'b:3,4']);
+    });
+
+    it('另一端删除、本端未修改的条目被删除', () => {
+        const base = { collections: [col('a', [tab('1'), tab('2')]), col('b')] };
+        const local = structuredClone(base);
+        const remote = { collections: [col('a', [tab('1')])] };
+        const result = MergeService.threeWayMerge(base, local, remote);
+        expect(ids(result.collections)).toEqual(['a:1']);
+    });
+
+    it('移动到其他集合的标签页只出现在新位置', () => {
+        const base = { collections: [col('a', [tab('1')]), col('b')] };
+        const local = { collections: [col('a'), col('b', [tab('1')])] };
+        const remote = { collections: [col('a', [tab('1', { title: 'new' })]), col('b')] };
+        const result = MergeService.threeWayMerge(base, local, remote);
+        expect(ids(result.collections)).toEqual(['a:', 'b:1']);
+        expect(result.collections[1].tabs[0].title).toBe('new');
+    });
+
+    it('两端修改同一字段时记为冲突，默认采用较新的一端', () => {
+        const base = { collections: [col('a', [tab('1')])] };
+        const local = { collections: [col('a', [tab('1', { title: 'local', updatedAt: 20 })])] };
+        const remote = { collections: [col('a', [tab('1', { title: 'remote', updatedAt: 10 })])] };
+        const result = MergeService.threeWayMerge(base, local, remote);
+        expect(result.conflicts).toHaveLength(1);
+        expect(result.conflicts[0]).toMatchObject({ type: 'tab', id: '1', fields: ['title'], resolution: 'local' });
+        expect(result.collections[0].tabs[0].title).toBe('local');
+    });
+
+    it('按用户的选择解决冲突，都保留时另存本地版本', () => {
+        const base = { collections: [col('a', [tab('1')])] };
+        const local = { collections: [col('a', [tab('1', { title: 'local', updatedAt: 20 })])] };
+        const remote = { collections: [col('a', [tab('1', { title: 'remote', updatedAt: 10 })])] };
+
+        const remoteWins = MergeService.threeWayMerge(base, local, remote, { 1: 'remote' });
+        expect(remoteWins.collections[0].tabs.map((t) => t.title)).toEqual(['remote']);
+
+        const both = MergeService.threeWayMerge(base, local, remote, { 1: 'both' });
+        expect(both.collections[0].tabs.map((t) => t.title)).toEqual(['remote', 'local']);
+        expect(both.collections[0].tabs[1].id).not.toBe('1');
+    });
+
+    it('删除与修改冲突时按删除记录和修改时间决定', () => {
+        const base = { collections: [col('a', [tab('1')])] };
+        const local = { collections: [col('a', [tab('1', { title: 'edited', updatedAt: 50 })])], tombstones: {} };
+        const remote = { collections: [col('a')], tombstones: { 1: 40 } };
+
+        const kept = MergeService.threeWayMerge(base, local, remote);
+        expect(kept.conflicts[0]).toMatchObject({ id: '1', fields: ['deleted'], resolution: 'local' });
+        expect(ids(kept.collections)).toEqual(['a:1']);
+        expect(kept.tombstones).not.toHaveProperty('1');
+
+        const deleted = MergeService.threeWayMerge(base, local, remote, { 1: 'remote' });
+        expect(ids(deleted.collections)).toEqual(['a:']);
+        expect(deleted.tombstones[1]).toBeGreaterThan(50);
+    });
+
+    it('只有一端调整标签顺序时采用该端，并保留另一端新增的标签页', () => {
+        const base = { collections: [col('a', [tab('1'), tab('2'), tab('3')])] };
+        const local = { collections: [col('a', [tab('3'), tab('1'), tab('2')])] };
+        const remote = { collections: [col('a', [tab('1'), tab('2'), tab('4'), tab('3')])] };
+        const result = MergeService.threeWayMerge(base, local, remote);
+        expect(ids(result.collections)).toEqual(['a:3,1,2,4']);
+    });
+});
+
+describe('MergeService.mergeCollections', () => {
+    it('同 ID 的集合取较新的一端，删除时间不早于修改时间的条目视为已删除', () => {
+        const local = [
+            col('a', [tab('1', { updatedAt: 5 }), tab('2', { updatedAt: 5 })], { name: 'old', updatedAt: 1 })
+        ];
+        const remote = [col('a', [tab('1', { updatedAt: 5 })], { name: 'new', updatedAt: 2 })];
+        const merged = MergeService.mergeCollections(local, remote, { 2: 5 });
+        expect(merged).toHaveLength(1);
+        expect(merged[0].name).toBe('new');
+        expect(merged[0].tabs.map((t) => t.id)).toEqual(['1']);
+    });
+
+    it('删除后又修改的条目保留', () => {
+        const merged = MergeService.mergeCollections([col('a', [], { updatedAt: 10 })], [], { a: 5 });
+        expect(merged.map((c) => c.id)).toEqual(['a']);
+    });
+});
+
+describe('MergeService.mergeTombstones', () => {
+    it('同 ID 取较晚的删除时间', () => {
+        expect(MergeService.mergeTombstones({ a: 1, b: 5 }, { b: 3, c: 2 })).toEqual({ a: 1, b: 5, c: 2 });
+    });
+});
+
+describe('MergeService.splitLocalOnly / restoreLocalOnly', () => {
+    it('仅本地的集合不参与合并，合并后放回原来的位置', () => {
+        const collections = [col('a'), col('x', [], { localOnly: true }), col('b')];
+        const { synced, localOnly } = MergeService.splitLocalOnly(collections);
+        expect(synced.map((c) => c.id)).toEqual(['a', 'b']);
+
+        const restored = MergeService.restoreLocalOnly([col('a'), col('c'), col('b'), col('x')], localOnly);
+        expect(restored.map((c) => c.id)).toEqual(['a', 'x', 'c', 'b']);
+        expect(restored[1].localOnly).toBe(true);
+    });
+});
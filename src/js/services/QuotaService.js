@@ -0,0 +1,98 @@
+/**
+ * 本地存储空间：chrome.storage.local（回收站、快照、设置等）最多 QUOTA_BYTES，授予 unlimitedStorage 权限后不受限制；
+ * IndexedDB（集合数据）的上限由浏览器按磁盘空间决定，用量通过 navigator.storage.estimate() 读取
+ */
+export const QuotaService = {
+    WARNING_RATIO: 0.8,
+    CRITICAL_RATIO: 0.95,
+    // 上次提醒时的级别，级别升高时才再次提醒
+    WARNED_KEY: 'storageQuotaWarned',
+    LEVELS: ['ok', 'warning', 'critical'],
+    // 空间已满时 WARNED_KEY 可能写不进去，本页面同时记在内存中
+    _warned: null,
+
+    async hasUnlimitedStorage() {
+        try {
+            return await chrome.permissions.contains({ permissions: ['unlimitedStorage'] });
+        } catch {
+            return false;
+        }
+    },
+
+    /**
+     * 请求 unlimitedStorage 权限，需要在用户操作（点击）中调用
+     * @returns {Promise<boolean>} 是否已授予
+     */
+    async requestUnlimitedStorage() {
+        return chrome.permissions.request({ permissions: ['unlimitedStorage'] });
+    },
+
+    /**
+     * 取消 unlimitedStorage 权限，之后 chrome.storage.local 重新受 QUOTA_BYTES 限制
+     */
+    async removeUnlimitedStorage() {
+        await chrome.permissions.remove({ permissions: ['unlimitedStorage'] });
+    },
+
+    /**
+     * @returns {Promise<{unlimited: boolean, local: {used: number, quota: number|null}, database: {used: number, quota: number}|null,
+     *   ratio: number, level: 'ok'|'warning'|'critical'}>} quota 为 null 表示不受限制；ratio 为两者中较高的使用比例
+     */
+    async getUsage() {
+        const unlimited = await this.hasUnlimitedStorage();
+        const local = {
+            used: await chrome.storage.local.getBytesInUse(null),
+            quota: unlimited ? null : chrome.storage.local.QUOTA_BYTES
+        };
+
+        let database = null;
+        if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+            const { usage, quota } = await navigator.storage.estimate();
+            database = { used: usage || 0, quota: quota || 0 };
+        }
+
+        const ratio = Math.max(
+            local.quota ? local.used / local.quota : 0,
+            database?.quota ? database.used / database.quota : 0
+        );
+        const level = ratio >= this.CRITICAL_RATIO ? 'critical' : ratio >= this.WARNING_RATIO ? 'warning' : 'ok';
+        return { unlimited, local, database, ratio, level };
+    },
+
+    /**
+     * 使用量升到新的警告级别时返回用量，同一级别只提醒一次；回落后重新计算
+     * @returns {Promise<Object|null>} 见 getUsage
+     */
+    async checkWarning() {
+        const usage = await this.getUsage();
+        const result = await chrome.storage.local.get(this.WARNED_KEY);
+        const warned = this._warned || result[this.WARNED_KEY] || 'ok';
+        if (usage.level === warned) return null;
+
+        this._warned = usage.level;
+        await chrome.storage.local.set({ [this.WARNED_KEY]: usage.level }).catch(() => {});
+        return this.LEVELS.indexOf(usage.level) > this.LEVELS.indexOf(warned) ? usage : null;
+    },
+
+    /**
+     * chrome.storage 超出 QUOTA_BYTES，或 IndexedDB 的 QuotaExceededError
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    isQuotaError(error) {
+        return !!error && (error.name === 'QuotaExceededError' || /QUOTA_BYTES|quota/i.test(error.message || ''));
+    },
+
+    /**
+     * 把存储空间不足的错误换成可以直接展示给用户的错误，error.quotaExceeded 为 true；其他错误原样返回
+     * @param {Error} error
+     * @returns {Error}
+     */
+    wrapError(error) {
+        if (!this.isQuotaError(error)) return error;
+        const wrapped = new Error('本地存储空间已满，修改未能保存。请清理回收站和快照，或在设置中不限制扩展存储后重试');
+        wrapped.quotaExceeded = true;
+        wrapped.cause = error;
+        return wrapped;
+    }
+};
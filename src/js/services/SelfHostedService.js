@@ -0,0 +1,435 @@
+import { MipaUtils } from '../utils.js';
+import { GistService } from './GistService.js';
+import { CredentialService } from './CredentialService.js';
+
+const FILE_NAME = GistService.FILE_NAME;
+const DEFAULT_REPO_NAME = 'mipa-tab-data';
+
+const baseUrl = (config) => config.url.replace(/\/+$/, '');
+
+/**
+ * GitHub Enterprise：与 GitHub 相同的 Gist 接口，API 地址为 <服务器>/api/v3
+ */
+const GitHubEnterprise = {
+    label: 'GitHub Enterprise',
+
+    gistConfig(config) {
+        return { token: config.token, gistId: config.gistId || null, apiBase: config.apiBase };
+    },
+
+    async prepare(config) {
+        const gistConfig = this.gistConfig(config);
+        await GistService.test(gistConfig);
+        config.gistId = gistConfig.gistId;
+    },
+
+    async listExisting(config) {
+        return GistService.listExisting(this.gistConfig(config));
+    },
+
+    async read(config) {
+        const gistConfig = this.gistConfig(config);
+        const content = await GistService.read(gistConfig);
+        config.gistId = gistConfig.gistId;
+        return content;
+    },
+
+    async create(config, content) {
+        const gistConfig = this.gistConfig(config);
+        await GistService.create(gistConfig, content);
+        config.gistId = gistConfig.gistId;
+    },
+
+    async write(config, content) {
+        await GistService.write(this.gistConfig(config), content);
+    },
+
+    async relink(config, target) {
+        const gistConfig = this.gistConfig(config);
+        await GistService.relink(gistConfig, target);
+        config.gistId = gistConfig.gistId;
+    },
+
+    async listRevisions(config, page, perPage) {
+        return GistService.listRevisions(this.gistConfig(config), page, perPage);
+    },
+
+    async readRevision(config, version) {
+        return GistService.readRevision(this.gistConfig(config), version);
+    }
+};
+
+/**
+ * GitLab：保存到私有代码片段（snippet），使用 PRIVATE-TOKEN 认证头
+ */
+const GitLab = {
+    label: 'GitLab',
+
+    api(config, path, options = {}) {
+        return fetch(`${baseUrl(config)}/api/v4${path}`, {
+            ...options,
+            headers: { 'PRIVATE-TOKEN': config.token, 'Content-Type': 'application/json' }
+        });
+    },
+
+    async prepare(config) {
+        const response = await this.api(config, '/user');
+        if (response.status === 401 || response.status === 403) {
+            throw new Error('GitLab 令牌无效，或缺少 api 权限');
+        }
+        if (!response.ok) {
+            throw new Error(`无法连接 GitLab：${response.status} ${response.statusText}`);
+        }
+    },
+
+    async read(config) {
+        if (!config.snippetId) return null;
+
+        const response = await this.api(config, `/snippets/${config.snippetId}/raw`);
+        if (response.status === 404) {
+            console.warn('GitLab snippet not found. A new one will be created.');
+            config.snippetId = null;
+            return null;
+        }
+        if (!response.ok) {
+            throw MipaUtils.createHttpError('Failed to fetch GitLab snippet', response);
+        }
+        return response.text();
+    },
+
+    async create(config, content) {
+        const response = await this.api(config, '/snippets', {
+            method: 'POST',
+            body: JSON.stringify({
+                title: GistService.DESCRIPTION,
+                visibility: 'private',
+                files: [{ file_path: FILE_NAME, content }]
+            })
+        });
+        if (!response.ok) {
+            throw MipaUtils.createHttpError('Failed to create GitLab snippet', response);
+        }
+
+        const snippet = await response.json();
+        config.snippetId = snippet.id;
+    },
+
+    async write(config, content) {
+        const response = await this.api(config, `/snippets/${config.snippetId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ files: [{ action: 'update', file_path: FILE_NAME, content }] })
+        });
+        if (!response.ok) {
+            throw MipaUtils.createHttpError('Failed to update GitLab snippet', response);
+        }
+    },
+
+    async relink(config, target) {
+        if (!target.trim()) {
+            config.snippetId = null;
+            return;
+        }
+
+        const snippetId = Number(target.trim().match(/(\d+)\/?$/)?.[1]);
+        if (!snippetId) {
+            throw new Error('请输入代码片段 ID 或网址');
+        }
+        const response = await this.api(config, `/snippets/${snippetId}`);
+        if (response.status === 404) {
+            throw new Error('找不到该代码片段，或令牌无权访问');
+        }
+        if (!response.ok) {
+            throw MipaUtils.createHttpError('Failed to fetch GitLab snippet', response);
+        }
+        config.snippetId = snippetId;
+    },
+
+    async listRevisions() {
+        throw new Error('GitLab 代码片段没有提供历史版本接口');
+    },
+
+    async readRevision() {
+        throw new Error('GitLab 代码片段没有提供历史版本接口');
+    }
+};
+
+/**
+ * Gitea：没有代码片段功能，保存到仓库中的文件（默认自动创建私有仓库 <用户名>/mipa-tab-data），
+ * 仓库中该文件的提交记录即历史版本
+ */
+const Gitea = {
+    label: 'Gitea',
+
+    api(config, path, options = {}) {
+        return fetch(`${baseUrl(config)}/api/v1${path}`, {
+            ...options,
+            headers: { Authorization: `token ${config.token}`, 'Content-Type': 'application/json' }
+        });
+    },
+
+    filePath(config) {
+        return `/repos/${config.repo}/contents/${FILE_NAME}`;
+    },
+
+    async prepare(config) {
+        const userResponse = await this.api(config, '/user');
+        if (userResponse.status === 401 || userResponse.status === 403) {
+            throw new Error('Gitea 令牌无效，或缺少仓库读写权限');
+        }
+        if (!userResponse.ok) {
+            throw new Error(`无法连接 Gitea：${userResponse.status} ${userResponse.statusText}`);
+        }
+
+        const { login } = await userResponse.json();
+        config.repo = config.repo || `${login}/${DEFAULT_REPO_NAME}`;
+        const [owner, name] = config.repo.split('/');
+
+        const repoResponse = await this.api(config, `/repos/${config.repo}`);
+        if (repoResponse.ok) return;
+        if (repoResponse.status !== 404 || owner !== login) {
+            throw new Error(`无法访问仓库 ${config.repo}`);
+        }
+
+        const created = await this.api(config, '/user/repos', {
+            method: 'POST',
+            body: JSON.stringify({ name, private: true, description: GistService.DESCRIPTION })
+        });
+        if (!created.ok) {
+            throw new Error(`无法创建仓库 ${config.repo}：${created.status} ${created.statusText}`);
+        }
+    },
+
+    async read(config) {
+        const response = await this.api(config, this.filePath(config));
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw MipaUtils.createHttpError('Failed to fetch Gitea file', response);
+        }
+
+        const file = await response.json();
+        config.fileSha = file.sha;
+        return MipaUtils.decodeBase64(file.content || '');
+    },
+
+    async create(config, content) {
+        const response = await this.api(config, this.filePath(config), {
+            method: 'POST',
+            body: JSON.stringify({ content: MipaUtils.encodeBase64(content), message: 'Create Mipa data' })
+        });
+        if (!response.ok) {
+            throw MipaUtils.createHttpError('Failed to create Gitea file', response);
+        }
+        config.fileSha = (await response.json()).content?.sha;
+    },
+
+    async write(config, content) {
+        const response = await this.api(config, this.filePath(config), {
+            method: 'PUT',
+            body: JSON.stringify({
+                content: MipaUtils.encodeBase64(content),
+                sha: config.fileSha,
+                message: 'Update Mipa data'
+            })
+        });
+        if (!response.ok) {
+            throw MipaUtils.createHttpError('Failed to update Gitea file', response);
+        }
+        config.fileSha = (await response.json()).content?.sha;
+    },
+
+    async relink(config, target) {
+        const repo = target
+            .trim()
+            .replace(/\.git$/, '')
+            .replace(/\/+$/, '');
+        config.repo = repo ? repo.split('/').slice(-2).join('/') : null;
+        config.fileSha = null;
+        await this.prepare(config);
+    },
+
+    async listRevisions(config, page, perPage) {
+        const response = await this.api(
+            config,
+            `/repos/${config.repo}/commits?path=${FILE_NAME}&page=${page}&limit=${perPage}`
+        );
+        if (!response.ok) {
+            throw MipaUtils.createHttpError('Failed to fetch Gitea history', response);
+        }
+
+        const commits = await response.json();
+        return commits.map((commit) => ({
+            version: commit.sha,
+            committedAt: commit.commit?.committer?.date || commit.created
+        }));
+    },
+
+    async readRevision(config, version) {
+        const response = await this.api(config, `${this.filePath(config)}?ref=${version}`);
+        if (!response.ok) {
+            throw MipaUtils.createHttpError('Failed to fetch Gitea revision', response);
+        }
+        const file = await response.json();
+        return MipaUtils.decodeBase64(file.content || '');
+    }
+};
+
+/**
+ * 自托管 Git 服务同步后端：根据服务器地址自动识别 GitHub Enterprise、GitLab 或 Gitea，
+ * 各服务器的认证头格式和接口差异由对应的适配器处理
+ */
+export const SelfHostedService = {
+    id: 'selfhosted',
+    label: '自托管 Git 服务',
+    CONFIG_KEY: 'selfHostedConfig',
+    SERVERS: {
+        github: GitHubEnterprise,
+        gitlab: GitLab,
+        gitea: Gitea
+    },
+
+    /**
+     * 令牌保存在 CredentialService 中，凭据已加密且尚未解锁时抛出 error.credentialsLocked 为 true 的错误
+     * @returns {Promise<{url: string, token: string, repo?: string, serverType: string, serverVersion?: string}|null>}
+     */
+    async loadConfig() {
+        const result = await chrome.storage.local.get(this.CONFIG_KEY);
+        if (!result[this.CONFIG_KEY]) return null;
+
+        const { token, ...config } = result[this.CONFIG_KEY];
+        // 旧版本和连接配置一起明文保存的令牌移入凭据存储
+        if (token !== undefined) {
+            await CredentialService.set(this.id, token);
+            await chrome.storage.local.set({ [this.CONFIG_KEY]: config });
+        }
+        return { ...config, token: (await CredentialService.get(this.id)) || '' };
+    },
+
+    async saveConfig(config) {
+        const { token, ...rest } = config;
+        await CredentialService.set(this.id, token || '');
+        await chrome.storage.local.set({ [this.CONFIG_KEY]: rest });
+    },
+
+    async clearConfig() {
+        await CredentialService.remove(this.id);
+        await chrome.storage.local.remove(this.CONFIG_KEY);
+    },
+
+    getOrigins(config) {
+        return [`${new URL(config.url).origin}/*`];
+    },
+
+    /**
+     * 识别服务器类型：依次探测 Gitea（/api/v1/version）、GitLab（/api/v4/version）和 GitHub Enterprise（/api/v3/meta）
+     * @param {{url: string, token: string}} config
+     * @returns {Promise<{type: string, version: string|null, apiBase?: string}>}
+     */
+    async detect(config) {
+        const base = baseUrl(config);
+        const { hostname } = new URL(base);
+        if (hostname === 'github.com' || hostname === 'api.github.com') {
+            return { type: 'github', version: null, apiBase: GistService.API_BASE };
+        }
+
+        const probe = async (path, headers = {}) => {
+            try {
+                const response = await fetch(`${base}${path}`, { headers });
+                const data = response.ok ? await response.json().catch(() => null) : null;
+                return { status: response.status, data };
+            } catch {
+                return { status: 0, data: null };
+            }
+        };
+
+        const gitea = await probe('/api/v1/version');
+        if (gitea.data?.version) {
+            return { type: 'gitea', version: gitea.data.version };
+        }
+
+        const gitlab = await probe('/api/v4/version', { 'PRIVATE-TOKEN': config.token });
+        if (gitlab.data?.version) {
+            return { type: 'gitlab', version: gitlab.data.version };
+        }
+        if (gitlab.status === 401) {
+            throw new Error('检测到 GitLab，但令牌无效');
+        }
+
+        const github = await probe('/api/v3/meta', { Authorization: `token ${config.token}` });
+        if (github.data) {
+            return { type: 'github', version: github.data.installed_version || null, apiBase: `${base}/api/v3` };
+        }
+
+        if ([gitea, gitlab, github].every((result) => result.status === 0)) {
+            throw new Error(`无法连接服务器 ${base}`);
+        }
+        throw new Error('无法识别服务器类型，目前支持 GitHub Enterprise、GitLab 和 Gitea');
+    },
+
+    /**
+     * 识别服务器类型并检查令牌，识别结果写入 config
+     * @param {Object} config
+     * @returns {Promise<string>} 服务器说明，如 "GitLab 16.3.0"
+     */
+    async test(config) {
+        if (!/^https?:\/\//.test(config.url || '')) {
+            throw new Error('请输入以 http:// 或 https:// 开头的服务器地址');
+        }
+
+        const { type, version, apiBase } = await this.detect(config);
+        config.serverType = type;
+        config.serverVersion = version;
+        if (apiBase) config.apiBase = apiBase;
+
+        const server = this.SERVERS[type];
+        await server.prepare(config);
+        return version ? `${server.label} ${version}` : server.label;
+    },
+
+    /**
+     * 列出已有的同步数据供连接时选择，目前只有 GitHub Enterprise 支持
+     * @param {{url: string, token: string}} config
+     * @returns {Promise<Array<{id: string, description: string, updatedAt: string, url: string}>>}
+     */
+    async listExisting(config) {
+        const { type, apiBase } = await this.detect(config);
+        const server = this.SERVERS[type];
+        return server.listExisting ? server.listExisting({ ...config, apiBase }) : [];
+    },
+
+    _server(config) {
+        const server = this.SERVERS[config.serverType];
+        if (!server) {
+            throw new Error('服务器类型未知，请重新连接');
+        }
+        return server;
+    },
+
+    async read(config) {
+        return this._server(config).read(config);
+    },
+
+    async create(config, content) {
+        await this._server(config).create(config, content);
+    },
+
+    async write(config, content) {
+        await this._server(config).write(config, content);
+    },
+
+    /**
+     * 改为同步到另一个代码片段 / Gist / 仓库，target 为空时下次同步使用新建的默认位置
+     * @param {Object} config
+     * @param {string} target ID、网址或仓库名（owner/name）
+     */
+    async relink(config, target) {
+        await this._server(config).relink(config, target);
+    },
+
+    async listRevisions(config, page, perPage) {
+        return this._server(config).listRevisions(config, page, perPage);
+    },
+
+    async readRevision(config, version) {
+        return this._server(config).readRevision(config, version);
+    }
+};
@@ -0,0 +1,221 @@
+import { MipaUtils } from '../utils.js';
+import { GistService } from './GistService.js';
+
+/**
+ * 分享与订阅：把单个集合发布为公开 Gist（其中的 mipa-collection.json），或订阅别人分享的 Gist。
+ * 订阅的集合是只读的，单独保存在 mipaSubscriptions 中，不会合并进自己的同步数据（mipa-data.json）
+ */
+export const ShareService = {
+    FILE_NAME: 'mipa-collection.json',
+    FORMAT_VERSION: 1,
+    // 本设备分享过的集合：集合 ID -> {gistId, url, sharedAt}
+    SHARES_KEY: 'mipaShares',
+    SUBSCRIPTIONS_KEY: 'mipaSubscriptions',
+    // 打开管理页面时，超过这个时间没有刷新的订阅会重新读取
+    REFRESH_INTERVAL: 60 * 60 * 1000,
+
+    async _requireGitHub() {
+        const config = await GistService.loadConfig();
+        if (!config) {
+            throw new Error('分享集合需要先连接 GitHub Gist 同步');
+        }
+        return config;
+    },
+
+    /**
+     * 分享文件的内容：只包含集合名称、颜色和标签页，不含 ID 和修改时间
+     * @param {Object} collection
+     * @returns {string}
+     */
+    buildContent(collection) {
+        return MipaUtils.deterministicStringify({
+            mipaShare: this.FORMAT_VERSION,
+            name: collection.name,
+            color: collection.color,
+            tabs: collection.tabs.map((tab) => ({
+                title: tab.title,
+                url: tab.url,
+                ...(tab.description ? { description: tab.description } : {})
+            }))
+        });
+    },
+
+    /**
+     * @param {string|null} content
+     * @returns {{name: string, color: string, tabs: Array<{title: string, url: string, description?: string}>}}
+     */
+    parseContent(content) {
+        let data = null;
+        try {
+            data = JSON.parse(content);
+        } catch {
+            // 下面统一报错
+        }
+        if (!data || !data.mipaShare || !Array.isArray(data.tabs)) {
+            throw new Error('该 Gist 不是 Mipa 分享的集合');
+        }
+        return {
+            name: data.name || 'Untitled',
+            color: data.color || 'white',
+            tabs: data.tabs.filter((tab) => tab && tab.url)
+        };
+    },
+
+    /**
+     * @returns {Promise<Object<string, {gistId: string, url: string, sharedAt: number}>>}
+     */
+    async getShares() {
+        const result = await chrome.storage.local.get(this.SHARES_KEY);
+        return result[this.SHARES_KEY] || {};
+    },
+
+    async getShare(collectionId) {
+        return (await this.getShares())[collectionId] || null;
+    },
+
+    /**
+     * 发布或更新集合的公开分享，已分享过的集合更新原来的 Gist，链接不变
+     * @param {Object} collection
+     * @returns {Promise<{gistId: string, url: string, sharedAt: number}>}
+     */
+    async share(collection) {
+        if (collection.localOnly) {
+            throw new Error('仅本地的集合不能分享');
+        }
+        const config = await this._requireGitHub();
+        const shares = await this.getShares();
+        const files = { [this.FILE_NAME]: this.buildContent(collection) };
+
+        let gist = null;
+        const existing = shares[collection.id];
+        if (existing) {
+            gist = await GistService.updateGist(config, existing.gistId, files).catch((error) => {
+                // 分享的 Gist 已在 GitHub 上被删除时重新发布
+                if (error.status === 404) return null;
+                throw error;
+            });
+        }
+        if (!gist) {
+            gist = await GistService.createGist(config, {
+                description: `Mipa 分享的集合：${collection.name}`,
+                isPublic: true,
+                files
+            });
+        }
+
+        const share = { gistId: gist.id, url: gist.html_url, sharedAt: Date.now() };
+        await chrome.storage.local.set({ [this.SHARES_KEY]: { ...shares, [collection.id]: share } });
+        return share;
+    },
+
+    /**
+     * 停止分享：删除分享的 Gist
+     * @param {string} collectionId
+     */
+    async unshare(collectionId) {
+        const shares = await this.getShares();
+        const share = shares[collectionId];
+        if (!share) return;
+
+        await GistService.deleteGist(await this._requireGitHub(), share.gistId);
+        delete shares[collectionId];
+        await chrome.storage.local.set({ [this.SHARES_KEY]: shares });
+    },
+
+    /**
+     * @returns {Promise<Array<{gistId: string, url: string, owner: string, name: string, color: string, tabs: Array,
+     *   updatedAt: string, fetchedAt: number, error: string|null}>>}
+     */
+    async getSubscriptions() {
+        const result = await chrome.storage.local.get(this.SUBSCRIPTIONS_KEY);
+        return result[this.SUBSCRIPTIONS_KEY] || [];
+    },
+
+    async _saveSubscriptions(subscriptions) {
+        await chrome.storage.local.set({ [this.SUBSCRIPTIONS_KEY]: subscriptions });
+    },
+
+    /**
+     * 读取分享的 Gist，生成订阅记录；标签页 ID 由 Gist ID 和序号组成，只用于页面显示
+     * @param {string} gistId
+     * @returns {Promise<Object>}
+     */
+    async _fetchSubscription(gistId) {
+        let gist;
+        try {
+            // 公开 Gist 不需要令牌，凭据尚未解锁时也可以读取
+            const config = await GistService.loadConfig().catch(() => null);
+            gist = await GistService.fetchGist(gistId, config);
+        } catch (error) {
+            if (error.status === 404) {
+                throw new Error('找不到该分享，可能已被删除');
+            }
+            throw error;
+        }
+
+        const data = this.parseContent(await GistService.readFile(gist, this.FILE_NAME));
+        return {
+            gistId,
+            url: gist.html_url,
+            owner: gist.owner?.login || '',
+            name: data.name,
+            color: data.color,
+            tabs: data.tabs.map((tab, index) => ({ ...tab, id: `${gistId}:${index}` })),
+            updatedAt: gist.updated_at,
+            fetchedAt: Date.now(),
+            error: null
+        };
+    },
+
+    /**
+     * 订阅分享的集合
+     * @param {string} input 分享链接或 Gist ID
+     * @returns {Promise<Object>} 订阅记录
+     */
+    async subscribe(input) {
+        const gistId = GistService.parseGistId(input);
+        if (!gistId) {
+            throw new Error('请输入有效的分享链接或 Gist ID');
+        }
+        const subscriptions = await this.getSubscriptions();
+        if (subscriptions.some((sub) => sub.gistId === gistId)) {
+            throw new Error('已经订阅了该集合');
+        }
+
+        const subscription = await this._fetchSubscription(gistId);
+        await this._saveSubscriptions([...subscriptions, subscription]);
+        return subscription;
+    },
+
+    async unsubscribe(gistId) {
+        const subscriptions = await this.getSubscriptions();
+        await this._saveSubscriptions(subscriptions.filter((sub) => sub.gistId !== gistId));
+    },
+
+    /**
+     * 重新读取订阅；读取失败时保留上次的内容并记录错误
+     * @param {{force?: boolean, gistId?: string}} [options] force：忽略刷新间隔；gistId：只刷新这一个
+     * @returns {Promise<boolean>} 是否有订阅被刷新
+     */
+    async refresh({ force = false, gistId = null } = {}) {
+        const subscriptions = await this.getSubscriptions();
+        const due = subscriptions.filter(
+            (sub) => (!gistId || sub.gistId === gistId) && (force || Date.now() - sub.fetchedAt > this.REFRESH_INTERVAL)
+        );
+        if (due.length === 0) return false;
+
+        const refreshed = new Map();
+        for (const sub of due) {
+            try {
+                refreshed.set(sub.gistId, await this._fetchSubscription(sub.gistId));
+            } catch (error) {
+                refreshed.set(sub.gistId, { ...sub, fetchedAt: Date.now(), error: error.message });
+            }
+        }
+
+        // 刷新期间可能有订阅被取消，以最新的列表为准
+        const latest = await this.getSubscriptions();
+        await this._saveSubscriptions(latest.map((sub) => refreshed.get(sub.gistId) || sub));
+        return true;
+    }
+};
@@ -1,31 +1,161 @@
 import { MipaUtils } from '../utils.js';
+import { ChromeStorageAdapter } from './ChromeStorageAdapter.js';
+import { IndexedDBAdapter } from './IndexedDBAdapter.js';
+import { QuotaService } from './QuotaService.js';
 
+/**
+ * 本地数据：集合数据文档通过存储适配器（adapter）读写，弹出窗口、管理页面和后台 service worker 使用同一个适配器。
+ * 有 IndexedDB 时使用 IndexedDBAdapter，否则使用 ChromeStorageAdapter（chrome.storage.local 中的 mipaData）。
+ * 每个适配器需要实现：
+ * - id：标识
+ * - read()：读取整个文档 {schemaVersion, version, collections, tombstones, ...}，还没有数据时返回 null
+ * - readMeta()：读取文档中除 collections 以外的字段，还没有数据时返回 null
+ * - write(doc, check)：保存整个文档；check(当前的 readMeta() 结果) 返回 false 时不写入并返回 false，
+ *   检查和写入之间不能有其他写入
+ * - listSnapshots()：所有快照的说明（不含 data），getSnapshot(id)：完整的快照，没有时返回 null，
+ *   saveSnapshot(snapshot, removeIds)：保存一个快照并删除 removeIds 中的快照，clearSnapshots()：删除所有快照
+ * - readRemoteCache(key)、writeRemoteCache(key, value)、removeRemoteCache(key)：同步后端缓存的远程数据
+ *   （如 Gist 的 ETag 和内容），没有时返回 null
+ * 回收站和设置仍然保存在 chrome.storage.local。存储空间不足导致保存失败时抛出 error.quotaExceeded 为 true 的错误（见 QuotaService）
+ */
 export const StorageService = {
     DATA_KEY: 'mipaData',
+    // 每次保存后更新 {version, savedAt}：IndexedDB 的写入不会触发 chrome.storage.onChanged，其他页面通过它得知数据已变化
+    CHANGE_KEY: 'mipaDataChanged',
+    TRASH_KEY: 'mipaTrash',
+    TRASH_RETENTION_KEY: 'trashRetentionDays',
+    DEFAULT_TRASH_RETENTION_DAYS: 30,
+    TOMBSTONE_TTL_DAYS: 90,
+    // 没有 IndexedDB 时快照所在的存储键（见 ChromeStorageAdapter）
+    SNAPSHOT_KEY: ChromeStorageAdapter.SNAPSHOT_KEY,
+    SNAPSHOT_INTERVALS: { hourly: 60 * 60 * 1000, daily: 24 * 60 * 60 * 1000 },
+    SNAPSHOT_LIMITS: { hourly: 12, daily: 7, manual: 5 },
     lastKnownVersion: 0,
+    adapter: null,
 
     /**
-     * 加载数据，自动迁移旧格式
-     * @returns {Promise<{version: number, collections: Array}>}
+     * 数据格式版本（文档中的 schemaVersion）：1 为 collections 数组和 collectionsVersion 两个存储键，
+     * 2 为 mipaData 文档 {schemaVersion, version, collections, tombstones}（加入 schemaVersion 之前的 mipaData 也是第 2 版）。
+     * 修改数据格式时增加 SCHEMA_VERSION，并在 MIGRATIONS 末尾添加从上一版本升级的函数
+     */
+    SCHEMA_VERSION: 2,
+    // 第 i 项把 schemaVersion 为 i + 1 的文档升级到 i + 2，文档中不认识的字段需要原样保留
+    MIGRATIONS: [(doc) => StorageService._migrateFromV1(doc)],
+    DOCUMENT_FIELDS: ['schemaVersion', 'version', 'collections', 'tombstones', 'trash'],
+
+    /**
+     * 把文档依次升级到当前的数据格式；文档来自更新版本的扩展时抛出 error.schemaTooNew 为 true 的错误
+     * @param {Object} doc
+     * @returns {Object} 已是当前格式时返回原文档
+     */
+    migrateDocument(doc) {
+        const from = doc.schemaVersion || 2;
+        if (from > this.SCHEMA_VERSION) {
+            const error = new Error(`数据来自更新版本的 Mipa（数据格式第 ${from} 版），请先升级扩展`);
+            error.schemaTooNew = true;
+            throw error;
+        }
+
+        let migrated = doc;
+        for (let version = from; version < this.SCHEMA_VERSION; version++) {
+            migrated = { ...this.MIGRATIONS[version - 1](migrated), schemaVersion: version + 1 };
+        }
+        return migrated.schemaVersion === this.SCHEMA_VERSION
+            ? migrated
+            : { ...migrated, schemaVersion: this.SCHEMA_VERSION };
+    },
+
+    /**
+     * 文档中本版本不认识的顶层字段（更新版本的扩展写入的），保存和同步时原样带上
+     * @param {Object|null} doc
+     * @returns {Object}
+     */
+    extraFields(doc) {
+        return Object.fromEntries(Object.entries(doc || {}).filter(([key]) => !this.DOCUMENT_FIELDS.includes(key)));
+    },
+
+    /**
+     * @returns {Object} 当前环境使用的存储适配器
+     */
+    getAdapter() {
+        if (!this.adapter) {
+            this.adapter = typeof indexedDB !== 'undefined' ? IndexedDBAdapter : ChromeStorageAdapter;
+        }
+        return this.adapter;
+    },
+
+    /**
+     * 适配器中还没有数据时读取旧的存储：mipaData 文档（使用 IndexedDB 之前），或第 1 版的 collections 和 collectionsVersion
+     * @returns {Promise<Object>}
+     */
+    async _loadLegacy() {
+        const result = await chrome.storage.local.get([this.DATA_KEY, 'collections', 'collectionsVersion']);
+        return (
+            result[this.DATA_KEY] || {
+                schemaVersion: 1,
+                version: result.collectionsVersion || 0,
+                collections: result.collections || []
+            }
+        );
+    },
+
+    /**
+     * 加载数据，按 MIGRATIONS 自动升级旧格式；第一次使用 IndexedDB 时把 chrome.storage.local 中的数据迁移过去
+     * @returns {Promise<{schemaVersion: number, version: number, collections: Array, tombstones?: Object<string, number>}>}
      */
     async loadData() {
         try {
-            const result = await chrome.storage.local.get([this.DATA_KEY, 'collections', 'collectionsVersion']);
+            const adapter = this.getAdapter();
+            let stored = await adapter.read();
+            const imported = !stored;
+            if (imported) {
+                stored = await this._loadLegacy();
+            }
 
-            if (result[this.DATA_KEY]) {
-                const data = result[this.DATA_KEY];
-                this.lastKnownVersion = data.version || 0;
-                return data;
+            let data = stored;
+            try {
+                data = this.migrateDocument(stored);
+            } catch (error) {
+                // 更新版本的扩展保存的数据（如降级后）原样使用，保存时保留其中的字段
+                if (!error.schemaTooNew) throw error;
+                console.warn(error.message);
+            }
+            if (imported) {
+                // 多个页面同时迁移时只有第一个写入，其余的使用已迁移的数据
+                if (!(await this._saveRaw(data, (meta) => meta === null))) {
+                    return this.loadData();
+                }
+                if (adapter !== ChromeStorageAdapter) {
+                    await chrome.storage.local.remove([this.DATA_KEY, 'collections', 'collectionsVersion']);
+                }
+            } else if (data !== stored) {
+                await this._saveRaw(data);
             }
+            this.lastKnownVersion = data.version || 0;
+            return data;
+        } catch (error) {
+            console.error('Error loading data:', error);
+            return { schemaVersion: this.SCHEMA_VERSION, version: 0, collections: [] };
+        }
+    },
 
-            const migrated = this._migrateFromV1(result.collections || [], result.collectionsVersion || 0);
-            await this._saveRaw(migrated);
-            this.lastKnownVersion = migrated.version;
-            return migrated;
+    /**
+     * 加载除 collections 以外的字段（版本号、删除记录等），不读取集合
+     * @returns {Promise<{schemaVersion: number, version: number, tombstones?: Object<string, number>}>}
+     */
+    async loadMeta() {
+        try {
+            const meta = await this.getAdapter().readMeta();
+            if (meta && meta.schemaVersion >= this.SCHEMA_VERSION) {
+                return meta;
+            }
         } catch (error) {
             console.error('Error loading data:', error);
-            return { version: 0, collections: [] };
         }
+        // 还没有数据或需要升级时由 loadData 处理
+        const meta = { ...(await this.loadData()) };
+        delete meta.collections;
+        return meta;
     },
 
     /**
@@ -42,28 +172,35 @@ export const StorageService = {
      * @returns {Promise<number>}
      */
     async getVersion() {
-        const data = await this.loadData();
-        return data.version;
+        const meta = await this.loadMeta();
+        return meta.version;
     },
 
     /**
-     * 规范化集合数据，补齐缺省字段和 UUID
+     * 规范化集合数据，补齐缺省字段和 UUID；不认识的字段（更新版本的扩展添加的）原样保留
      * @param {Array} collections
      * @returns {Array}
      */
     prepareCollectionsForSaving(collections) {
-        return collections.map((collection) => ({
+        return collections.map(({ title, updatedAt, localOnly, tabs, ...collection }) => ({
+            ...collection,
             id: collection.id || MipaUtils.generateUUID(),
-            name: collection.name || collection.title || 'Untitled',
+            name: collection.name || title || 'Untitled',
             color: collection.color || 'white',
-            tabs: (collection.tabs || []).map((tab) => {
+            ...(updatedAt ? { updatedAt } : {}),
+            ...(localOnly ? { localOnly: true } : {}),
+            tabs: (tabs || []).map(({ description, updatedAt: tabUpdatedAt, ...tab }) => {
                 const tabData = {
+                    ...tab,
                     id: tab.id || MipaUtils.generateUUID(),
                     title: tab.title || 'Untitled',
                     url: tab.url || ''
                 };
-                if (tab.description && tab.description !== tab.title) {
-                    tabData.description = tab.description;
+                if (description && description !== tab.title) {
+                    tabData.description = description;
+                }
+                if (tabUpdatedAt) {
+                    tabData.updatedAt = tabUpdatedAt;
                 }
                 return tabData;
             })
@@ -74,35 +211,85 @@ export const StorageService = {
      * 保存到本地存储
      * @param {Array} collections
      * @param {number} [expectedVersion] 乐观锁预期版本
-     * @returns {Promise<{success: boolean, collections: Array, version: number, conflict: boolean}>}
+     * @param {Object<string, number>} [tombstones] 删除记录，未传入时保留已存储的记录
+     * @returns {Promise<{success: boolean, collections: Array, version: number, tombstones: Object, conflict: boolean}>}
      */
-    async saveToLocalStorage(collections, _sort = true, expectedVersion = null) {
-        const current = await this.loadData();
-
-        if (expectedVersion !== null && current.version !== expectedVersion) {
+    async saveToLocalStorage(collections, _sort = true, expectedVersion = null, tombstones = null) {
+        const current = await this.loadMeta();
+        const conflict = async () => {
+            const latest = await this.loadData();
             return {
                 success: false,
-                collections: current.collections,
-                version: current.version,
+                collections: latest.collections,
+                version: latest.version,
+                tombstones: latest.tombstones || {},
                 conflict: true
             };
+        };
+
+        if (expectedVersion !== null && current.version !== expectedVersion) {
+            return conflict();
         }
 
         const formatted = this.prepareCollectionsForSaving(collections);
         const newVersion = (expectedVersion !== null ? expectedVersion : current.version) + 1;
-        const data = { version: newVersion, collections: formatted };
+        const savedTombstones = this.pruneTombstones(tombstones || current.tombstones || {});
+        const data = { ...current, version: newVersion, collections: formatted, tombstones: savedTombstones };
 
-        await this._saveRaw(data);
+        // 读取版本号之后其他页面可能已经保存过
+        if (!(await this._saveRaw(data, (meta) => meta?.version === current.version))) {
+            return conflict();
+        }
         this.lastKnownVersion = newVersion;
 
         return {
             success: true,
             collections: formatted,
             version: newVersion,
+            tombstones: savedTombstones,
             conflict: false
         };
     },
 
+    /**
+     * 保存同步合并结果，使用同步时确定的版本号。合并基于版本 expectedVersion 的本地数据，
+     * 存储在同步期间已被修改时不写入，抛出 error.storageChanged 为 true 的错误
+     * @param {Array} collections
+     * @param {Object<string, number>} tombstones
+     * @param {number} version
+     * @param {Object} extra 远程文档中不认识的顶层字段
+     * @param {number} expectedVersion 开始同步时存储中的版本号
+     * @returns {Promise<Array>} 规范化后的集合
+     */
+    async saveSyncResult(collections, tombstones, version, extra, expectedVersion) {
+        const current = await this.loadMeta();
+        const formatted = this.prepareCollectionsForSaving(collections);
+        const data = {
+            ...current,
+            ...extra,
+            version,
+            collections: formatted,
+            tombstones: this.pruneTombstones(tombstones)
+        };
+        if (!(await this._saveRaw(data, (meta) => meta?.version === expectedVersion))) {
+            const error = new Error('本地数据在同步期间已被修改，稍后将重新同步');
+            error.storageChanged = true;
+            throw error;
+        }
+        this.lastKnownVersion = version;
+        return formatted;
+    },
+
+    /**
+     * 清除超过 TOMBSTONE_TTL_DAYS 的删除记录
+     * @param {Object<string, number>} tombstones
+     * @returns {Object<string, number>}
+     */
+    pruneTombstones(tombstones) {
+        const cutoff = Date.now() - this.TOMBSTONE_TTL_DAYS * 24 * 60 * 60 * 1000;
+        return Object.fromEntries(Object.entries(tombstones).filter(([, deletedAt]) => deletedAt >= cutoff));
+    },
+
     /**
      * 强制保存（跳过版本检查）
      * @param {Array} collections
@@ -114,13 +301,97 @@ export const StorageService = {
     },
 
     /**
-     * 从旧格式（v1：collections 数组 + collectionsVersion）迁移到新格式（v2：{version, collections}）
-     * @param {Array} oldCollections
-     * @param {number} oldVersion
+     * 加载回收站，自动清除超过保留期限的条目
+     * @returns {Promise<Array>}
+     */
+    async loadTrash() {
+        try {
+            const result = await chrome.storage.local.get([this.TRASH_KEY, this.TRASH_RETENTION_KEY]);
+            const items = result[this.TRASH_KEY] || [];
+            const days = result[this.TRASH_RETENTION_KEY] || this.DEFAULT_TRASH_RETENTION_DAYS;
+            const kept = this.purgeExpiredTrash(items, days);
+            if (kept.length !== items.length) {
+                await this.saveTrash(kept);
+            }
+            return kept;
+        } catch (error) {
+            console.error('Error loading trash:', error);
+            return [];
+        }
+    },
+
+    /**
+     * 保存回收站
+     * @param {Array} items
+     */
+    async saveTrash(items) {
+        await this._setLocal({ [this.TRASH_KEY]: items });
+    },
+
+    /**
+     * 获取回收站保留天数
+     * @returns {Promise<number>}
+     */
+    async getTrashRetentionDays() {
+        const result = await chrome.storage.local.get(this.TRASH_RETENTION_KEY);
+        return result[this.TRASH_RETENTION_KEY] || this.DEFAULT_TRASH_RETENTION_DAYS;
+    },
+
+    /**
+     * 设置回收站保留天数
+     * @param {number} days
+     */
+    async setTrashRetentionDays(days) {
+        await chrome.storage.local.set({ [this.TRASH_RETENTION_KEY]: days });
+    },
+
+    /**
+     * 过滤掉超过保留期限的回收站条目
+     * @param {Array} items
+     * @param {number} days
+     * @returns {Array}
+     */
+    purgeExpiredTrash(items, days) {
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+        return items.filter((item) => item.deletedAt >= cutoff);
+    },
+
+    /**
+     * 合并本地和远程回收站：按 ID 取并集，同 ID 保留较新的删除记录；
+     * 已重新出现在集合中的条目（已被恢复）和删除记录晚于移入时间的条目（已被永久删除）会被移除
+     * @param {Array} local
+     * @param {Array} remote
+     * @param {Array} collections 合并后的集合
+     * @param {Object<string, number>} [tombstones] 合并后的删除记录
+     * @returns {Array}
+     */
+    mergeTrash(local, remote, collections, tombstones = {}) {
+        const byId = new Map();
+        [...local, ...remote].forEach((item) => {
+            const existing = byId.get(item.id);
+            if (!existing || item.deletedAt > existing.deletedAt) {
+                byId.set(item.id, item);
+            }
+        });
+
+        const liveIds = new Set();
+        collections.forEach((col) => {
+            liveIds.add(col.id);
+            (col.tabs || []).forEach((tab) => liveIds.add(tab.id));
+        });
+
+        return Array.from(byId.values())
+            .filter((item) => !liveIds.has(item.id) && !(tombstones[item.id] > item.deletedAt))
+            .sort((a, b) => b.deletedAt - a.deletedAt);
+    },
+
+    /**
+     * 第 1 版（collections 数组 + collectionsVersion）升级到第 2 版（mipaData 文档）：补齐集合和标签页的 ID
+     * @param {{version: number, collections: Array}} doc
      * @returns {{version: number, collections: Array}}
      */
-    _migrateFromV1(oldCollections, oldVersion) {
-        const migrated = oldCollections.map((collection) => ({
+    _migrateFromV1(doc) {
+        const migrated = doc.collections.map((collection) => ({
             id: collection.id || MipaUtils.generateUUID(),
             name: collection.name || collection.title || 'Untitled',
             color: collection.color || 'white',
@@ -131,14 +402,144 @@ export const StorageService = {
                 ...(tab.description && tab.description !== tab.title ? { description: tab.description } : {})
             }))
         }));
-        return { version: oldVersion || 1, collections: migrated };
+        return { ...doc, version: doc.version || 1, collections: migrated };
+    },
+
+    /**
+     * 列出所有快照，按时间倒序；不含数据，需要时用 getSnapshot 读取
+     * @returns {Promise<Array<{id: string, kind: string, label: string, createdAt: number, counts: {collections: number, tabs: number}}>>}
+     */
+    async listSnapshots() {
+        const snapshots = await this.getAdapter().listSnapshots();
+        return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    /**
+     * 获取单个快照
+     * @param {string} id
+     * @returns {Promise<Object|null>} 含 data: {version, collections}
+     */
+    async getSnapshot(id) {
+        return this.getAdapter().getSnapshot(id);
+    },
+
+    /**
+     * 同步后端缓存的远程数据，与集合数据一样保存在适配器中，不占用 chrome.storage.local 的空间
+     * @param {string} key
+     * @returns {Promise<*|null>}
+     */
+    async readRemoteCache(key) {
+        return this.getAdapter().readRemoteCache(key);
+    },
+
+    async writeRemoteCache(key, value) {
+        await this.getAdapter().writeRemoteCache(key, value);
+    },
+
+    async removeRemoteCache(key) {
+        await this.getAdapter().removeRemoteCache(key);
     },
 
     /**
-     * 原始保存（跳过所有检查和格式化）
+     * 手动创建快照（如恢复、导入、同步合并之前）
+     * @param {string} label 快照说明
+     * @param {{version: number, collections: Array}} [data] 默认为当前存储的数据
+     * @returns {Promise<Object|null>}
+     */
+    async createSnapshot(label = '', data = null) {
+        const source = data || (await this.getAdapter().read());
+        if (!source || !source.collections) return null;
+        const snapshot = this._makeSnapshot(source, 'manual', label);
+        await this._saveSnapshot(snapshot);
+        return snapshot;
+    },
+
+    /**
+     * 删除所有快照（释放存储空间）
+     */
+    async clearSnapshots() {
+        await this.getAdapter().clearSnapshots();
+    },
+
+    /**
+     * 按小时/按天滚动快照：距同类最近一次快照超过间隔时保存即将被覆盖的数据
+     * @param {() => Promise<{version: number, collections: Array}|null>} loadPrevious 只在需要快照时读取
+     */
+    async _rotateSnapshots(loadPrevious) {
+        const snapshots = await this.listSnapshots();
+        const now = Date.now();
+        const due = Object.keys(this.SNAPSHOT_INTERVALS).filter((kind) => {
+            const latest = snapshots.find((s) => s.kind === kind);
+            return !latest || now - latest.createdAt >= this.SNAPSHOT_INTERVALS[kind];
+        });
+        if (due.length === 0) return;
+        const previous = await loadPrevious();
+        if (!previous || !previous.collections) return;
+        for (const kind of due) {
+            await this._saveSnapshot(this._makeSnapshot(previous, kind));
+        }
+    },
+
+    _makeSnapshot(data, kind, label = '') {
+        return {
+            id: MipaUtils.generateUUID(),
+            kind,
+            label,
+            createdAt: Date.now(),
+            counts: MipaUtils.countCollections(data.collections),
+            data: { version: data.version || 0, collections: data.collections }
+        };
+    },
+
+    /**
+     * 保存快照，每类只保留最近的 SNAPSHOT_LIMITS 个
+     * @param {Object} snapshot
+     */
+    async _saveSnapshot(snapshot) {
+        const counts = {};
+        const removeIds = [snapshot, ...(await this.listSnapshots())]
+            .filter((s) => {
+                counts[s.kind] = (counts[s.kind] || 0) + 1;
+                return counts[s.kind] > (this.SNAPSHOT_LIMITS[s.kind] || 0);
+            })
+            .map((s) => s.id);
+        try {
+            await this.getAdapter().saveSnapshot(snapshot, removeIds);
+        } catch (error) {
+            throw QuotaService.wrapError(error);
+        }
+    },
+
+    async _setLocal(items) {
+        try {
+            await chrome.storage.local.set(items);
+        } catch (error) {
+            throw QuotaService.wrapError(error);
+        }
+    },
+
+    /**
+     * 原始保存（跳过格式化），覆盖前按需滚动快照，保存后更新 CHANGE_KEY
      * @param {{version: number, collections: Array}} data
+     * @param {(meta: Object|null) => boolean} [check] 见适配器的 write
+     * @returns {Promise<boolean>} check 未通过时返回 false
      */
-    async _saveRaw(data) {
-        await chrome.storage.local.set({ [this.DATA_KEY]: data });
+    async _saveRaw(data, check = null) {
+        const adapter = this.getAdapter();
+        try {
+            await this._rotateSnapshots(() => adapter.read());
+        } catch (error) {
+            console.error('Error rotating snapshots:', error);
+        }
+        try {
+            if (!(await adapter.write(data, check))) return false;
+        } catch (error) {
+            throw QuotaService.wrapError(error);
+        }
+        // 数据已经保存，通知失败（如 chrome.storage.local 已满）只影响其他页面的刷新
+        await chrome.storage.local
+            .set({ [this.CHANGE_KEY]: { version: data.version, savedAt: Date.now() } })
+            .catch((error) => console.error('Error notifying data change:', error));
+        return true;
     }
 };
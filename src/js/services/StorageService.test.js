@@ -0,0 +1,157 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { StorageService } from './StorageService.js';
+
+// 没有 IndexedDB 时数据保存在 chrome.storage.local 中（ChromeStorageAdapter），返回其中的内容
+const stubChromeStorage = () => {
+    const store = {};
+    vi.stubGlobal('chrome', {
+        storage: {
+            local: {
+                async get(keys) {
+                    const names = keys == null ? Object.keys(store) : [].concat(keys);
+                    return Object.fromEntries(
+                        names.filter((key) => key in store).map((key) => [key, structuredClone(store[key])])
+                    );
+                },
+                async set(items) {
+                    Object.assign(store, structuredClone(items));
+                },
+                async remove(keys) {
+                    [].concat(keys).forEach((key) => delete store[key]);
+                }
+            }
+        }
+    });
+    return store;
+};
+
+describe('StorageService.migrateDocument', () => {
+    it('第 1 版升级到当前版本：补齐集合和标签页的 ID 与默认值', () => {
+        const doc = {
+            schemaVersion: 1,
+            version: 3,
+            collections: [
+                { title: 'Old', tabs: [{ url: 'https://example.com/', description: 'Example', title: 'Example' }] },
+                {
+                    id: 'c2',
+                    name: 'Kept',
+                    color: 'red',
+                    tabs: [{ id: 't2', title: 'T', url: 'https://a.org/', description: 'd' }]
+                }
+            ]
+        };
+        const migrated = StorageService.migrateDocument(doc);
+
+        expect(migrated.schemaVersion).toBe(StorageService.SCHEMA_VERSION);
+        expect(migrated.version).toBe(3);
+        const [first, second] = migrated.collections;
+        expect(first).toMatchObject({ name: 'Old', color: 'white' });
+        expect(first.id).toEqual(expect.any(String));
+        expect(first.tabs[0]).toEqual({ id: expect.any(String), title: 'Example', url: 'https://example.com/' });
+        expect(second).toEqual({
+            id: 'c2',
+            name: 'Kept',
+            color: 'red',
+            tabs: [{ id: 't2', title: 'T', url: 'https://a.org/', description: 'd' }]
+        });
+    });
+
+    it('第 1 版没有版本号时从 1 开始', () => {
+        expect(StorageService.migrateDocument({ schemaVersion: 1, collections: [] }).version).toBe(1);
+    });
+
+    it('没有 schemaVersion 的 mipaData 视为第 2 版，只补上版本号', () => {
+        const doc = { version: 5, collections: [{ id: 'c1', name: 'A', color: 'white', tabs: [] }], tombstones: {} };
+        expect(StorageService.migrateDocument(doc)).toEqual({ ...doc, schemaVersion: 2 });
+    });
+
+    it('已是当前格式时返回原文档', () => {
+        const doc = { schemaVersion: StorageService.SCHEMA_VERSION, version: 1, collections: [] };
+        expect(StorageService.migrateDocument(doc)).toBe(doc);
+    });
+
+    it('升级时保留不认识的字段', () => {
+        const doc = { schemaVersion: 1, collections: [], future: { a: 1 } };
+        expect(StorageService.migrateDocument(doc).future).toEqual({ a: 1 });
+    });
+
+    it('更新版本的数据抛出 schemaTooNew 错误', () => {
+        const doc = { schemaVersion: StorageService.SCHEMA_VERSION + 1, collections: [] };
+        expect(() => StorageService.migrateDocument(doc)).toThrow(expect.objectContaining({ schemaTooNew: true }));
+    });
+});
+
+describe('StorageService.extraFields', () => {
+    it('只返回本版本不认识的顶层字段', () => {
+        const doc = { schemaVersion: 3, version: 1, collections: [], tombstones: {}, trash: [], labels: ['x'] };
+        expect(StorageService.extraFields(doc)).toEqual({ labels: ['x'] });
+        expect(StorageService.extraFields(null)).toEqual({});
+    });
+});
+
+describe('StorageService.loadData', () => {
+    let store;
+
+    beforeEach(() => {
+        store = stubChromeStorage();
+        StorageService.adapter = null;
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+        StorageService.adapter = null;
+    });
+
+    it('读取第 1 版的存储键并保存为当前格式', async () => {
+        store.collections = [{ name: 'A', tabs: [{ title: 'x', url: 'https://example.com/' }] }];
+        store.collectionsVersion = 4;
+
+        const data = await StorageService.loadData();
+
+        expect(data).toMatchObject({ schemaVersion: StorageService.SCHEMA_VERSION, version: 4 });
+        expect(data.collections[0].tabs[0].id).toEqual(expect.any(String));
+        expect(store[StorageService.DATA_KEY]).toMatchObject({ schemaVersion: StorageService.SCHEMA_VERSION });
+        expect((await StorageService.loadData()).collections).toEqual(data.collections);
+    });
+
+    it('更新版本的数据原样使用，不覆盖存储', async () => {
+        const doc = { schemaVersion: StorageService.SCHEMA_VERSION + 1, version: 7, collections: [], labels: [] };
+        store[StorageService.DATA_KEY] = doc;
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(await StorageService.loadData()).toEqual(doc);
+        expect(store[StorageService.DATA_KEY]).toEqual(doc);
+    });
+});
+
+describe('StorageService.saveSyncResult', () => {
+    let store;
+
+    beforeEach(() => {
+        store = stubChromeStorage();
+        StorageService.adapter = null;
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        StorageService.adapter = null;
+    });
+
+    it('存储仍是开始同步时的版本时写入合并结果', async () => {
+        store[StorageService.DATA_KEY] = { schemaVersion: 2, version: 4, collections: [], tombstones: {} };
+        const merged = [{ id: 'c1', name: 'A', color: 'white', tabs: [] }];
+
+        await StorageService.saveSyncResult(merged, {}, 6, { labels: [] }, 4);
+
+        expect(store[StorageService.DATA_KEY]).toMatchObject({ version: 6, collections: merged, labels: [] });
+    });
+
+    it('同步期间存储被修改时不覆盖', async () => {
+        const saved = { schemaVersion: 2, version: 5, collections: [], tombstones: {} };
+        store[StorageService.DATA_KEY] = saved;
+
+        await expect(StorageService.saveSyncResult([], {}, 6, {}, 4)).rejects.toMatchObject({ storageChanged: true });
+        expect(store[StorageService.DATA_KEY]).toEqual(saved);
+    });
+});
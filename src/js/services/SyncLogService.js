@@ -0,0 +1,71 @@
+/**
+ * 同步状态和同步记录：记录最近一次成功拉取 / 推送的时间、数据流向、远程版本号，以及最近的同步事件和错误，
+ * 供管理页面的同步面板显示。后台 service worker 和各页面的同步都会写入这里
+ */
+export const SyncLogService = {
+    STATUS_KEY: 'syncStatus',
+    LOG_KEY: 'syncLog',
+    LOG_LIMIT: 50,
+
+    /**
+     * staleWarning：长时间未同步后合并了数据时的提醒（见 SyncService），页面显示后清除
+     * @returns {Promise<{lastPullAt?: number, lastPushAt?: number, direction?: 'pull'|'push'|'both'|'none', remoteVersion?: number, lastError?: string|null, staleWarning?: string|null}>}
+     */
+    async getStatus() {
+        const result = await chrome.storage.local.get(this.STATUS_KEY);
+        return result[this.STATUS_KEY] || {};
+    },
+
+    /**
+     * @param {Object} patch 要更新的字段
+     */
+    async updateStatus(patch) {
+        const status = await this.getStatus();
+        await chrome.storage.local.set({ [this.STATUS_KEY]: { ...status, ...patch } });
+    },
+
+    /**
+     * @returns {Promise<Array<{time: number, type: 'pull'|'push'|'conflict'|'error'|'info', message: string}>>} 最新的在前
+     */
+    async getLog() {
+        const result = await chrome.storage.local.get(this.LOG_KEY);
+        return result[this.LOG_KEY] || [];
+    },
+
+    /**
+     * 追加一条同步记录，只保留最近 LOG_LIMIT 条
+     * @param {'pull'|'push'|'conflict'|'error'|'info'} type
+     * @param {string} message
+     */
+    async record(type, message) {
+        const log = await this.getLog();
+        const entry = { time: Date.now(), type, message };
+        await chrome.storage.local.set({ [this.LOG_KEY]: [entry, ...log].slice(0, this.LOG_LIMIT) });
+    },
+
+    /**
+     * 记录同步失败：写入记录并保存为最近的错误
+     * @param {string} message
+     */
+    async recordError(message) {
+        // 后台定时同步和重试会反复遇到同一个错误，连续相同的错误只保留一条并更新时间
+        const [latest, ...rest] = await this.getLog();
+        if (latest?.type === 'error' && latest.message === message) {
+            await chrome.storage.local.set({ [this.LOG_KEY]: [{ ...latest, time: Date.now() }, ...rest] });
+        } else {
+            await this.record('error', message);
+        }
+        await this.updateStatus({ lastError: message });
+    },
+
+    async clearLog() {
+        await chrome.storage.local.remove(this.LOG_KEY);
+    },
+
+    /**
+     * 切换或断开同步服务时清除状态，记录保留
+     */
+    async resetStatus() {
+        await chrome.storage.local.remove(this.STATUS_KEY);
+    }
+};
@@ -0,0 +1,110 @@
+/**
+ * 同步重试队列：同步失败后记录一条待同步状态（保存在 chrome.storage.local，页面关闭或浏览器重启后仍然有效），
+ * 按指数退避设置重试定时器，由 service worker 的 chrome.alarms 或页面的 online 事件触发重试。
+ * 同步合并的是完整数据，重试时推送的就是当时的最新数据，所以队列里只需要一条状态，而不是每次修改的记录
+ */
+export const SyncQueueService = {
+    QUEUE_KEY: 'syncQueue',
+    RETRY_ALARM: 'mipa-sync-retry',
+    BASE_DELAY: 15 * 1000,
+    MAX_DELAY: 30 * 60 * 1000,
+    // 连续失败这么多次后不再自动重试（约两个小时），等待下次保存、网络恢复或手动重试
+    MAX_ATTEMPTS: 10,
+
+    /**
+     * @returns {Promise<{since: number, attempts: number, nextAttemptAt: number|null, rateLimitedUntil: number|null, lastError: string}|null>}
+     *   nextAttemptAt 为 null 表示错误无法自动恢复（如令牌失效）或已多次重试失败，等待下次保存或手动重试
+     */
+    async getState() {
+        const result = await chrome.storage.local.get(this.QUEUE_KEY);
+        return result[this.QUEUE_KEY] || null;
+    },
+
+    /**
+     * 网络错误、超时、限流和服务器错误可以重试；认证失败等其他错误重试也不会成功
+     * @param {Error & {status?: number, retryAt?: number|null}} error
+     * @returns {boolean}
+     */
+    isRetryable(error) {
+        if (error.retryAt) return true;
+        if (error.status === undefined) return true;
+        return [408, 425, 429].includes(error.status) || error.status >= 500;
+    },
+
+    /**
+     * 第 attempts 次失败后的等待时间：指数退避加 ±20% 随机抖动，服务器要求等待更久时以服务器为准
+     * @param {number} attempts
+     * @param {number|null} [retryAt]
+     * @returns {number} 毫秒
+     */
+    retryDelay(attempts, retryAt = null) {
+        const backoff = Math.min(this.MAX_DELAY, this.BASE_DELAY * 2 ** (attempts - 1));
+        const delay = Math.round(backoff * (0.8 + Math.random() * 0.4));
+        return retryAt ? Math.max(delay, retryAt - Date.now()) : delay;
+    },
+
+    /**
+     * 记录一次失败的同步并安排重试
+     * @param {Error & {status?: number, retryAt?: number|null}} error
+     */
+    async markPending(error) {
+        const state = await this.getState();
+        const attempts = (state?.attempts || 0) + 1;
+        const retryable = this.isRetryable(error) && attempts < this.MAX_ATTEMPTS;
+        const nextAttemptAt = retryable ? Date.now() + this.retryDelay(attempts, error.retryAt) : null;
+
+        await chrome.storage.local.set({
+            [this.QUEUE_KEY]: {
+                since: state?.since || Date.now(),
+                attempts,
+                nextAttemptAt,
+                rateLimitedUntil: error.retryAt || null,
+                lastError: error.message
+            }
+        });
+
+        await chrome.alarms.clear(this.RETRY_ALARM);
+        if (nextAttemptAt) {
+            await chrome.alarms.create(this.RETRY_ALARM, { when: nextAttemptAt });
+        }
+    },
+
+    /**
+     * 同步成功后清空队列
+     */
+    async markDone() {
+        if (!(await this.getState())) return;
+        await chrome.storage.local.remove(this.QUEUE_KEY);
+        await chrome.alarms.clear(this.RETRY_ALARM);
+    },
+
+    /**
+     * 服务器要求的等待时间还没到时不发出请求，避免继续消耗限额
+     * @returns {Promise<number|null>} 可以再次请求的时间
+     */
+    async getRateLimitedUntil() {
+        const state = await this.getState();
+        return state?.rateLimitedUntil > Date.now() ? state.rateLimitedUntil : null;
+    },
+
+    /**
+     * 队列状态的说明文字
+     * @param {Object|null} state getState() 的返回值
+     * @returns {string}
+     */
+    describe(state) {
+        if (!state) return '所有更改均已同步';
+
+        const time = (timestamp) => new Date(timestamp).toLocaleTimeString();
+        const parts = [`自 ${time(state.since)} 起有更改尚未同步，已尝试 ${state.attempts} 次`];
+        if (state.rateLimitedUntil > Date.now()) {
+            parts.push(`服务器限流，将在 ${time(state.rateLimitedUntil)} 后重试`);
+        } else if (state.nextAttemptAt) {
+            parts.push(`下次重试：${time(state.nextAttemptAt)}`);
+        } else {
+            parts.push('需要处理错误后手动重试');
+        }
+        parts.push(`错误：${state.lastError}`);
+        return parts.join('\n');
+    }
+};
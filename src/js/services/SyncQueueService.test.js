@@ -0,0 +1,150 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { SyncQueueService } from './SyncQueueService.js';
+
+const NOW = new Date('2026-01-01T00:00:00Z').getTime();
+
+// chrome.storage.local 和 chrome.alarms 的内存实现
+const stubChrome = () => {
+    const store = {};
+    const alarms = {};
+    vi.stubGlobal('chrome', {
+        storage: {
+            local: {
+                get: vi.fn(async (key) => (key in store ? { [key]: store[key] } : {})),
+                set: vi.fn(async (items) => Object.assign(store, items)),
+                remove: vi.fn(async (key) => {
+                    delete store[key];
+                })
+            }
+        },
+        alarms: {
+            create: vi.fn(async (name, info) => {
+                alarms[name] = info;
+            }),
+            clear: vi.fn(async (name) => {
+                delete alarms[name];
+            })
+        }
+    });
+    return { store, alarms };
+};
+
+const networkError = () => new Error('Failed to fetch');
+const httpError = (status, retryAt = null) => Object.assign(new Error(`HTTP ${status}`), { status, retryAt });
+
+describe('SyncQueueService 重试间隔', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(NOW);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('每次失败后等待时间加倍，不超过上限', () => {
+        vi.spyOn(Math, 'random').mockReturnValue(0.5);
+        const delays = [1, 2, 3, 4, 8, 9, 20].map((attempts) => SyncQueueService.retryDelay(attempts));
+
+        expect(delays).toEqual([15000, 30000, 60000, 120000, 1800000, 1800000, 1800000]);
+    });
+
+    it('随机抖动在 ±20% 以内', () => {
+        vi.spyOn(Math, 'random').mockReturnValue(0);
+        expect(SyncQueueService.retryDelay(2)).toBe(24000);
+        Math.random.mockReturnValue(0.999999);
+        expect(SyncQueueService.retryDelay(2)).toBe(36000);
+    });
+
+    it('服务器要求等待更久时以服务器为准', () => {
+        vi.spyOn(Math, 'random').mockReturnValue(0.5);
+        expect(SyncQueueService.retryDelay(1, NOW + 10 * 60 * 1000)).toBe(10 * 60 * 1000);
+        expect(SyncQueueService.retryDelay(1, NOW + 1000)).toBe(15000);
+    });
+
+    it('区分可以重试的错误', () => {
+        expect(SyncQueueService.isRetryable(networkError())).toBe(true);
+        expect(SyncQueueService.isRetryable(httpError(429))).toBe(true);
+        expect(SyncQueueService.isRetryable(httpError(503))).toBe(true);
+        expect(SyncQueueService.isRetryable(httpError(403, NOW + 60000))).toBe(true);
+        expect(SyncQueueService.isRetryable(httpError(401))).toBe(false);
+        expect(SyncQueueService.isRetryable(httpError(404))).toBe(false);
+    });
+});
+
+describe('SyncQueueService 待同步状态', () => {
+    let stub;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(NOW);
+        vi.spyOn(Math, 'random').mockReturnValue(0.5);
+        stub = stubChrome();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+        vi.unstubAllGlobals();
+    });
+
+    it('记录失败次数并按退避时间设置重试定时器', async () => {
+        await SyncQueueService.markPending(networkError());
+        vi.setSystemTime(NOW + 15000);
+        await SyncQueueService.markPending(networkError());
+
+        expect(await SyncQueueService.getState()).toEqual({
+            since: NOW,
+            attempts: 2,
+            nextAttemptAt: NOW + 15000 + 30000,
+            rateLimitedUntil: null,
+            lastError: 'Failed to fetch'
+        });
+        expect(stub.alarms).toEqual({ [SyncQueueService.RETRY_ALARM]: { when: NOW + 15000 + 30000 } });
+    });
+
+    it('被限流时记录限额恢复时间', async () => {
+        const retryAt = NOW + 5 * 60 * 1000;
+        await SyncQueueService.markPending(httpError(403, retryAt));
+
+        expect(await SyncQueueService.getRateLimitedUntil()).toBe(retryAt);
+        expect(stub.alarms[SyncQueueService.RETRY_ALARM]).toEqual({ when: retryAt });
+        vi.setSystemTime(retryAt);
+        expect(await SyncQueueService.getRateLimitedUntil()).toBeNull();
+    });
+
+    it('无法自动恢复的错误不再重试', async () => {
+        await SyncQueueService.markPending(networkError());
+        await SyncQueueService.markPending(httpError(401));
+
+        const state = await SyncQueueService.getState();
+        expect(state).toMatchObject({ attempts: 2, nextAttemptAt: null, lastError: 'HTTP 401' });
+        expect(stub.alarms).toEqual({});
+        expect(SyncQueueService.describe(state)).toContain('需要处理错误后手动重试');
+    });
+
+    it('连续失败达到上限后停止自动重试', async () => {
+        for (let i = 1; i < SyncQueueService.MAX_ATTEMPTS; i++) {
+            await SyncQueueService.markPending(networkError());
+            expect(stub.alarms[SyncQueueService.RETRY_ALARM]).toBeDefined();
+        }
+        await SyncQueueService.markPending(networkError());
+
+        expect(await SyncQueueService.getState()).toMatchObject({
+            attempts: SyncQueueService.MAX_ATTEMPTS,
+            nextAttemptAt: null
+        });
+        expect(stub.alarms).toEqual({});
+    });
+
+    it('同步成功后清空状态和定时器', async () => {
+        await SyncQueueService.markPending(networkError());
+        await SyncQueueService.markDone();
+
+        expect(await SyncQueueService.getState()).toBeNull();
+        expect(stub.alarms).toEqual({});
+        expect(stub.store).toEqual({});
+        expect(SyncQueueService.describe(null)).toBe('所有更改均已同步');
+    });
+});
@@ -0,0 +1,662 @@
+import { MipaUtils } from '../utils.js';
+import { StorageService } from './StorageService.js';
+import { MergeService } from './MergeService.js';
+import { GistService } from './GistService.js';
+import { WebDAVService } from './WebDAVService.js';
+import { SelfHostedService } from './SelfHostedService.js';
+import { CryptoService } from './CryptoService.js';
+import { SyncQueueService } from './SyncQueueService.js';
+import { SyncLogService } from './SyncLogService.js';
+
+/**
+ * 同步服务：合并、回收站和版本号处理与具体的存储后端无关，读写远程数据交给当前选择的后端（provider）。
+ * 每个后端需要实现：
+ * - id / label：标识和显示名称
+ * - loadConfig() / saveConfig(config) / clearConfig()：读写连接配置，未连接时 loadConfig 返回 null；
+ *   令牌和密码通过 CredentialService 保存，凭据已加密且尚未解锁时 loadConfig 抛出 error.credentialsLocked 为 true 的错误
+ * - getOrigins(config)：访问该后端需要的主机权限
+ * - test(config)：检查连接并返回服务器说明，失败时抛出可以直接展示给用户的错误；可以把探测到的信息写入 config
+ * - read(config)：读取远程数据文件内容，文件不存在时返回 null
+ * - create(config, content) / write(config, content)：创建 / 覆盖远程数据文件，创建时新文件的 ID 写入 config
+ * - listRevisions(config, page, perPage)：历史版本 [{version, committedAt}]，最新的在前
+ * - readRevision(config, version)：读取历史版本的文件内容
+ * - relink(config, target)（可选）：改为同步到另一个远程文件，新的位置写入 config
+ * - listExisting(config)（可选）：列出该账号下已有的同步数据文件 [{id, description, updatedAt, url}]，供连接时选择
+ * 开启端到端加密后，后端读写的都是 CryptoService 加密后的内容，解密和加密在这里完成，本地保存的始终是明文
+ */
+export const SyncService = {
+    PROVIDERS: {
+        [GistService.id]: GistService,
+        [WebDAVService.id]: WebDAVService,
+        [SelfHostedService.id]: SelfHostedService
+    },
+    PROVIDER_KEY: 'syncProvider',
+    // 本设备已开启加密的标记 {salt, iterations}，以及远程数据已加密但本设备无法解密的标记
+    ENCRYPTION_KEY: 'syncEncryption',
+    LOCKED_KEY: 'syncLocked',
+    // 由密码派生的密钥（不保存密码本身）只保存在 chrome.storage.session 中，浏览器关闭后需要重新输入密码
+    ENCRYPTION_SESSION_KEY: 'syncEncryptionKey',
+    DEFAULT_PROVIDER: GistService.id,
+    REVISIONS_PER_PAGE: 20,
+    // 历史版本内容不会再变化，按后端和版本号缓存解析结果
+    _revisionCache: new Map(),
+
+    getProviders() {
+        return Object.values(this.PROVIDERS);
+    },
+
+    /**
+     * 当前选择的后端（不读取连接配置）
+     * @returns {Promise<Object>}
+     */
+    async getProvider() {
+        const result = await chrome.storage.local.get(this.PROVIDER_KEY);
+        return this.PROVIDERS[result[this.PROVIDER_KEY]] || this.PROVIDERS[this.DEFAULT_PROVIDER];
+    },
+
+    /**
+     * 当前选择的后端及其连接配置，未连接时返回 null；凭据尚未解锁时抛出 error.credentialsLocked 为 true 的错误
+     * @returns {Promise<{provider: Object, config: Object}|null>}
+     */
+    async getActive() {
+        const provider = await this.getProvider();
+        const config = await provider.loadConfig();
+        return config ? { provider, config } : null;
+    },
+
+    /**
+     * 是否已连接同步服务，凭据尚未解锁时也算已连接
+     * @returns {Promise<boolean>}
+     */
+    async isConnected() {
+        try {
+            return !!(await this.getActive());
+        } catch (error) {
+            if (error.credentialsLocked) return true;
+            throw error;
+        }
+    },
+
+    /**
+     * 申请访问服务器的主机权限。chrome.permissions.request 需要用户操作，要在页面中调用；
+     * 后台连接时权限已经授予，只做检查
+     * @param {string} providerId
+     * @param {Object} config
+     * @returns {Promise<Object>} 同步后端
+     */
+    async requestAccess(providerId, config) {
+        const provider = this.PROVIDERS[providerId];
+        if (!provider) {
+            throw new Error(`未知的同步方式：${providerId}`);
+        }
+
+        let origins;
+        try {
+            origins = provider.getOrigins(config);
+        } catch {
+            throw new Error('服务器地址无效');
+        }
+        const granted =
+            (await chrome.permissions.contains({ origins })) || (await chrome.permissions.request({ origins }));
+        if (!granted) {
+            throw new Error('未获得访问该服务器的权限');
+        }
+        return provider;
+    },
+
+    /**
+     * 申请访问服务器的主机权限并测试连接
+     * @param {string} providerId
+     * @param {Object} config
+     * @returns {Promise<string>} 服务器说明，如检测到的服务器类型和版本
+     */
+    async testConnection(providerId, config) {
+        const provider = await this.requestAccess(providerId, config);
+        return provider.test(config);
+    },
+
+    /**
+     * 列出该账号下已有的同步数据，连接第二台设备时选择加入，而不是新建一份
+     * @param {string} providerId
+     * @param {Object} config
+     * @returns {Promise<Array<{id: string, description: string, updatedAt: string, url: string}>>}
+     */
+    async findExisting(providerId, config) {
+        const provider = this.PROVIDERS[providerId];
+        return provider?.listExisting ? provider.listExisting(config) : [];
+    },
+
+    /**
+     * 连接到指定后端：测试连接后保存配置。
+     * 切换后端时清除上次同步的数据，下次同步按首次同步处理
+     * @param {string} providerId
+     * @param {Object} config
+     * @returns {Promise<string>} 服务器说明
+     */
+    async connect(providerId, config) {
+        const description = await this.testConnection(providerId, config);
+        const provider = this.PROVIDERS[providerId];
+
+        const previous = await this.getProvider();
+        if (previous !== provider) {
+            await previous.clearConfig();
+        }
+        await provider.saveConfig(config);
+        await chrome.storage.local.set({ [this.PROVIDER_KEY]: provider.id });
+        await chrome.storage.local.remove(['lastSyncedData', this.ENCRYPTION_KEY, this.LOCKED_KEY]);
+        await chrome.storage.session.remove(this.ENCRYPTION_SESSION_KEY);
+        await SyncQueueService.markDone();
+        await SyncLogService.resetStatus();
+        this._revisionCache.clear();
+        return description;
+    },
+
+    async disconnect() {
+        // 凭据尚未解锁时也可以断开
+        await (await this.getProvider()).clearConfig();
+        await chrome.storage.local.remove([this.PROVIDER_KEY, 'lastSyncedData', this.ENCRYPTION_KEY, this.LOCKED_KEY]);
+        await chrome.storage.session.remove(this.ENCRYPTION_SESSION_KEY);
+        await SyncQueueService.markDone();
+        await SyncLogService.resetStatus();
+        this._revisionCache.clear();
+    },
+
+    /**
+     * @returns {Promise<{enabled: boolean, locked: boolean}>} enabled：本设备已开启加密；
+     * locked：远程数据已加密但本设备无法解密，或本次浏览器会话中还没有输入密码
+     */
+    async getEncryptionStatus() {
+        const result = await chrome.storage.local.get([this.ENCRYPTION_KEY, this.LOCKED_KEY]);
+        const enabled = !!result[this.ENCRYPTION_KEY];
+        return { enabled, locked: !!result[this.LOCKED_KEY] || (enabled && !(await this._loadKey())) };
+    },
+
+    /**
+     * @returns {Promise<Object|null>} 本次浏览器会话中解锁的密钥，没有开启加密或尚未输入密码时为 null
+     */
+    async _loadKey() {
+        const result = await chrome.storage.local.get(this.ENCRYPTION_KEY);
+        const marker = result[this.ENCRYPTION_KEY];
+        if (!marker) return null;
+        const session = await chrome.storage.session.get(this.ENCRYPTION_SESSION_KEY);
+        const keyInfo = session[this.ENCRYPTION_SESSION_KEY];
+        return keyInfo && keyInfo.salt === marker.salt ? keyInfo : null;
+    },
+
+    async _saveKey(keyInfo) {
+        await chrome.storage.session.set({ [this.ENCRYPTION_SESSION_KEY]: keyInfo });
+        await chrome.storage.local.set({
+            [this.ENCRYPTION_KEY]: { salt: keyInfo.salt, iterations: keyInfo.iterations }
+        });
+    },
+
+    async _removeKey() {
+        await chrome.storage.local.remove(this.ENCRYPTION_KEY);
+        await chrome.storage.session.remove(this.ENCRYPTION_SESSION_KEY);
+    },
+
+    _lockedError(message) {
+        const error = new Error(message);
+        error.locked = true;
+        return error;
+    },
+
+    async _setLocked(locked) {
+        const result = await chrome.storage.local.get(this.LOCKED_KEY);
+        if (!!result[this.LOCKED_KEY] === locked) return;
+        if (locked) {
+            await chrome.storage.local.set({ [this.LOCKED_KEY]: true });
+        } else {
+            await chrome.storage.local.remove(this.LOCKED_KEY);
+        }
+    },
+
+    /**
+     * 读取并解密远程数据。远程数据已加密而本设备没有对应的密钥时标记为锁定并抛出 error.locked 为 true 的错误；
+     * 本设备有密钥但远程数据是明文，说明其他设备关闭了加密，本设备随之关闭
+     * @param {Object} provider
+     * @param {Object} config
+     * @returns {Promise<string|null>}
+     */
+    async _readRemote(provider, config) {
+        const raw = await provider.read(config);
+        const keyInfo = await this._loadKey();
+        const envelope = CryptoService.parseEnvelope(raw);
+
+        if (!envelope) {
+            if (raw !== null && keyInfo) {
+                console.log('Remote data is no longer encrypted. Encryption disabled on this device.');
+                await this._removeKey();
+            }
+            await this._setLocked(false);
+            return raw;
+        }
+
+        let content = null;
+        if (keyInfo && keyInfo.salt === envelope.salt) {
+            content = await CryptoService.decrypt(raw, keyInfo).catch(() => null);
+        }
+        if (content === null) {
+            await this._setLocked(true);
+            throw this._lockedError(
+                keyInfo ? '同步密码已在其他设备上修改，请输入新密码解锁' : '同步数据已加密，请输入密码解锁'
+            );
+        }
+
+        await this._setLocked(false);
+        return content;
+    },
+
+    /**
+     * 按本设备的加密设置生成要上传的内容；已开启加密但本次会话中还没有输入密码时抛出 error.locked 为 true 的错误，不会上传明文
+     * @param {string} content
+     * @returns {Promise<string>}
+     */
+    async _encode(content) {
+        const keyInfo = await this._loadKey();
+        if (keyInfo) return CryptoService.encrypt(content, keyInfo);
+        if ((await this.getEncryptionStatus()).enabled) {
+            await this._setLocked(true);
+            throw this._lockedError('同步数据已加密，请输入密码解锁');
+        }
+        return content;
+    },
+
+    async _requireActive() {
+        const active = await this.getActive();
+        if (!active) {
+            throw new Error('尚未连接同步服务');
+        }
+        return active;
+    },
+
+    /**
+     * 开启加密或修改密码：派生新密钥并用它重新加密远程数据。远程数据已加密时需要先解锁
+     * @param {string} passphrase
+     */
+    async setPassphrase(passphrase) {
+        if (!passphrase || passphrase.length < 8) {
+            throw new Error('密码至少需要 8 个字符');
+        }
+        const { provider, config } = await this._requireActive();
+        const content = await this._readRemote(provider, config);
+
+        const keyInfo = await CryptoService.deriveKey(passphrase);
+        if (content !== null) {
+            await provider.write(config, await CryptoService.encrypt(content, keyInfo));
+        }
+        await this._saveKey(keyInfo);
+    },
+
+    /**
+     * 用密码解锁加密的远程数据，密钥保存到 chrome.storage.session 供本次浏览器会话使用
+     * @param {string} passphrase
+     */
+    async unlock(passphrase) {
+        const { provider, config } = await this._requireActive();
+        const raw = await provider.read(config);
+        if (!CryptoService.isEncrypted(raw)) {
+            await this._setLocked(false);
+            return;
+        }
+
+        const { keyInfo } = await CryptoService.unlock(raw, passphrase);
+        await this._saveKey(keyInfo);
+        await this._setLocked(false);
+    },
+
+    /**
+     * 关闭加密：以明文重新上传远程数据，其他设备下次同步时随之关闭
+     */
+    async disableEncryption() {
+        const { provider, config } = await this._requireActive();
+        const content = await this._readRemote(provider, config);
+        if (content !== null) {
+            await provider.write(config, content);
+        }
+        await this._removeKey();
+    },
+
+    /**
+     * 生成上传到远程的文件内容
+     * @param {{version: number, collections: Array, tombstones?: Object}} data 其中不认识的顶层字段原样保留
+     * @param {Array} trash
+     * @returns {string}
+     */
+    buildContent(data, trash = []) {
+        return MipaUtils.deterministicStringify({
+            ...StorageService.extraFields(data),
+            schemaVersion: StorageService.SCHEMA_VERSION,
+            version: data.version,
+            collections: data.collections,
+            tombstones: data.tombstones || {},
+            trash
+        });
+    },
+
+    /**
+     * 解析远程文件内容并升级到当前的数据格式，兼容旧版纯数组格式；
+     * 数据来自更新版本的扩展时抛出 error.schemaTooNew 为 true 的错误，而不是丢弃不认识的内容
+     * @param {string} content
+     * @returns {{schemaVersion: number, version: number, collections: Array, tombstones?: Object, trash?: Array}|null}
+     */
+    parseContent(content) {
+        if (!content) return null;
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch {
+            return null;
+        }
+        return StorageService.migrateDocument(
+            Array.isArray(data) ? { schemaVersion: 1, version: 0, collections: data } : data
+        );
+    },
+
+    /**
+     * 与远程同步：以上次同步的数据（lastSyncedData）为共同祖先，与本地、远程做三方合并，
+     * 需要时写入本地并推送合并结果。
+     * 提供 resolveConflicts 时，两端冲突在写入任何数据之前交给它决定；它返回 null 表示取消本次同步。
+     * 离线、被限流或请求失败时返回 null，并记入 SyncQueueService 稍后重试
+     * @param {Array|null} localCollections
+     * @param {Object<string, number>|null} localTombstones
+     * @param {{resolveConflicts?: Function|null}} [options] resolveConflicts(conflicts) => Promise<Object|null>
+     * @returns {Promise<{collections: Array, version: number, tombstones: Object, conflicts: Array, changed: boolean}|null>}
+     */
+    async sync(localCollections = null, localTombstones = null, options = {}) {
+        let active;
+        try {
+            active = await this.getActive();
+        } catch (error) {
+            if (!error.credentialsLocked) throw error;
+            // 解锁前不同步，也不记入重试队列；解锁后页面会重新同步
+            console.warn('Sync credentials are locked. Skipping sync.');
+            return null;
+        }
+        if (!active) {
+            return null;
+        }
+        const { provider, config } = active;
+
+        if (navigator.onLine === false) {
+            await SyncQueueService.markPending(new Error('网络未连接'));
+            return null;
+        }
+        const rateLimitedUntil = await SyncQueueService.getRateLimitedUntil();
+        if (rateLimitedUntil) {
+            console.warn(`${provider.label} rate limited until ${new Date(rateLimitedUntil).toISOString()}.`);
+            return null;
+        }
+
+        const { lastSyncedData = '' } = await chrome.storage.local.get('lastSyncedData');
+
+        const stored = await StorageService.loadData();
+        // 仅本地（localOnly）的集合和它们在回收站中的条目不上传，也不参与合并
+        const allCollections = localCollections || stored.collections;
+        const { synced, localOnly } = MergeService.splitLocalOnly(allCollections);
+        const localData = {
+            version: localCollections ? StorageService.lastKnownVersion : stored.version,
+            collections: synced,
+            tombstones: localTombstones || stored.tombstones || {}
+        };
+        const allTrash = await StorageService.loadTrash();
+        const localTrash = allTrash.filter((item) => !item.localOnly);
+        const localOnlyTrash = allTrash.filter((item) => item.localOnly);
+
+        try {
+            const remoteContent = await this._readRemote(provider, config);
+
+            if (remoteContent === null) {
+                const content = this.buildContent(localData, localTrash);
+                await provider.create(config, await this._encode(content));
+                await provider.saveConfig(config);
+                await chrome.storage.local.set({ lastSyncedData: content });
+                await SyncQueueService.markDone();
+                await this._recordSuccess('push', localData.version, `已在 ${provider.label} 创建远程数据`);
+                console.log(`Remote data created on ${provider.label}.`);
+                return { ...localData, collections: allCollections, conflicts: [], changed: false };
+            }
+
+            const remoteData = this.parseContent(remoteContent);
+            if (!remoteData) {
+                console.warn('Remote data is empty. Pushing local data.');
+                const content = this.buildContent(localData, localTrash);
+                await provider.write(config, await this._encode(content));
+                await chrome.storage.local.set({ lastSyncedData: content });
+                await SyncQueueService.markDone();
+                await this._recordSuccess('push', localData.version, '远程数据为空，已推送本地数据');
+                return { ...localData, collections: allCollections, conflicts: [], changed: false };
+            }
+
+            // 远程数据中与仅本地集合同 ID 的集合（设为仅本地之前上传的）以本地为准，并从远程移除
+            const localOnlyIds = new Set(localOnly.map(({ collection }) => collection.id));
+            const withoutLocalOnly = (data) =>
+                data && { ...data, collections: data.collections.filter((col) => !localOnlyIds.has(col.id)) };
+            const leaked = remoteData.collections.some((col) => localOnlyIds.has(col.id));
+            const remoteSynced = withoutLocalOnly(remoteData);
+
+            const remoteVersion = remoteData.version || 0;
+            const remoteTrash = remoteData.trash || [];
+            const staleDays = await this._staleDays();
+            const base = withoutLocalOnly(this.parseContent(lastSyncedData));
+            let merged = MergeService.reconcile(base, localData, remoteSynced);
+            if (merged.conflicts.length > 0 && options.resolveConflicts) {
+                const resolutions = await options.resolveConflicts(merged.conflicts);
+                if (!resolutions) {
+                    console.log('Sync cancelled by user.');
+                    await SyncLogService.record('info', `有 ${merged.conflicts.length} 个冲突，已取消本次同步`);
+                    return null;
+                }
+                merged = MergeService.reconcile(base, localData, remoteSynced, resolutions);
+            }
+
+            const mergedAll = MergeService.restoreLocalOnly(merged.collections, localOnly);
+            const retentionDays = await StorageService.getTrashRetentionDays();
+            const trash = StorageService.purgeExpiredTrash(
+                StorageService.mergeTrash(localTrash, remoteTrash, mergedAll, merged.tombstones),
+                retentionDays
+            );
+            const trashKey = (items) => items.map((item) => `${item.id}:${item.deletedAt}`).join(',');
+            const trashChanged = trashKey(trash) !== trashKey(remoteTrash);
+            const pushed = merged.changedRemote || trashChanged || leaked;
+
+            // 版本号同时大于被覆盖的一端，保证旧版本客户端仍能按版本判断新旧
+            const version = Math.max(
+                localData.version + (merged.changedLocal ? 1 : 0),
+                remoteVersion + (pushed ? 1 : 0)
+            );
+
+            let collections = allCollections;
+            if (merged.changedLocal) {
+                await StorageService.createSnapshot('同步合并前');
+                collections = await StorageService.saveSyncResult(
+                    mergedAll,
+                    merged.tombstones,
+                    version,
+                    StorageService.extraFields(remoteData),
+                    stored.version
+                );
+                console.log(`Data synced from ${provider.label}.`);
+            }
+            await StorageService.saveTrash([...trash, ...localOnlyTrash].sort((a, b) => b.deletedAt - a.deletedAt));
+
+            if (pushed) {
+                const content = this.buildContent(
+                    {
+                        ...StorageService.extraFields(stored),
+                        ...StorageService.extraFields(remoteData),
+                        version,
+                        collections: StorageService.prepareCollectionsForSaving(merged.collections),
+                        tombstones: merged.tombstones
+                    },
+                    trash
+                );
+                await provider.write(config, await this._encode(content));
+                await chrome.storage.local.set({ lastSyncedData: content });
+                console.log(`Data synced to ${provider.label}.`);
+            } else if (remoteContent !== lastSyncedData) {
+                await chrome.storage.local.set({ lastSyncedData: remoteContent });
+            }
+            await SyncQueueService.markDone();
+
+            const direction = merged.changedLocal ? (pushed ? 'both' : 'pull') : pushed ? 'push' : 'none';
+            const messages = {
+                pull: `已从 ${provider.label} 拉取变更（版本 ${version}）`,
+                push: `已推送变更到 ${provider.label}（版本 ${version}）`,
+                both: `已合并两端的变更（版本 ${version}）`
+            };
+            if (merged.conflicts.length > 0) {
+                await SyncLogService.record('conflict', `合并时有 ${merged.conflicts.length} 个冲突`);
+            }
+            if (staleDays && direction !== 'none') {
+                const warning =
+                    `本设备已 ${staleDays} 天未同步，超过删除记录的保留期限（${StorageService.TOMBSTONE_TTL_DAYS} 天），` +
+                    '其他设备在此期间删除的集合和标签可能会重新出现，请检查同步结果，必要时从快照恢复同步前的数据';
+                await SyncLogService.record('info', warning);
+                await SyncLogService.updateStatus({ staleWarning: warning });
+            }
+            await this._recordSuccess(direction, pushed ? version : remoteVersion, messages[direction]);
+
+            return {
+                collections,
+                version: merged.changedLocal ? version : localData.version,
+                tombstones: merged.tombstones,
+                conflicts: merged.conflicts,
+                changed: merged.changedLocal
+            };
+        } catch (error) {
+            // 需要用户处理的错误（输入密码、升级扩展）重试也不会成功，不记入重试队列
+            if (error.locked || error.schemaTooNew) {
+                console.warn(error.message);
+            } else {
+                console.error(`${provider.label} sync error:`, error);
+                await SyncQueueService.markPending(error);
+            }
+            await SyncLogService.recordError(error.message);
+            return null;
+        }
+    },
+
+    /**
+     * 距上次成功同步的天数，超过删除记录的保留期限（StorageService.TOMBSTONE_TTL_DAYS）时返回，否则返回 0。
+     * 删除记录过期后，其他设备在此期间的删除可能无法传到本设备，合并时被删除的条目可能重新出现
+     * @returns {Promise<number>}
+     */
+    async _staleDays() {
+        const { lastPullAt } = await SyncLogService.getStatus();
+        if (!lastPullAt) return 0;
+        const days = Math.floor((Date.now() - lastPullAt) / (24 * 60 * 60 * 1000));
+        return days > StorageService.TOMBSTONE_TTL_DAYS ? days : 0;
+    },
+
+    /**
+     * 记录一次成功的同步：读到远程数据就算一次拉取，写入了远程数据再算一次推送
+     * @param {'pull'|'push'|'both'|'none'} direction 数据流向
+     * @param {number} remoteVersion 同步后远程数据的版本号
+     * @param {string} [message] 有数据变化时写入同步记录
+     */
+    async _recordSuccess(direction, remoteVersion, message) {
+        const now = Date.now();
+        const status = { lastPullAt: now, direction, remoteVersion, lastError: null };
+        if (direction === 'push' || direction === 'both') {
+            status.lastPushAt = now;
+        }
+        await SyncLogService.updateStatus(status);
+        if (message) {
+            await SyncLogService.record(direction === 'both' ? 'pull' : direction, message);
+        }
+    },
+
+    /**
+     * 强制推送：不合并远程的变更，用本地数据覆盖远程数据。
+     * 版本号取两端较大者加一，其他设备下次同步时以本地数据为准
+     * @param {Array|null} [localCollections] 要推送的数据，默认为存储中的数据（与 sync 相同）
+     * @param {Object<string, number>|null} [localTombstones]
+     */
+    async forcePush(localCollections = null, localTombstones = null) {
+        const { provider, config } = await this._requireActive();
+        const remoteContent = await this._readRemote(provider, config);
+        const remoteData = this.parseContent(remoteContent);
+
+        const stored = await StorageService.loadData();
+        const localVersion = localCollections ? StorageService.lastKnownVersion : stored.version;
+        const version = Math.max(localVersion, remoteData?.version || 0) + 1;
+        const trash = await StorageService.loadTrash();
+        const content = this.buildContent(
+            {
+                ...StorageService.extraFields(stored),
+                version,
+                collections: MergeService.splitLocalOnly(localCollections || stored.collections).synced,
+                tombstones: localTombstones || stored.tombstones
+            },
+            trash.filter((item) => !item.localOnly)
+        );
+
+        if (remoteContent === null) {
+            await provider.create(config, await this._encode(content));
+            await provider.saveConfig(config);
+        } else {
+            await provider.write(config, await this._encode(content));
+        }
+        await chrome.storage.local.set({ lastSyncedData: content });
+        await SyncQueueService.markDone();
+        await this._recordSuccess('push', version, `已用本地数据覆盖 ${provider.label} 上的数据（版本 ${version}）`);
+    },
+
+    /**
+     * 改为同步到另一个远程文件（如另一个 Gist）。下次同步按首次同步处理，与新位置的数据合并
+     * @param {string} target ID 或网址，为空时下次同步新建
+     */
+    async relink(target) {
+        const { provider, config } = await this._requireActive();
+        if (!provider.relink) {
+            throw new Error(`${provider.label} 不支持重新关联`);
+        }
+
+        await provider.relink(config, target);
+        await provider.saveConfig(config);
+        await chrome.storage.local.remove('lastSyncedData');
+        await SyncLogService.resetStatus();
+        this._revisionCache.clear();
+        await SyncLogService.record(
+            'info',
+            target.trim() ? `已重新关联到 ${target.trim()}` : '已解除关联，下次同步将新建远程数据'
+        );
+    },
+
+    /**
+     * 列出远程数据的历史版本（最新的在前），不读取各版本的内容，打开某个版本时再用 getRevision 读取
+     * @param {number} [page] 从 1 开始的页码，每页 REVISIONS_PER_PAGE 条
+     * @returns {Promise<Array<{version: string, committedAt: string}>>}
+     */
+    async listRevisions(page = 1) {
+        const active = await this._requireActive();
+        return active.provider.listRevisions(active.config, page, this.REVISIONS_PER_PAGE);
+    },
+
+    /**
+     * 读取指定历史版本的数据
+     * @param {string} version listRevisions 返回的版本号
+     * @returns {Promise<{version: number, collections: Array, tombstones?: Object, trash?: Array}|null>}
+     */
+    async getRevision(version) {
+        const active = await this._requireActive();
+        const key = `${active.provider.id}:${version}`;
+        if (this._revisionCache.has(key)) {
+            return this._revisionCache.get(key);
+        }
+
+        let content = await active.provider.readRevision(active.config, version);
+        if (CryptoService.isEncrypted(content)) {
+            const keyInfo = await this._loadKey();
+            if (!keyInfo || keyInfo.salt !== CryptoService.parseEnvelope(content).salt) {
+                throw new Error('该版本使用其他密码加密，无法读取');
+            }
+            content = await CryptoService.decrypt(content, keyInfo);
+        }
+
+        const data = this.parseContent(content);
+        this._revisionCache.set(key, data);
+        return data;
+    }
+};
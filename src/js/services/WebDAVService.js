@@ -0,0 +1,189 @@
+import { MipaUtils } from '../utils.js';
+import { CredentialService } from './CredentialService.js';
+
+/**
+ * WebDAV 同步后端（Nextcloud、坚果云等）：数据保存在指定目录下的 mipa-data.json 中。
+ * WebDAV 没有通用的版本历史，每次写入时另存一份副本到 mipa-history 目录，保留最近 HISTORY_LIMIT 份
+ */
+export const WebDAVService = {
+    id: 'webdav',
+    label: 'WebDAV',
+    CONFIG_KEY: 'webdavConfig',
+    FILE_NAME: 'mipa-data.json',
+    HISTORY_DIR: 'mipa-history/',
+    HISTORY_LIMIT: 30,
+
+    /**
+     * 密码保存在 CredentialService 中，凭据已加密且尚未解锁时抛出 error.credentialsLocked 为 true 的错误
+     * @returns {Promise<{url: string, username: string, password: string}|null>}
+     */
+    async loadConfig() {
+        const result = await chrome.storage.local.get(this.CONFIG_KEY);
+        if (!result[this.CONFIG_KEY]) return null;
+
+        const { password, ...config } = result[this.CONFIG_KEY];
+        // 旧版本和连接配置一起明文保存的密码移入凭据存储
+        if (password !== undefined) {
+            await CredentialService.set(this.id, password);
+            await chrome.storage.local.set({ [this.CONFIG_KEY]: config });
+        }
+        return { ...config, password: (await CredentialService.get(this.id)) || '' };
+    },
+
+    async saveConfig(config) {
+        const { password, ...rest } = config;
+        await CredentialService.set(this.id, password || '');
+        await chrome.storage.local.set({ [this.CONFIG_KEY]: { ...rest, url: this._folderUrl(config.url) } });
+    },
+
+    async clearConfig() {
+        await CredentialService.remove(this.id);
+        await chrome.storage.local.remove(this.CONFIG_KEY);
+    },
+
+    getOrigins(config) {
+        return [`${new URL(config.url).origin}/*`];
+    },
+
+    _folderUrl(url) {
+        return url.endsWith('/') ? url : `${url}/`;
+    },
+
+    _headers(config, extra = {}) {
+        return {
+            Authorization: `Basic ${MipaUtils.encodeBase64(`${config.username}:${config.password}`)}`,
+            ...extra
+        };
+    },
+
+    async _request(config, path, options = {}) {
+        return fetch(this._folderUrl(config.url) + path, {
+            ...options,
+            headers: this._headers(config, options.headers)
+        });
+    },
+
+    /**
+     * 创建目录，目录已存在（405）时忽略
+     * @param {Object} config
+     * @param {string} path 相对同步目录的路径，空字符串为同步目录本身
+     */
+    async _ensureFolder(config, path = '') {
+        const response = await this._request(config, path, { method: 'MKCOL' });
+        if (!response.ok && response.status !== 405) {
+            throw MipaUtils.createHttpError('Failed to create WebDAV folder', response);
+        }
+    },
+
+    /**
+     * 列出目录中的文件名
+     * @param {Object} config
+     * @param {string} path
+     * @returns {Promise<Array<string>>}
+     */
+    async _list(config, path) {
+        const response = await this._request(config, path, { method: 'PROPFIND', headers: { Depth: '1' } });
+        if (response.status === 404) return [];
+        if (!response.ok) {
+            throw MipaUtils.createHttpError('Failed to list WebDAV folder', response);
+        }
+
+        // 不同服务器的 XML 命名空间前缀不同（d:、D:、lp1: 等），只提取 href
+        const xml = await response.text();
+        return [...xml.matchAll(/<(?:[\w-]+:)?href>([^<]+)<\/(?:[\w-]+:)?href>/g)]
+            .map((match) => decodeURIComponent(match[1].split('/').filter(Boolean).pop()))
+            .filter((name) => name.endsWith('.json'));
+    },
+
+    /**
+     * 检查目录是否可访问，目录不存在时创建
+     * @param {{url: string, username: string, password: string}} config
+     * @returns {Promise<string>} 服务器说明
+     */
+    async test(config) {
+        if (!/^https?:\/\//.test(config.url || '')) {
+            throw new Error('请输入以 http:// 或 https:// 开头的 WebDAV 地址');
+        }
+
+        const response = await this._request(config, '', { method: 'PROPFIND', headers: { Depth: '0' } });
+        if (response.status === 401 || response.status === 403) {
+            throw new Error('WebDAV 用户名或密码错误');
+        }
+        if (response.status === 404) {
+            await this._ensureFolder(config);
+        } else if (!response.ok) {
+            throw new Error(`无法连接 WebDAV 服务器：${response.status} ${response.statusText}`);
+        }
+
+        const server = response.headers.get('Server');
+        return server ? `WebDAV（${server}）` : 'WebDAV';
+    },
+
+    async read(config) {
+        const response = await this._request(config, this.FILE_NAME, { cache: 'no-store' });
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw MipaUtils.createHttpError('Failed to read WebDAV file', response);
+        }
+        return response.text();
+    },
+
+    async create(config, content) {
+        await this._ensureFolder(config);
+        await this.write(config, content);
+    },
+
+    async write(config, content) {
+        const response = await this._request(config, this.FILE_NAME, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: content
+        });
+        if (!response.ok) {
+            throw MipaUtils.createHttpError('Failed to write WebDAV file', response);
+        }
+
+        await this._saveRevision(config, content);
+    },
+
+    /**
+     * 保存历史副本（文件名为写入时间戳）并删除超出数量的旧副本；失败不影响本次同步
+     * @param {Object} config
+     * @param {string} content
+     */
+    async _saveRevision(config, content) {
+        try {
+            await this._ensureFolder(config, this.HISTORY_DIR);
+            await this._request(config, `${this.HISTORY_DIR}${Date.now()}.json`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: content
+            });
+
+            const names = (await this._list(config, this.HISTORY_DIR)).sort().reverse();
+            await Promise.all(
+                names
+                    .slice(this.HISTORY_LIMIT)
+                    .map((name) => this._request(config, `${this.HISTORY_DIR}${name}`, { method: 'DELETE' }))
+            );
+        } catch (error) {
+            console.warn('Failed to save WebDAV revision:', error);
+        }
+    },
+
+    async listRevisions(config, page, perPage) {
+        const names = (await this._list(config, this.HISTORY_DIR)).sort().reverse();
+        return names.slice((page - 1) * perPage, page * perPage).map((name) => ({
+            version: name,
+            committedAt: new Date(parseInt(name, 10)).toISOString()
+        }));
+    },
+
+    async readRevision(config, version) {
+        const response = await this._request(config, `${this.HISTORY_DIR}${encodeURIComponent(version)}`);
+        if (!response.ok) {
+            throw MipaUtils.createHttpError('Failed to read WebDAV revision', response);
+        }
+        return response.text();
+    }
+};
@@ -67,12 +67,169 @@ export const MipaUtils = {
     },
 
     /**
-     * Deterministic JSON stringify that ensures consistent property ordering
+     * Deep clone plain data (collections, tabs)
+     * @param {*} obj
+     * @returns {*}
+     */
+    clone(obj) {
+        return structuredClone(obj);
+    },
+
+    /**
+     * Count collections and tabs
+     * @param {Array} collections
+     * @returns {{collections: number, tabs: number}}
+     */
+    countCollections(collections) {
+        return {
+            collections: collections.length,
+            tabs: collections.reduce((sum, col) => sum + (col.tabs || []).length, 0)
+        };
+    },
+
+    /**
+     * Diff two collection lists by ID (what applying `to` would change relative to `from`)
+     * @param {Array} from
+     * @param {Array} to
+     * @returns {{collectionsAdded: Array, collectionsRemoved: Array, collectionsChanged: Array, tabsAdded: number, tabsRemoved: number}}
+     */
+    diffCollections(from, to) {
+        const fromMap = new Map(from.map((col) => [col.id, col]));
+        const toMap = new Map(to.map((col) => [col.id, col]));
+        const fromTabs = new Set(from.flatMap((col) => (col.tabs || []).map((tab) => tab.id)));
+        const toTabs = new Set(to.flatMap((col) => (col.tabs || []).map((tab) => tab.id)));
+
+        return {
+            collectionsAdded: to.filter((col) => !fromMap.has(col.id)),
+            collectionsRemoved: from.filter((col) => !toMap.has(col.id)),
+            collectionsChanged: to.filter((col) => {
+                const prev = fromMap.get(col.id);
+                return prev && JSON.stringify(prev) !== JSON.stringify(col);
+            }),
+            tabsAdded: [...toTabs].filter((id) => !fromTabs.has(id)).length,
+            tabsRemoved: [...fromTabs].filter((id) => !toTabs.has(id)).length
+        };
+    },
+
+    /**
+     * Create an Error for a failed HTTP response. Besides the status, it carries the time the server asked
+     * us to wait until (Retry-After, or X-RateLimit-Reset once X-RateLimit-Remaining hits 0) as retryAt
+     * @param {string} message
+     * @param {Response} response
+     * @returns {Error & {status: number, retryAt: number|null}}
+     */
+    createHttpError(message, response) {
+        const error = new Error(`${message}: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        error.retryAt = null;
+
+        const retryAfter = response.headers.get('Retry-After');
+        const reset = response.headers.get('X-RateLimit-Reset');
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            error.retryAt = Number.isNaN(seconds) ? Date.parse(retryAfter) || null : Date.now() + seconds * 1000;
+        } else if (response.headers.get('X-RateLimit-Remaining') === '0' && reset) {
+            error.retryAt = Number(reset) * 1000;
+        }
+        return error;
+    },
+
+    /**
+     * Human-readable byte size, e.g. "1.5 MB"
+     * @param {number} bytes
+     * @returns {string}
+     */
+    formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+    },
+
+    /**
+     * Base64-encode raw bytes
+     * @param {Uint8Array|ArrayBuffer} bytes
+     * @returns {string}
+     */
+    bytesToBase64(bytes) {
+        const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        let binary = '';
+        for (let i = 0; i < view.length; i += 0x8000) {
+            binary += String.fromCharCode(...view.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    },
+
+    /**
+     * Decode a Base64 string into raw bytes
+     * @param {string} base64
+     * @returns {Uint8Array}
+     */
+    base64ToBytes(base64) {
+        const binary = atob(base64.replace(/\s/g, ''));
+        return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+    },
+
+    /**
+     * Base64-encode a string as UTF-8 (btoa only accepts Latin-1)
+     * @param {string} text
+     * @returns {string}
+     */
+    encodeBase64(text) {
+        return this.bytesToBase64(new TextEncoder().encode(text));
+    },
+
+    /**
+     * Decode a Base64 string containing UTF-8 text
+     * @param {string} base64
+     * @returns {string}
+     */
+    decodeBase64(base64) {
+        return new TextDecoder().decode(this.base64ToBytes(base64));
+    },
+
+    /**
+     * Deterministic JSON stringify: object keys are sorted recursively (array order is kept),
+     * so equal data always serializes to the same string regardless of how it was built
      * @param {*} obj
      * @returns {string}
      */
     deterministicStringify(obj) {
-        return JSON.stringify(obj, null, 2);
+        return JSON.stringify(this.canonicalize(obj), null, 2);
+    },
+
+    /**
+     * Copy of a JSON value with object keys in sorted order; undefined properties are dropped like JSON.stringify does
+     * @param {*} value
+     * @returns {*}
+     */
+    canonicalize(value) {
+        if (Array.isArray(value)) {
+            return value.map((item) => this.canonicalize(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(
+                Object.keys(value)
+                    .sort()
+                    .filter((key) => value[key] !== undefined)
+                    .map((key) => [key, this.canonicalize(value[key])])
+            );
+        }
+        return value;
+    },
+
+    /**
+     * SHA-256 hex digest of a string, used to tell whether two payloads are identical without keeping both
+     * @param {string} text
+     * @returns {Promise<string>}
+     */
+    async hashContent(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
     },
 
     /**
@@ -82,7 +239,8 @@ export const MipaUtils = {
      */
     setupFavicon(faviconElement, tab) {
         faviconElement.alt = tab.title || '';
-        faviconElement.src = 'data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 16 16%22><rect width=%2216%22 height=%2216%22 fill=%22%23666%22 rx=%222%22/><text x=%228%22 y=%2212%22 font-size=%2210%22 fill=%22white%22 text-anchor=%22middle%22 font-family=%22sans-serif%22>?</text></svg>';
+        faviconElement.src =
+            'data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 16 16%22><rect width=%2216%22 height=%2216%22 fill=%22%23666%22 rx=%222%22/><text x=%228%22 y=%2212%22 font-size=%2210%22 fill=%22white%22 text-anchor=%22middle%22 font-family=%22sans-serif%22>?</text></svg>';
 
         try {
             const hostname = new URL(tab.url).hostname;
@@ -98,6 +256,19 @@ export const MipaUtils = {
         }
     },
 
+    /**
+     * Lower-case hostname of a URL without the leading "www.", used to group tabs by site
+     * @param {string} url
+     * @returns {string} empty string for invalid URLs
+     */
+    getDomain(url) {
+        try {
+            return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+        } catch {
+            return '';
+        }
+    },
+
     /**
      * Extract meaningful search keywords from a URL (core domain only, excludes path noise)
      * @param {string} url
@@ -109,16 +280,36 @@ export const MipaUtils = {
             const hostname = u.hostname;
 
             const thirdPartySuffixes = [
-                'googleapis.com', 'googleusercontent.com', 'gstatic.com',
-                'cloudfront.net', 'cloudflare.com', 'fastly.net',
-                'akamaihd.net', 'akamaized.net', 'amazonaws.com',
-                'github.io', 'githubusercontent.com', 'gitlab.io',
-                'medium.com', 'substack.com', 'notion.site',
-                'figma.com', 'slack.com', 'discord.com',
-                'gravatar.com', 'wp.com', 'wpengine.com',
-                'shopify.com', 'typeform.com', 'airtable.com',
-                'vercel.app', 'netlify.app', 'pages.dev',
-                'webflow.io', 'carrd.co', 'squarespace.com'
+                'googleapis.com',
+                'googleusercontent.com',
+                'gstatic.com',
+                'cloudfront.net',
+                'cloudflare.com',
+                'fastly.net',
+                'akamaihd.net',
+                'akamaized.net',
+                'amazonaws.com',
+                'github.io',
+                'githubusercontent.com',
+                'gitlab.io',
+                'medium.com',
+                'substack.com',
+                'notion.site',
+                'figma.com',
+                'slack.com',
+                'discord.com',
+                'gravatar.com',
+                'wp.com',
+                'wpengine.com',
+                'shopify.com',
+                'typeform.com',
+                'airtable.com',
+                'vercel.app',
+                'netlify.app',
+                'pages.dev',
+                'webflow.io',
+                'carrd.co',
+                'squarespace.com'
             ];
 
             let coreDomain = hostname.replace(/^www\./, '');
@@ -191,8 +382,14 @@ export const MipaUtils = {
         return new Promise((resolve) => {
             const img = new Image();
             const timeout = setTimeout(() => resolve(false), 3000);
-            img.onload = () => { clearTimeout(timeout); resolve(true); };
-            img.onerror = () => { clearTimeout(timeout); resolve(false); };
+            img.onload = () => {
+                clearTimeout(timeout);
+                resolve(true);
+            };
+            img.onerror = () => {
+                clearTimeout(timeout);
+                resolve(false);
+            };
             img.src = url;
         });
     }